@@ -3,10 +3,65 @@
  * Handles oscillator creation and waveform generation
  */
 
+const MAX_CHORD_NOTES = 8;
+
+/**
+ * Chord types: intervals in cents above the root, which always sounds
+ */
+const CHORD_TYPES = [
+    { id: 'off', name: 'Off (single note)', intervals: [] },
+    { id: 'fifth', name: 'Power (5th)', intervals: [700] },
+    { id: 'octave', name: 'Octave', intervals: [1200] },
+    { id: 'major', name: 'Major', intervals: [400, 700] },
+    { id: 'minor', name: 'Minor', intervals: [300, 700] },
+    { id: 'sus2', name: 'Sus2', intervals: [200, 700] },
+    { id: 'sus4', name: 'Sus4', intervals: [500, 700] },
+    { id: 'dim', name: 'Diminished', intervals: [300, 600] },
+    { id: 'aug', name: 'Augmented', intervals: [400, 800] },
+    { id: 'maj7', name: 'Major 7th', intervals: [400, 700, 1100] },
+    { id: 'min7', name: 'Minor 7th', intervals: [300, 700, 1000] },
+    { id: 'dom7', name: 'Dominant 7th', intervals: [400, 700, 1000] },
+    { id: 'm7b5', name: 'Half-diminished 7th', intervals: [300, 600, 1000] },
+    { id: 'custom', name: 'Custom (cents)', intervals: null }
+];
+
+/**
+ * Merge chord changes into the current settings and keep them in range
+ * @param {Object} chord - Current { type, intervals, inversion, spread }
+ * @param {Object} params - Any of those keys; intervals are cents above the root (used by 'custom')
+ */
+function normalizeChord(chord, params) {
+    const next = { ...chord, ...params };
+    if (!CHORD_TYPES.some(c => c.id === next.type)) next.type = 'off';
+    next.intervals = (Array.isArray(next.intervals) ? next.intervals : [])
+        .map(Number)
+        .filter(c => isFinite(c) && c !== 0)
+        .map(c => Math.max(-4800, Math.min(4800, c)))
+        .slice(0, MAX_CHORD_NOTES - 1);
+    next.inversion = Math.max(0, Math.min(MAX_CHORD_NOTES - 1, parseInt(next.inversion) || 0));
+    next.spread = Math.max(0, Math.min(2, parseInt(next.spread) || 0));
+    return next;
+}
+
+/**
+ * Frequency ratios of a chord's notes to the root. Inversion n moves the n
+ * lowest notes up an octave; spread lifts every second note by that many
+ * octaves for an open voicing.
+ */
+function chordRatios(chord) {
+    const def = CHORD_TYPES.find(c => c.id === chord.type);
+    if (!def || def.id === 'off') return [1];
+    const cents = [0, ...(def.intervals || chord.intervals)].sort((a, b) => a - b);
+    const inversion = Math.min(chord.inversion, cents.length - 1);
+    for (let i = 0; i < inversion; i++) cents[i] += 1200;
+    cents.sort((a, b) => a - b);
+    return cents.map((c, i) => Math.pow(2, c / 1200 + (i % 2) * chord.spread));
+}
+
 class ToneGenerator {
     constructor(audioContext) {
         this.audioContext = audioContext;
-        this.oscillator = null;
+        this.stack = null;         // Running oscillators: { voices: [{ osc, frequency, detune, ratio, unisonIndex, panner }], mix, subGain }
         this.gainNode = null;
         this.waveform = 'sine';
         this.frequency = 440;
@@ -14,6 +69,21 @@ class ToneGenerator {
         this.dutyCycle = 0.5;
         this.isPlaying = false;
         this.wavetableCache = {};
+        // Unison stack
+        this.unisonVoices = 1;     // 1-16 oscillators
+        this.unisonDetune = 25;    // Cents between the outermost voices
+        this.unisonSpread = 0.5;   // Stereo width (0-1)
+        this.subOctave = 0;        // 0 = off, 1 or 2 octaves down
+        this.subLevel = 0.5;
+        // Chord: every note gets its own unison stack
+        this.chord = { type: 'off', intervals: [400, 700], inversion: 0, spread: 0 };
+        // Hard sync: the oscillator runs syncRatio times faster and restarts every master period
+        this.syncRatio = 1;
+        // Shared pulse width and sync ratio for the band-limited worklet voices.
+        // They outlive rebuilds, so LFOs connected to them stay connected
+        this.dutySource = null;
+        this.syncSource = null;
+        this.modulated = {};       // Params currently driven by an LFO
     }
 
     createSquareWaveWithDuty(duty) {
@@ -30,27 +100,149 @@ class ToneGenerator {
         return wave;
     }
 
-    createOscillator() {
-        if (this.oscillator) { this.oscillator.stop(); this.oscillator.disconnect(); }
-        this.oscillator = this.audioContext.createOscillator();
-        this.oscillator.frequency.value = this.frequency;
+    /**
+     * Pulse and synced voices need the band-limited worklet, the rest use native oscillators
+     */
+    usesWorklet() {
+        const loaded = window.synth && window.synth.workletsLoaded;
+        return !!loaded && (this.waveform === 'square' || this.syncRatio > 1 || !!this.modulated.syncRatio);
+    }
+
+    /**
+     * Constant sources feeding dutyCycle and syncRatio of every worklet voice
+     */
+    createModulationSources() {
+        if (this.dutySource) return;
+        this.dutySource = this.audioContext.createConstantSource();
+        this.dutySource.offset.value = this.modulated.duty ? 0 : this.dutyCycle;
+        this.dutySource.start();
+        this.syncSource = this.audioContext.createConstantSource();
+        this.syncSource.offset.value = this.modulated.syncRatio ? 0 : this.syncRatio;
+        this.syncSource.start();
+    }
+
+    /**
+     * A single oscillator with the current waveform
+     * @param {number} phase - Start phase (0-1) of a worklet voice
+     */
+    createVoiceOscillator(frequency, phase = 0) {
+        if (this.usesWorklet()) {
+            this.createModulationSources();
+            const osc = new AudioWorkletNode(this.audioContext, 'blep-oscillator-processor', {
+                outputChannelCount: [1],
+                processorOptions: { waveform: this.waveform, phase }
+            });
+            const params = {
+                frequency: osc.parameters.get('frequency'),
+                detune: osc.parameters.get('detune')
+            };
+            params.frequency.value = frequency;
+            ['dutyCycle', 'syncRatio'].forEach(name => {
+                const param = osc.parameters.get(name);
+                param.value = 0;
+                (name === 'dutyCycle' ? this.dutySource : this.syncSource).connect(param);
+            });
+            return { osc, ...params };
+        }
+
+        const osc = this.audioContext.createOscillator();
+        osc.frequency.value = frequency;
         if (this.waveform === 'square') {
-            this.oscillator.setPeriodicWave(this.createSquareWaveWithDuty(this.dutyCycle));
+            osc.setPeriodicWave(this.createSquareWaveWithDuty(this.dutyCycle));
         } else {
-            this.oscillator.type = this.waveform;
+            osc.type = this.waveform;
         }
+        return { osc, frequency: osc.frequency, detune: osc.detune };
+    }
+
+    /**
+     * Start a native oscillator at `when`, worklet voices run as soon as they exist
+     */
+    startVoice(voice, when) {
+        if (voice.osc.start) voice.osc.start(when);
+    }
+
+    /**
+     * Detune (cents) and pan of unison voice i, spread evenly across the stack
+     */
+    getVoiceOffset(i) {
+        const n = this.unisonVoices;
+        const position = n > 1 ? (i / (n - 1)) * 2 - 1 : 0;
+        return { detune: position * this.unisonDetune / 2, pan: position * this.unisonSpread };
+    }
+
+    createOscillator() {
+        if (this.stack) this.stopStack(this.stack);
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
         if (!this.gainNode) {
-            this.gainNode = this.audioContext.createGain();
+            this.gainNode = ctx.createGain();
             this.gainNode.gain.value = this.volume;
         }
-        this.oscillator.connect(this.gainNode);
-        this.oscillator.start();
+
+        // Unison voices of all chord notes share one mix, scaled so the stack is about as loud as one oscillator
+        const ratios = chordRatios(this.chord);
+        const count = this.unisonVoices * ratios.length;
+        const mix = ctx.createGain();
+        mix.gain.value = 1 / Math.sqrt(count);
+        mix.connect(this.gainNode);
+
+        const voices = [];
+        ratios.forEach(ratio => {
+            const frequency = this.frequency * ratio;
+            for (let i = 0; i < this.unisonVoices; i++) {
+                // Random phases, so the stack does not start phase-locked
+                const randomPhase = count > 1 ? Math.random() : 0;
+                const voice = this.createVoiceOscillator(frequency, randomPhase);
+                const offset = this.getVoiceOffset(i);
+                voice.detune.value = offset.detune;
+                const panner = ctx.createStereoPanner();
+                panner.pan.value = offset.pan;
+                voice.osc.connect(panner).connect(mix);
+                // Native oscillators always start at phase 0, a random start offset does the same job
+                this.startVoice(voice, now + randomPhase / frequency);
+                voices.push({ ...voice, ratio, unisonIndex: i, panner });
+            }
+        });
+
+        let subGain = null;
+        if (this.subOctave > 0) {
+            const ratio = Math.pow(2, -this.subOctave);
+            const voice = this.createVoiceOscillator(this.frequency * ratio);
+            subGain = ctx.createGain();
+            subGain.gain.value = this.subLevel;
+            voice.osc.connect(subGain).connect(this.gainNode);
+            this.startVoice(voice, now);
+            voices.push({ ...voice, ratio, panner: null });
+        }
+
+        this.stack = { voices, mix, subGain };
         return this.gainNode;
     }
 
+    /**
+     * Stop and disconnect a stack's nodes
+     */
+    stopStack(stack) {
+        stack.voices.forEach(v => {
+            try {
+                if (v.osc.port) v.osc.port.postMessage({ type: 'stop' });
+                else v.osc.stop();
+                v.osc.disconnect();
+            } catch(e){}
+            if (v.panner) v.panner.disconnect();
+        });
+        stack.mix.disconnect();
+        if (stack.subGain) stack.subGain.disconnect();
+    }
+
     start(destination) {
         if (this.isPlaying) return;
         const output = this.createOscillator();
+        // Undo the fade-out left behind by a previous stop()
+        const now = this.audioContext.currentTime;
+        output.gain.cancelScheduledValues(now);
+        output.gain.setValueAtTime(this.volume, now);
         if (destination) output.connect(destination);
         this.isPlaying = true;
     }
@@ -60,20 +252,137 @@ class ToneGenerator {
         if (this.gainNode) {
             const now = this.audioContext.currentTime;
             this.gainNode.gain.setTargetAtTime(0.001, now, 0.02);
+            // Only stop this stack, a restart within the fade creates a new one
+            const stack = this.stack;
             setTimeout(() => {
-                if (this.oscillator) { try { this.oscillator.stop(); this.oscillator.disconnect(); } catch(e){} this.oscillator = null; }
+                if (stack) this.stopStack(stack);
+                if (this.stack === stack) this.stack = null;
             }, 50);
         }
         this.isPlaying = false;
     }
 
-    setWaveform(type) { this.waveform = type; if (this.isPlaying) this.createOscillator(); }
-    setFrequency(freq) { this.frequency = freq; if (this.oscillator) this.oscillator.frequency.setTargetAtTime(freq, this.audioContext.currentTime, 0.01); }
+    /**
+     * Rebuild the oscillators after a change that needs new nodes
+     */
+    rebuild() {
+        if (this.isPlaying) this.createOscillator();
+    }
+
+    /**
+     * Rebuild only when the voices have to switch between native and worklet oscillators
+     */
+    rebuildIfVoiceTypeChanged() {
+        if (!this.stack) return;
+        const isWorklet = !!this.stack.voices[0].osc.port;
+        if (isWorklet !== this.usesWorklet()) this.rebuild();
+    }
+
+    setWaveform(type) { this.waveform = type; this.rebuild(); }
+    setFrequency(freq) {
+        this.frequency = freq;
+        if (!this.stack) return;
+        const now = this.audioContext.currentTime;
+        this.stack.voices.forEach(v => v.frequency.setTargetAtTime(freq * v.ratio, now, 0.01));
+    }
     setVolume(vol) { this.volume = vol; if (this.gainNode) this.gainNode.gain.setTargetAtTime(vol, this.audioContext.currentTime, 0.01); }
-    setDutyCycle(duty) { this.dutyCycle = duty; if (this.isPlaying && this.waveform === 'square') this.createOscillator(); }
+
+    setDutyCycle(duty) {
+        this.dutyCycle = duty;
+        if (this.dutySource && !this.modulated.duty) {
+            this.dutySource.offset.setTargetAtTime(duty, this.audioContext.currentTime, 0.005);
+        }
+        // Fallback square voices bake the duty into their periodic wave
+        if (this.waveform === 'square' && this.stack && !this.stack.voices[0].osc.port) this.rebuild();
+    }
+
+    /**
+     * @param {number} ratio - Oscillator to master frequency ratio, 1 = sync off
+     */
+    setSyncRatio(ratio) {
+        this.syncRatio = Math.max(1, Math.min(16, ratio));
+        if (this.syncSource && !this.modulated.syncRatio) {
+            this.syncSource.offset.setTargetAtTime(this.syncRatio, this.audioContext.currentTime, 0.005);
+        }
+        this.rebuildIfVoiceTypeChanged();
+    }
+
+    /**
+     * AudioParam an LFO can drive at audio rate, for 'duty' and 'syncRatio'
+     */
+    getModulationParam(paramName) {
+        if (paramName !== 'duty' && paramName !== 'syncRatio') return null;
+        this.createModulationSources();
+        return paramName === 'duty' ? this.dutySource.offset : this.syncSource.offset;
+    }
+
+    /**
+     * While modulated, the LFO output replaces the param's own value instead of adding to it
+     */
+    setModulated(paramName, on) {
+        this.modulated[paramName] = on;
+        const source = paramName === 'duty' ? this.dutySource : this.syncSource;
+        if (!source) return;
+        const value = paramName === 'duty' ? this.dutyCycle : this.syncRatio;
+        source.offset.cancelScheduledValues(this.audioContext.currentTime);
+        source.offset.value = on ? 0 : value;
+        // A modulated sync ratio can rise above 1 at any moment, so keep the worklet voices
+        if (paramName === 'syncRatio') this.rebuildIfVoiceTypeChanged();
+    }
+
+    setUnisonVoices(n) {
+        const voices = Math.max(1, Math.min(16, parseInt(n) || 1));
+        if (voices === this.unisonVoices) return;
+        this.unisonVoices = voices;
+        this.rebuild();
+    }
+
+    /**
+     * Update detune and pan of the running voices in place
+     */
+    updateUnison() {
+        if (!this.stack) return;
+        const now = this.audioContext.currentTime;
+        this.stack.voices.forEach(v => {
+            if (!v.panner) return;
+            const offset = this.getVoiceOffset(v.unisonIndex);
+            v.detune.setTargetAtTime(offset.detune, now, 0.01);
+            v.panner.pan.setTargetAtTime(offset.pan, now, 0.01);
+        });
+    }
+
+    setUnisonDetune(cents) { this.unisonDetune = Math.max(0, Math.min(100, cents)); this.updateUnison(); }
+    setUnisonSpread(v) { this.unisonSpread = Math.max(0, Math.min(1, v)); this.updateUnison(); }
+
+    setSubOctave(octaves) {
+        const sub = [0, 1, 2].includes(Number(octaves)) ? Number(octaves) : 0;
+        if (sub === this.subOctave) return;
+        this.subOctave = sub;
+        this.rebuild();
+    }
+
+    setSubLevel(v) {
+        this.subLevel = Math.max(0, Math.min(1, v));
+        if (this.stack && this.stack.subGain) this.stack.subGain.gain.setTargetAtTime(this.subLevel, this.audioContext.currentTime, 0.01);
+    }
+
+    /**
+     * @param {Object} params - Any of { type, intervals, inversion, spread }
+     */
+    setChord(params) {
+        this.chord = normalizeChord(this.chord, params);
+        this.rebuild();
+    }
+
     getOutput() { return this.gainNode; }
     getIsPlaying() { return this.isPlaying; }
-    destroy() { this.stop(); if (this.gainNode) this.gainNode.disconnect(); }
+    destroy() {
+        this.stop();
+        if (this.gainNode) this.gainNode.disconnect();
+        [this.dutySource, this.syncSource].forEach(source => {
+            if (source) { try { source.stop(); source.disconnect(); } catch(e){} }
+        });
+    }
 }
 
 class NoiseGenerator {
@@ -86,33 +395,194 @@ class NoiseGenerator {
         this.isPlaying = false;
         this.noiseType = 'white';
         this.filterFreq = 1000;
+        this.filterType = 'lowpass';
+        this.filterQ = 1;
+    }
+
+    static getNoiseTypes() {
+        return [
+            { id: 'white', name: 'White Noise' },
+            { id: 'pink', name: 'Pink Noise' },
+            { id: 'brown', name: 'Brown Noise' },
+            { id: 'blue', name: 'Blue Noise' },
+            { id: 'violet', name: 'Violet Noise' },
+            { id: 'grey', name: 'Grey Noise' },
+            { id: 'velvet', name: 'Velvet Noise' }
+        ];
     }
 
     createNoiseBuffer() {
-        const bufferSize = 2 * this.audioContext.sampleRate;
-        const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
+        const sampleRate = this.audioContext.sampleRate;
+        // Grey noise is shaped with an FFT, so it needs a power-of-two length
+        const bufferSize = this.noiseType === 'grey'
+            ? Math.pow(2, Math.ceil(Math.log2(2 * sampleRate)))
+            : 2 * sampleRate;
+        const buffer = this.audioContext.createBuffer(1, bufferSize, sampleRate);
         const output = buffer.getChannelData(0);
-        if (this.noiseType === 'white') {
-            for (let i = 0; i < bufferSize; i++) output[i] = Math.random() * 2 - 1;
-        } else {
-            let lastOut = 0;
-            for (let i = 0; i < bufferSize; i++) {
-                const white = Math.random() * 2 - 1;
-                output[i] = (lastOut + (0.02 * white)) / 1.02;
-                lastOut = output[i];
-                output[i] *= 3.5;
+        const white = () => Math.random() * 2 - 1;
+
+        switch (this.noiseType) {
+            case 'pink':
+                this.fillPinkNoise(output);
+                break;
+            case 'brown': {
+                // Leaky integrator (-6 dB/octave)
+                let lastOut = 0;
+                for (let i = 0; i < bufferSize; i++) {
+                    lastOut = (lastOut + 0.02 * white()) / 1.02;
+                    output[i] = lastOut;
+                }
+                break;
+            }
+            case 'blue': {
+                // Differentiated pink (+3 dB/octave)
+                const pink = new Float32Array(bufferSize);
+                this.fillPinkNoise(pink);
+                for (let i = 0; i < bufferSize; i++) {
+                    output[i] = pink[i] - pink[(i + bufferSize - 1) % bufferSize];
+                }
+                break;
+            }
+            case 'violet': {
+                // Differentiated white (+6 dB/octave)
+                let last = white();
+                for (let i = 0; i < bufferSize; i++) {
+                    const w = white();
+                    output[i] = w - last;
+                    last = w;
+                }
+                break;
+            }
+            case 'grey':
+                this.fillGreyNoise(output);
+                break;
+            case 'velvet': {
+                // One random-sign impulse at a random spot in every period
+                const period = Math.round(sampleRate / 2000);
+                for (let start = 0; start + period <= bufferSize; start += period) {
+                    output[start + Math.floor(Math.random() * period)] = Math.random() < 0.5 ? -1 : 1;
+                }
+                break;
             }
+            default:
+                for (let i = 0; i < bufferSize; i++) output[i] = white();
+        }
+
+        // Bring every color to the same RMS level without clipping
+        if (this.noiseType !== 'velvet') {
+            let sum = 0;
+            for (let i = 0; i < bufferSize; i++) sum += output[i] * output[i];
+            const rms = Math.sqrt(sum / bufferSize) || 1;
+            let gain = 0.25 / rms;
+            let peak = 0;
+            for (let i = 0; i < bufferSize; i++) peak = Math.max(peak, Math.abs(output[i]));
+            gain = Math.min(gain, 0.99 / (peak || 1));
+            for (let i = 0; i < bufferSize; i++) output[i] *= gain;
         }
         return buffer;
     }
 
+    /**
+     * Paul Kellet's refined pink filter (-3 dB/octave)
+     */
+    fillPinkNoise(output) {
+        let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+        for (let i = 0; i < output.length; i++) {
+            const w = Math.random() * 2 - 1;
+            b0 = 0.99886 * b0 + w * 0.0555179;
+            b1 = 0.99332 * b1 + w * 0.0750759;
+            b2 = 0.96900 * b2 + w * 0.1538520;
+            b3 = 0.86650 * b3 + w * 0.3104856;
+            b4 = 0.55000 * b4 + w * 0.5329522;
+            b5 = -0.7616 * b5 - w * 0.0168980;
+            output[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + w * 0.5362;
+            b6 = w * 0.115926;
+        }
+    }
+
+    /**
+     * Grey noise: random-phase spectrum with the inverse A-weighting curve,
+     * limited to +40 dB and to the 20 Hz - 20 kHz band
+     */
+    fillGreyNoise(output) {
+        const n = output.length;
+        const sampleRate = this.audioContext.sampleRate;
+        const re = new Float32Array(n);
+        const im = new Float32Array(n);
+        const aWeight = (f) => {
+            const f2 = f * f;
+            const ra = (148693636 * f2 * f2) /
+                ((f2 + 424.36) * Math.sqrt((f2 + 11599.29) * (f2 + 544496.41)) * (f2 + 148693636));
+            return ra * 1.2589; // 0 dB at 1 kHz
+        };
+        for (let k = 1; k < n / 2; k++) {
+            const f = k * sampleRate / n;
+            if (f < 20 || f > 20000) continue;
+            const mag = Math.min(100, 1 / aWeight(f));
+            const phase = Math.random() * 2 * Math.PI;
+            re[k] = mag * Math.cos(phase);
+            im[k] = mag * Math.sin(phase);
+            // Hermitian symmetry keeps the result real
+            re[n - k] = re[k];
+            im[n - k] = -im[k];
+        }
+        NoiseGenerator.inverseFFT(re, im);
+        output.set(re);
+    }
+
+    /**
+     * In-place iterative radix-2 inverse FFT (real part ends up in `re`)
+     */
+    static inverseFFT(re, im) {
+        const n = re.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+        for (let len = 2; len <= n; len <<= 1) {
+            const angle = 2 * Math.PI / len;
+            const wRe = Math.cos(angle);
+            const wIm = Math.sin(angle);
+            for (let i = 0; i < n; i += len) {
+                let curRe = 1, curIm = 0;
+                for (let j = 0; j < len / 2; j++) {
+                    const aRe = re[i + j], aIm = im[i + j];
+                    const bRe = re[i + j + len / 2] * curRe - im[i + j + len / 2] * curIm;
+                    const bIm = re[i + j + len / 2] * curIm + im[i + j + len / 2] * curRe;
+                    re[i + j] = aRe + bRe;
+                    im[i + j] = aIm + bIm;
+                    re[i + j + len / 2] = aRe - bRe;
+                    im[i + j + len / 2] = aIm - bIm;
+                    const nextRe = curRe * wRe - curIm * wIm;
+                    curIm = curRe * wIm + curIm * wRe;
+                    curRe = nextRe;
+                }
+            }
+        }
+    }
+
+    /**
+     * Looping buffer source for the current noise color
+     */
+    createNoiseSource() {
+        const source = this.audioContext.createBufferSource();
+        source.buffer = this.createNoiseBuffer();
+        source.loop = true;
+        return source;
+    }
+
     start(destination) {
         if (this.isPlaying) return;
-        this.noiseNode = this.audioContext.createBufferSource();
-        this.noiseNode.buffer = this.createNoiseBuffer();
-        this.noiseNode.loop = true;
+        this.noiseNode = this.createNoiseSource();
         this.filterNode = this.audioContext.createBiquadFilter();
+        this.filterNode.type = this.filterType;
         this.filterNode.frequency.value = this.filterFreq;
+        this.filterNode.Q.value = this.filterQ;
         this.gainNode = this.audioContext.createGain();
         this.gainNode.gain.value = this.volume;
         this.noiseNode.connect(this.filterNode).connect(this.gainNode);
@@ -127,7 +597,16 @@ class NoiseGenerator {
         this.isPlaying = false;
     }
 
-    setNoiseType(t) { this.noiseType = t; if (this.isPlaying) { this.stop(); this.start(); } }
+    setNoiseType(t) {
+        this.noiseType = t;
+        if (!this.isPlaying) return;
+        // Swap the source in place so the filter/gain routing is kept
+        const old = this.noiseNode;
+        this.noiseNode = this.createNoiseSource();
+        this.noiseNode.connect(this.filterNode);
+        this.noiseNode.start();
+        if (old) { try { old.stop(); old.disconnect(); } catch(e){} }
+    }
     setFilterFreq(f) { 
         this.filterFreq = f; 
         if (this.filterNode) {
@@ -136,12 +615,32 @@ class NoiseGenerator {
             this.filterNode.frequency.setTargetAtTime(f, now, 0.01); 
         }
     }
+    setFilterType(t) {
+        if (!['lowpass', 'bandpass', 'highpass', 'notch'].includes(t)) return;
+        this.filterType = t;
+        if (this.filterNode) this.filterNode.type = t;
+    }
+    setFilterQ(q) {
+        this.filterQ = Math.max(0.0001, Math.min(30, q));
+        if (this.filterNode) this.filterNode.Q.setTargetAtTime(this.filterQ, this.audioContext.currentTime, 0.01);
+    }
     setVolume(v) { this.volume = v; if (this.gainNode) this.gainNode.gain.setTargetAtTime(v, this.audioContext.currentTime, 0.01); }
     getOutput() { return this.gainNode; }
     getIsPlaying() { return this.isPlaying; }
     destroy() { this.stop(); }
 }
 
+/**
+ * Brainwave bands used by the binaural presets (beat frequency in Hz)
+ */
+const BRAINWAVE_PRESETS = {
+    delta: { name: 'Delta', label: 'δ Sleep', beatFreq: 2, range: [1, 4], state: 'Deep sleep, healing' },
+    theta: { name: 'Theta', label: 'θ Meditate', beatFreq: 6, range: [4, 8], state: 'Meditation, deep relaxation' },
+    alpha: { name: 'Alpha', label: 'α Relax', beatFreq: 10, range: [8, 14], state: 'Relaxed alertness, creativity' },
+    beta: { name: 'Beta', label: 'β Focus', beatFreq: 20, range: [14, 30], state: 'Active thinking, focus' },
+    gamma: { name: 'Gamma', label: 'γ Peak', beatFreq: 40, range: [30, 100], state: 'High-level cognition' }
+};
+
 class BinauralBeatsGenerator {
     constructor(audioContext) {
         this.audioContext = audioContext;
@@ -176,6 +675,43 @@ class BinauralBeatsGenerator {
 
     setBaseFrequency(f) { this.baseFreq = f; this.update(); }
     setBeatFrequency(f) { this.beatFreq = f; this.update(); }
+
+    /**
+     * Jump to a brainwave band's beat frequency
+     * @param {string} preset - Key of BRAINWAVE_PRESETS (delta, theta, alpha, beta, gamma)
+     */
+    setPreset(preset) {
+        const p = BRAINWAVE_PRESETS[preset];
+        if (!p) return false;
+        this.setBeatFrequency(p.beatFreq);
+        return true;
+    }
+
+    /**
+     * Schedule a linear glide of carrier and beat frequency (used by session programs)
+     * @param {number} baseFreq - Carrier at the end of the ramp
+     * @param {number} beatFreq - Beat frequency at the end of the ramp
+     * @param {number} endTime - AudioContext time the ramp ends
+     */
+    scheduleRamp(baseFreq, beatFreq, endTime) {
+        if (!this.isPlaying) return;
+        this.oscLeft.frequency.linearRampToValueAtTime(Math.max(1, baseFreq - beatFreq / 2), endTime);
+        this.oscRight.frequency.linearRampToValueAtTime(Math.max(1, baseFreq + beatFreq / 2), endTime);
+    }
+
+    /**
+     * Drop scheduled ramps and pin the oscillators to the given values
+     */
+    holdAt(baseFreq, beatFreq, time = this.audioContext.currentTime) {
+        this.baseFreq = baseFreq;
+        this.beatFreq = beatFreq;
+        if (!this.isPlaying) return;
+        [[this.oscLeft, baseFreq - beatFreq / 2], [this.oscRight, baseFreq + beatFreq / 2]].forEach(([osc, f]) => {
+            osc.frequency.cancelScheduledValues(time);
+            osc.frequency.setValueAtTime(Math.max(1, f), time);
+        });
+    }
+
     update() {
         if (!this.isPlaying) return;
         const now = this.audioContext.currentTime;
@@ -194,60 +730,346 @@ class BinauralBeatsGenerator {
     destroy() { this.stop(); }
 }
 
+/**
+ * Monaural beats: both tones summed before the ear, so it works on speakers
+ */
+class MonauralBeatsGenerator extends BinauralBeatsGenerator {
+    start(destination) {
+        if (this.isPlaying) return;
+        const mix = this.audioContext.createGain();
+        mix.gain.value = 0.5;
+        this.oscLeft = this.audioContext.createOscillator();
+        this.oscRight = this.audioContext.createOscillator();
+        this.oscLeft.frequency.value = this.baseFreq - (this.beatFreq/2);
+        this.oscRight.frequency.value = this.baseFreq + (this.beatFreq/2);
+        this.oscLeft.connect(mix);
+        this.oscRight.connect(mix);
+        mix.connect(this.outputGain);
+        if (destination) this.outputGain.connect(destination);
+        this.oscLeft.start(); this.oscRight.start();
+        this.isPlaying = true;
+    }
+}
+
+/**
+ * Isochronic tones: a single carrier switched on and off at the beat frequency.
+ * The gate is a sine LFO pushed through a tanh curve, which gives a square-ish
+ * pulse with soft edges instead of clicks.
+ */
+class IsochronicGenerator extends BinauralBeatsGenerator {
+    constructor(audioContext) {
+        super(audioContext);
+        this.carrier = null;
+        this.gateOsc = null;
+        this.gateShaper = null;
+        this.gateGain = null;
+        this.gateSharpness = 6; // Higher = harder on/off edges
+    }
+
+    createGateCurve() {
+        const size = 1024;
+        const curve = new Float32Array(size);
+        const norm = Math.tanh(this.gateSharpness);
+        for (let i = 0; i < size; i++) {
+            const x = (i / (size - 1)) * 2 - 1;
+            curve[i] = 0.5 * (1 + Math.tanh(this.gateSharpness * x) / norm);
+        }
+        return curve;
+    }
+
+    start(destination) {
+        if (this.isPlaying) return;
+        const ctx = this.audioContext;
+        this.carrier = ctx.createOscillator();
+        this.carrier.frequency.value = this.baseFreq;
+
+        this.gateOsc = ctx.createOscillator();
+        this.gateOsc.frequency.value = this.beatFreq;
+        this.gateShaper = ctx.createWaveShaper();
+        this.gateShaper.curve = this.createGateCurve();
+
+        // The shaped LFO fully drives the gain (0 = off, 1 = on)
+        this.gateGain = ctx.createGain();
+        this.gateGain.gain.value = 0;
+        this.gateOsc.connect(this.gateShaper).connect(this.gateGain.gain);
+
+        this.carrier.connect(this.gateGain).connect(this.outputGain);
+        if (destination) this.outputGain.connect(destination);
+        this.carrier.start(); this.gateOsc.start();
+        this.isPlaying = true;
+    }
+
+    stop() {
+        if (!this.isPlaying) return;
+        [this.carrier, this.gateOsc].forEach(o => { if (o) { try { o.stop(); o.disconnect(); } catch(e){} } });
+        [this.gateShaper, this.gateGain].forEach(n => { if (n) n.disconnect(); });
+        this.isPlaying = false;
+    }
+
+    update() {
+        if (!this.isPlaying) return;
+        const now = this.audioContext.currentTime;
+        this.carrier.frequency.cancelScheduledValues(now);
+        this.gateOsc.frequency.cancelScheduledValues(now);
+        this.carrier.frequency.setTargetAtTime(Math.max(1, this.baseFreq), now, 0.01);
+        this.gateOsc.frequency.setTargetAtTime(Math.max(0.1, this.beatFreq), now, 0.01);
+    }
+
+    scheduleRamp(baseFreq, beatFreq, endTime) {
+        if (!this.isPlaying) return;
+        this.carrier.frequency.linearRampToValueAtTime(Math.max(1, baseFreq), endTime);
+        this.gateOsc.frequency.linearRampToValueAtTime(Math.max(0.1, beatFreq), endTime);
+    }
+
+    holdAt(baseFreq, beatFreq, time = this.audioContext.currentTime) {
+        this.baseFreq = baseFreq;
+        this.beatFreq = beatFreq;
+        if (!this.isPlaying) return;
+        [[this.carrier.frequency, Math.max(1, baseFreq)], [this.gateOsc.frequency, Math.max(0.1, beatFreq)]].forEach(([param, f]) => {
+            param.cancelScheduledValues(time);
+            param.setValueAtTime(f, time);
+        });
+    }
+}
+
+/**
+ * DX-style 4-operator algorithms. Operators are numbered 1-4, `mods` lists
+ * [modulator, target] pairs and `feedback` is the self-modulating operator.
+ */
+const FM_ALGORITHMS = [
+    { name: '4→3→2→1', carriers: [1], mods: [[4, 3], [3, 2], [2, 1]], feedback: 4 },
+    { name: '(3+4)→2→1', carriers: [1], mods: [[3, 2], [4, 2], [2, 1]], feedback: 4 },
+    { name: '(2 + 4→3)→1', carriers: [1], mods: [[2, 1], [4, 3], [3, 1]], feedback: 4 },
+    { name: '4→(2+3)→1', carriers: [1], mods: [[4, 2], [4, 3], [2, 1], [3, 1]], feedback: 4 },
+    { name: '2→1 + 4→3', carriers: [1, 3], mods: [[2, 1], [4, 3]], feedback: 4 },
+    { name: '4→(1+2+3)', carriers: [1, 2, 3], mods: [[4, 1], [4, 2], [4, 3]], feedback: 4 },
+    { name: '4→3 + 2 + 1', carriers: [1, 2, 3], mods: [[4, 3]], feedback: 4 },
+    { name: '1+2+3+4', carriers: [1, 2, 3, 4], mods: [], feedback: 4 }
+];
+
 class FMSynthesizer {
     constructor(audioContext) {
         this.audioContext = audioContext;
-        this.carrier = null; this.modulator = null;
-        this.modIndex = this.audioContext.createGain();
         this.outputGain = this.audioContext.createGain();
         this.isPlaying = false;
         this.volume = 0.5;
         this.carrierFreq = 440;
-        this.modulatorFreq = 110;
-        this.modulationDepth = 100;
+        this.modulationDepth = 100; // Global modulation index in %
+        this.algorithm = 0;
+        this.feedback = 0;
+        this.operators = FMSynthesizer.getDefaultOperators();
+        this.chord = { type: 'off', intervals: [400, 700], inversion: 0, spread: 0 };
+        this.notes = [];           // Running chord notes: { ratio, ops, feedbackDelay, feedbackGain }
+        this.carrierMix = null;
+    }
+
+    static getAlgorithms() {
+        return FM_ALGORITHMS;
+    }
+
+    /**
+     * Defaults sound like the classic 2-operator 440/110 Hz pair
+     */
+    static getDefaultOperators() {
+        return [
+            { ratio: 1, level: 1, attack: 0.01, decay: 0.1, sustain: 1, release: 0.05 },
+            { ratio: 0.25, level: 1, attack: 0.01, decay: 0.1, sustain: 1, release: 0.05 },
+            { ratio: 2, level: 0, attack: 0.01, decay: 0.3, sustain: 0.5, release: 0.05 },
+            { ratio: 1, level: 0, attack: 0.01, decay: 0.3, sustain: 0.5, release: 0.05 }
+        ];
     }
 
     start(destination) {
         if (this.isPlaying) return;
-        this.carrier = this.audioContext.createOscillator();
-        this.modulator = this.audioContext.createOscillator();
-        this.carrier.frequency.value = this.carrierFreq;
-        this.modulator.frequency.value = this.modulatorFreq;
-        this.modIndex.gain.value = this.modulationDepth;
-        this.modulator.connect(this.modIndex).connect(this.carrier.frequency);
-        this.carrier.connect(this.outputGain);
+        const ctx = this.audioContext;
+        this.carrierMix = ctx.createGain();
+        this.carrierMix.connect(this.outputGain);
+
+        // One set of operators per chord note
+        this.notes = chordRatios(this.chord).map(ratio => this.createNote(ratio));
+        this.carrierMix.gain.value = 1 / Math.sqrt(this.notes.length);
+
+        this.connectAlgorithm();
         if (destination) this.outputGain.connect(destination);
-        this.carrier.start(); this.modulator.start();
+        this.notes.forEach(note => note.ops.forEach(o => o.osc.start()));
         this.isPlaying = true;
+        this.noteOn();
+    }
+
+    /**
+     * Operators and feedback path for one chord note
+     * @param {number} ratio - Note frequency relative to the carrier frequency
+     */
+    createNote(ratio) {
+        const ctx = this.audioContext;
+        // Each operator: oscillator -> level -> envelope -> (carrier mix | another operator's frequency)
+        const ops = this.operators.map(op => {
+            const osc = ctx.createOscillator();
+            osc.frequency.value = this.carrierFreq * ratio * op.ratio;
+            const level = ctx.createGain();
+            const envelope = new ADSREnvelope(ctx, op);
+            osc.connect(level).connect(envelope.getInput());
+            return { osc, level, envelope };
+        });
+
+        // Feedback loops need a delay to be legal in the audio graph
+        const feedbackDelay = ctx.createDelay(0.01);
+        feedbackDelay.delayTime.value = 128 / ctx.sampleRate;
+        const feedbackGain = ctx.createGain();
+        feedbackDelay.connect(feedbackGain);
+        return { ratio, ops, feedbackDelay, feedbackGain };
     }
 
     stop() {
         if (!this.isPlaying) return;
-        [this.carrier, this.modulator].forEach(o => { if (o) { try { o.stop(); o.disconnect(); } catch(e){} } });
+        this.notes.forEach(note => {
+            note.ops.forEach(o => {
+                try { o.osc.stop(); o.osc.disconnect(); } catch(e){}
+                o.level.disconnect();
+                o.envelope.disconnect();
+            });
+            note.feedbackDelay.disconnect();
+            note.feedbackGain.disconnect();
+        });
+        this.notes = [];
+        if (this.carrierMix) this.carrierMix.disconnect();
         this.isPlaying = false;
     }
 
-    setCarrierFreq(f) { this.carrierFreq = f; if (this.carrier) this.carrier.frequency.setTargetAtTime(f, this.audioContext.currentTime, 0.01); }
-    setModulatorFreq(f) { this.modulatorFreq = f; if (this.modulator) this.modulator.frequency.setTargetAtTime(f, this.audioContext.currentTime, 0.01); }
-    setModulationIndex(i) { this.modulationDepth = i; this.modIndex.gain.setTargetAtTime(i, this.audioContext.currentTime, 0.01); }
+    /**
+     * Wire the running operators according to the current algorithm
+     */
+    connectAlgorithm() {
+        if (!this.notes.length) return;
+        const algo = FM_ALGORITHMS[this.algorithm];
+        this.notes.forEach(({ ops, feedbackDelay, feedbackGain }) => {
+            ops.forEach(o => o.envelope.disconnect());
+            feedbackGain.disconnect();
+
+            algo.carriers.forEach(n => ops[n - 1].envelope.connect(this.carrierMix));
+            algo.mods.forEach(([from, to]) => ops[from - 1].envelope.connect(ops[to - 1].osc.frequency));
+
+            const fbOp = ops[algo.feedback - 1];
+            fbOp.envelope.connect(feedbackDelay);
+            feedbackGain.connect(fbOp.osc.frequency);
+        });
+        this.updateLevels();
+    }
+
+    /**
+     * Carriers share the output evenly; modulators are scaled to a frequency deviation
+     * of level * index * modulator frequency (Hz)
+     */
+    updateLevels() {
+        if (!this.notes.length) return;
+        const now = this.audioContext.currentTime;
+        const algo = FM_ALGORITHMS[this.algorithm];
+        const depth = this.modulationDepth / 100;
+        this.notes.forEach(note => {
+            const noteFreq = this.carrierFreq * note.ratio;
+            this.operators.forEach((op, i) => {
+                const freq = noteFreq * op.ratio;
+                const isCarrier = algo.carriers.includes(i + 1);
+                const gain = isCarrier ? op.level / algo.carriers.length : op.level * depth * freq;
+                note.ops[i].osc.frequency.setTargetAtTime(freq, now, 0.01);
+                note.ops[i].level.gain.setTargetAtTime(gain, now, 0.01);
+            });
+            const fbFreq = noteFreq * this.operators[algo.feedback - 1].ratio;
+            note.feedbackGain.gain.setTargetAtTime(this.feedback * fbFreq, now, 0.01);
+        });
+    }
+
+    /**
+     * Retrigger the operator envelopes
+     */
+    noteOn(velocity = 1) {
+        this.notes.forEach(note => note.ops.forEach(o => o.envelope.triggerAttack(velocity)));
+    }
+
+    /**
+     * Release the operator envelopes
+     * @returns {number} Seconds until the longest release has finished
+     */
+    noteOff() {
+        return this.notes.reduce((max, note) =>
+            note.ops.reduce((m, o) => Math.max(m, o.envelope.triggerRelease()), max), 0);
+    }
+
+    setCarrierFreq(f) { this.carrierFreq = f; this.updateLevels(); }
+    // Kept for older patches: sets operator 2 as a fixed frequency relative to the carrier
+    setModulatorFreq(f) { this.setOperator(1, { ratio: f / this.carrierFreq }); }
+    setModulationIndex(i) { this.modulationDepth = i; this.updateLevels(); }
+    setAlgorithm(a) {
+        const n = parseInt(a);
+        if (isNaN(n) || !FM_ALGORITHMS[n]) return;
+        this.algorithm = n;
+        this.connectAlgorithm();
+    }
+    setFeedback(f) { this.feedback = Math.max(0, Math.min(1, f)); this.updateLevels(); }
+
+    /**
+     * Update one operator
+     * @param {number} index - Operator index (0-3)
+     * @param {Object} params - Any of { ratio, level, attack, decay, sustain, release }
+     */
+    setOperator(index, params) {
+        const op = this.operators[index];
+        if (!op) return;
+        if (params.ratio !== undefined) op.ratio = Math.max(0.01, params.ratio);
+        if (params.level !== undefined) op.level = Math.max(0, Math.min(1, params.level));
+        ['attack', 'decay', 'sustain', 'release'].forEach(k => {
+            if (params[k] !== undefined) op[k] = params[k];
+        });
+        this.notes.forEach(note => note.ops[index].envelope.setSettings(op));
+        if (this.notes.length) Object.assign(op, this.notes[0].ops[index].envelope.getSettings());
+        this.updateLevels();
+    }
+
+    setOperators(operators) {
+        operators.forEach((params, i) => this.setOperator(i, params));
+    }
+
+    /**
+     * @param {Object} params - Any of { type, intervals, inversion, spread }
+     */
+    setChord(params) {
+        this.chord = normalizeChord(this.chord, params);
+        if (this.isPlaying) {
+            this.stop();
+            this.start();
+        }
+    }
+
     setVolume(v) { this.volume = v; this.outputGain.gain.setTargetAtTime(v, this.audioContext.currentTime, 0.01); }
     getOutput() { return this.outputGain; }
     getIsPlaying() { return this.isPlaying; }
     destroy() { this.stop(); }
 }
 
+// Mono mixdowns of decoded samples, keyed by AudioBuffer
+const GRANULAR_MONO_CACHE = new WeakMap();
+
 class GranularSynthesizer {
     constructor(audioContext) {
         this.audioContext = audioContext;
         this.worklet = null;
-        this.sourceOsc = this.audioContext.createOscillator();
+        this.sourceOsc = null;
         this.outputGain = this.audioContext.createGain();
         this.isPlaying = false;
         this.volume = 0.5;
-        this.density = 20;
-        this.grainSize = 0.05;
+        this.density = 20;         // grains per second
+        this.grainSize = 50;       // ms
+        this.spray = 100;          // ms of start position jitter
+        this.pitchVariation = 0;   // +/- cents per grain
+        this.stereoSpread = 0;     // 0-1
         this.baseFreq = 440;
         this.waveform = 'sine';
+        // Sample source (replaces the oscillator when set)
+        this.sampleId = null;
+        this.sampleData = null;    // Mono Float32Array at the context sample rate
+        this.position = 0;         // 0-1
+        this.scanRate = 1;         // Playhead speed, 1 = real time, negative = reverse
+        this.freeze = false;
     }
 
     async start(destination) {
@@ -257,7 +1079,10 @@ class GranularSynthesizer {
             return;
         }
         try {
-            this.worklet = new AudioWorkletNode(this.audioContext, 'grain-player');
+            this.worklet = new AudioWorkletNode(this.audioContext, 'granular-processor', {
+                outputChannelCount: [2]
+            });
+            if (this.sampleData) this.worklet.port.postMessage({ type: 'setSample', data: this.sampleData });
             this.sourceOsc = this.audioContext.createOscillator();
             this.sourceOsc.type = this.waveform;
             this.sourceOsc.frequency.value = this.baseFreq;
@@ -272,17 +1097,28 @@ class GranularSynthesizer {
     stop() {
         if (!this.isPlaying) return;
         if (this.sourceOsc) { try { this.sourceOsc.stop(); this.sourceOsc.disconnect(); } catch(e){} }
-        if (this.worklet) this.worklet.disconnect();
+        if (this.worklet) {
+            this.worklet.port.postMessage({ type: 'stop' });
+            this.worklet.disconnect();
+            this.worklet = null;
+        }
         this.isPlaying = false;
     }
 
     updateParams() {
         if (!this.worklet) return;
         const now = this.audioContext.currentTime;
-        let overlap = 1 - (1 / (this.density * this.grainSize));
-        overlap = Math.max(0.1, Math.min(0.9, overlap));
-        this.worklet.parameters.get('grainSize').setTargetAtTime(this.grainSize, now, 0.01);
-        this.worklet.parameters.get('overlap').setTargetAtTime(overlap, now, 0.01);
+        const p = this.worklet.parameters;
+        p.get('density').setTargetAtTime(this.density, now, 0.01);
+        p.get('grainSize').setTargetAtTime(this.grainSize / 1000, now, 0.01);
+        p.get('spray').setTargetAtTime(this.spray / 1000, now, 0.01);
+        p.get('pitchVariation').setTargetAtTime(this.pitchVariation, now, 0.01);
+        p.get('stereoSpread').setTargetAtTime(this.stereoSpread, now, 0.01);
+        p.get('position').setValueAtTime(this.position, now);
+        p.get('scanRate').setTargetAtTime(this.scanRate, now, 0.01);
+        p.get('freeze').setValueAtTime(this.freeze ? 1 : 0, now);
+        // In sample mode the frequency transposes the sample, 440 Hz = original pitch
+        p.get('pitch').setTargetAtTime(Math.max(0.0625, Math.min(16, this.baseFreq / 440)), now, 0.01);
         if (this.sourceOsc) { this.sourceOsc.frequency.setTargetAtTime(this.baseFreq, now, 0.01); this.sourceOsc.type = this.waveform; }
         this.outputGain.gain.setTargetAtTime(this.volume, now, 0.01);
     }
@@ -290,44 +1126,1274 @@ class GranularSynthesizer {
     setBaseFreq(f) { this.baseFreq = f; this.updateParams(); }
     setWaveform(t) { this.waveform = t; this.updateParams(); }
     setVolume(v) { this.volume = v; this.updateParams(); }
-    setDensity(v) { this.density = v; this.updateParams(); }
-    setGrainSize(v) { this.grainSize = v / 1000; this.updateParams(); }
-    setSpray(v) {} 
-    setPitchVariation(v) {}
-    setStereoSpread(v) {}
+    setDensity(v) { this.density = Math.max(1, Math.min(200, v)); this.updateParams(); }
+    setGrainSize(ms) { this.grainSize = Math.max(5, Math.min(500, ms)); this.updateParams(); }
+    setSpray(ms) { this.spray = Math.max(0, Math.min(500, ms)); this.updateParams(); }
+    setPitchVariation(cents) { this.pitchVariation = Math.max(0, Math.min(1200, cents)); this.updateParams(); }
+    setStereoSpread(v) { this.stereoSpread = Math.max(0, Math.min(1, v)); this.updateParams(); }
+    setPosition(v) { this.position = Math.max(0, Math.min(1, v)); this.updateParams(); }
+    setScanRate(v) { this.scanRate = Math.max(-4, Math.min(4, v)); this.updateParams(); }
+    setFreeze(on) { this.freeze = !!on; this.updateParams(); }
+
+    /**
+     * Granulate a decoded sample instead of the oscillator
+     * @param {AudioBuffer} buffer - Decoded audio (mixed down to mono)
+     * @param {string} id - SampleLibrary id, saved with the patch
+     */
+    setSample(buffer, id) {
+        // Voices share one mixdown per buffer
+        let data = GRANULAR_MONO_CACHE.get(buffer);
+        if (!data) {
+            data = new Float32Array(buffer.length);
+            for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+                const channelData = buffer.getChannelData(ch);
+                for (let i = 0; i < buffer.length; i++) data[i] += channelData[i] / buffer.numberOfChannels;
+            }
+            GRANULAR_MONO_CACHE.set(buffer, data);
+        }
+        this.sampleId = id;
+        this.sampleData = data;
+        if (this.worklet) this.worklet.port.postMessage({ type: 'setSample', data });
+        this.updateParams();
+    }
+
+    clearSample() {
+        this.sampleId = null;
+        this.sampleData = null;
+        if (this.worklet) this.worklet.port.postMessage({ type: 'clearSample' });
+    }
     getOutput() { return this.outputGain; }
     getIsPlaying() { return this.isPlaying; }
     destroy() { this.stop(); }
 }
 
-class InfrasoundGenerator {
+// Samples per single-cycle frame (also the frame size of imported wavetable files)
+const WAVETABLE_SIZE = 2048;
+const WAVETABLE_MAX_FRAMES = 64;
+
+/**
+ * Built-in wavetables, described by their harmonic series so every mip level
+ * is exactly band-limited. `harmonic(n, k, frames)` returns the [cos, sin]
+ * amplitude of harmonic n in frame k.
+ */
+const BUILTIN_WAVETABLES = [
+    {
+        id: 'basic', name: 'Basic Shapes', frames: 4,
+        // Sine -> triangle -> sawtooth -> square
+        harmonic(n, k) {
+            const odd = n % 2 === 1;
+            switch (k) {
+                case 0: return [0, n === 1 ? 1 : 0];
+                case 1: return [0, odd ? (8 / (Math.PI * Math.PI)) * (((n - 1) / 2) % 2 ? -1 : 1) / (n * n) : 0];
+                case 2: return [0, (2 / Math.PI) * (n % 2 ? 1 : -1) / n];
+                default: return [0, odd ? 4 / (Math.PI * n) : 0];
+            }
+        }
+    },
+    {
+        id: 'pwm', name: 'Pulse Width', frames: 16,
+        // Same series as ToneGenerator.createSquareWaveWithDuty, duty 50% -> 5%
+        harmonic(n, k, frames) {
+            const duty = 0.5 - 0.45 * k / (frames - 1);
+            return [0, (2 / (n * Math.PI)) * Math.sin(n * Math.PI * duty)];
+        }
+    },
+    {
+        id: 'additive', name: 'Harmonic Build-up', frames: 16,
+        // Frame k holds the first k + 1 sawtooth harmonics
+        harmonic(n, k) {
+            return [0, n <= k + 1 ? 1 / n : 0];
+        }
+    },
+    {
+        id: 'resonant', name: 'Resonant Sweep', frames: 16,
+        // Sawtooth with a resonant peak sweeping from the 1st to the 48th harmonic
+        harmonic(n, k, frames) {
+            const center = 1 + 47 * k / (frames - 1);
+            return [0, (1 + 8 * Math.exp(-((n - center) ** 2) / 8)) / n];
+        }
+    }
+];
+
+// Band-limited tables shared by every voice: builtin id -> table, AudioBuffer -> table
+const WAVETABLE_CACHE = new Map();
+const WAVETABLE_USER_CACHE = new WeakMap();
+
+class WavetableSynthesizer {
     constructor(audioContext) {
         this.audioContext = audioContext;
         this.worklet = null;
         this.outputGain = this.audioContext.createGain();
         this.isPlaying = false;
-        this.frequency = 8;
-        this.fineTune = 0;
-        this.waveform = 'sine';
-        this.dutyCycle = 0.5;
-        this.volume = 0.7;
+        this.frequency = 440;
+        this.volume = 0.5;
+        this.morph = 0;            // 0 = first frame, 1 = last frame
+        this.tableId = 'basic';
+        this.chord = { type: 'off', intervals: [400, 700], inversion: 0, spread: 0 };
+        // Imported table (replaces the built-in one when set)
+        this.userTableId = null;   // SampleLibrary id, saved with the patch
+        this.userTable = null;
+    }
+
+    static getTables() {
+        return BUILTIN_WAVETABLES.map(t => ({ id: t.id, name: t.name, frames: t.frames }));
+    }
+
+    /**
+     * Mipmapped table for a built-in id (built on first use)
+     */
+    static getBuiltinTable(id) {
+        if (WAVETABLE_CACHE.has(id)) return WAVETABLE_CACHE.get(id);
+        const def = BUILTIN_WAVETABLES.find(t => t.id === id) || BUILTIN_WAVETABLES[0];
+        const half = WAVETABLE_SIZE / 2;
+        const spectra = [];
+        for (let k = 0; k < def.frames; k++) {
+            const re = new Float32Array(half);
+            const im = new Float32Array(half);
+            for (let n = 1; n < half; n++) {
+                [re[n], im[n]] = def.harmonic(n, k, def.frames);
+            }
+            spectra.push({ re, im });
+        }
+        const table = WavetableSynthesizer.buildTable(spectra);
+        WAVETABLE_CACHE.set(id, table);
+        return table;
+    }
+
+    /**
+     * Render band-limited mip levels for each frame's harmonic spectrum
+     * @param {Array<{re: Float32Array, im: Float32Array}>} spectra - cos/sin amplitude per harmonic
+     * @returns {Object} { data, frames, levels, size } in the wavetable worklet's layout
+     */
+    static buildTable(spectra) {
+        const size = WAVETABLE_SIZE;
+        const half = size / 2;
+        const levels = Math.log2(half) + 1;
+        const data = new Float32Array(spectra.length * levels * size);
+
+        spectra.forEach((spectrum, f) => {
+            let scale = 1;
+            for (let level = 0; level < levels; level++) {
+                const maxHarmonic = Math.min(half - 1, half >> level);
+                const re = new Float64Array(size);
+                const im = new Float64Array(size);
+                for (let n = 1; n <= maxHarmonic; n++) {
+                    re[n] = spectrum.re[n];
+                    im[n] = -spectrum.im[n];
+                }
+                NoiseGenerator.inverseFFT(re, im);
+
+                // Normalize every level of a frame by the full-band peak
+                if (level === 0) {
+                    let peak = 0;
+                    for (let i = 0; i < size; i++) peak = Math.max(peak, Math.abs(re[i]));
+                    scale = peak > 0 ? 1 / peak : 0;
+                }
+                const offset = (f * levels + level) * size;
+                for (let i = 0; i < size; i++) data[offset + i] = re[i] * scale;
+            }
+        });
+
+        return { data, frames: spectra.length, levels, size };
+    }
+
+    /**
+     * Build a table from an imported file. Files whose length is a multiple of
+     * WAVETABLE_SIZE are split into frames (the usual wavetable export format),
+     * anything else is taken as one single cycle.
+     */
+    static tableFromBuffer(buffer) {
+        if (WAVETABLE_USER_CACHE.has(buffer)) return WAVETABLE_USER_CACHE.get(buffer);
+
+        const mono = new Float32Array(buffer.length);
+        for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+            const channelData = buffer.getChannelData(ch);
+            for (let i = 0; i < buffer.length; i++) mono[i] += channelData[i] / buffer.numberOfChannels;
+        }
+
+        const frameLength = mono.length > WAVETABLE_SIZE && mono.length % WAVETABLE_SIZE === 0 ? WAVETABLE_SIZE : mono.length;
+        const count = Math.floor(mono.length / frameLength);
+        // Long tables are thinned out evenly
+        const used = Math.min(count, WAVETABLE_MAX_FRAMES);
+
+        const size = WAVETABLE_SIZE;
+        const half = size / 2;
+        const spectra = [];
+        for (let k = 0; k < used; k++) {
+            const frameIndex = used > 1 ? Math.round(k * (count - 1) / (used - 1)) : 0;
+            const start = frameIndex * frameLength;
+
+            // Resample the cycle to the table size, then take its spectrum
+            const re = new Float64Array(size);
+            const im = new Float64Array(size);
+            for (let i = 0; i < size; i++) {
+                const pos = i * frameLength / size;
+                const i0 = Math.floor(pos);
+                const i1 = (i0 + 1) % frameLength;
+                const frac = pos - i0;
+                re[i] = mono[start + i0] + frac * (mono[start + i1] - mono[start + i0]);
+            }
+            // Forward transform of a real signal via the inverse one: X = conj(IFFT(x))
+            NoiseGenerator.inverseFFT(re, im);
+
+            const spectrum = { re: new Float32Array(half), im: new Float32Array(half) };
+            for (let n = 1; n < half; n++) {
+                spectrum.re[n] = 2 * re[n] / size;
+                spectrum.im[n] = 2 * im[n] / size;
+            }
+            spectra.push(spectrum);
+        }
+
+        const table = WavetableSynthesizer.buildTable(spectra);
+        WAVETABLE_USER_CACHE.set(buffer, table);
+        return table;
+    }
+
+    getTable() {
+        return this.userTable || WavetableSynthesizer.getBuiltinTable(this.tableId);
     }
 
     async start(destination) {
         if (this.isPlaying) return;
         if (window.synth && !window.synth.workletsLoaded) return;
         try {
-            this.worklet = new AudioWorkletNode(this.audioContext, 'infrasound-processor');
+            this.worklet = new AudioWorkletNode(this.audioContext, 'wavetable-processor');
             this.worklet.connect(this.outputGain);
             if (destination) this.outputGain.connect(destination);
             this.isPlaying = true;
+            this.postTable();
+            this.postChord();
             this.updateParams();
         } catch (e) { console.error(e); }
     }
 
     stop() {
         if (!this.isPlaying) return;
-        if (this.worklet) { this.worklet.disconnect(); this.worklet = null; }
+        if (this.worklet) {
+            this.worklet.port.postMessage({ type: 'stop' });
+            this.worklet.disconnect();
+            this.worklet = null;
+        }
+        this.isPlaying = false;
+    }
+
+    postTable() {
+        if (this.worklet) this.worklet.port.postMessage({ type: 'setTable', table: this.getTable() });
+    }
+
+    postChord() {
+        if (this.worklet) this.worklet.port.postMessage({ type: 'setChord', ratios: chordRatios(this.chord) });
+    }
+
+    updateParams() {
+        if (!this.worklet) return;
+        const now = this.audioContext.currentTime;
+        this.worklet.parameters.get('frequency').setTargetAtTime(this.frequency, now, 0.01);
+        this.worklet.parameters.get('morph').setTargetAtTime(this.morph, now, 0.01);
+        this.outputGain.gain.setTargetAtTime(this.volume, now, 0.01);
+    }
+
+    setFrequency(f) { this.frequency = f; this.updateParams(); }
+    setVolume(v) { this.volume = v; this.updateParams(); }
+    setMorph(v) { this.morph = Math.max(0, Math.min(1, v)); this.updateParams(); }
+
+    /**
+     * @param {Object} params - Any of { type, intervals, inversion, spread }
+     */
+    setChord(params) {
+        this.chord = normalizeChord(this.chord, params);
+        this.postChord();
+    }
+
+    /**
+     * Select a built-in table (replaces an imported one)
+     */
+    setTable(id) {
+        if (!BUILTIN_WAVETABLES.some(t => t.id === id)) return;
+        this.tableId = id;
+        this.userTable = null;
+        this.userTableId = null;
+        this.postTable();
+    }
+
+    /**
+     * Play frames from an imported single-cycle or multi-frame file
+     * @param {AudioBuffer} buffer - Decoded at the file's own sample rate
+     * @param {string} id - SampleLibrary id, saved with the patch
+     */
+    setUserTable(buffer, id) {
+        this.userTable = WavetableSynthesizer.tableFromBuffer(buffer);
+        this.userTableId = id;
+        this.postTable();
+    }
+
+    clearUserTable() {
+        this.userTable = null;
+        this.userTableId = null;
+        this.postTable();
+    }
+
+    getOutput() { return this.outputGain; }
+    getIsPlaying() { return this.isPlaying; }
+    destroy() { this.stop(); }
+}
+
+const ADDITIVE_MAX_PARTIALS = 64;
+
+// Drawbar footages (16', 5 1/3', 8', 4', 2 2/3', 2', 1 3/5', 1 1/3', 1') as ratios to 8'
+const DRAWBAR_RATIOS = [0.5, 1.5, 1, 2, 3, 4, 5, 6, 8];
+
+/**
+ * Partials for a drawbar registration such as '888000000' (each step is 3 dB)
+ */
+function drawbarPartials(registration) {
+    return registration.split('').map((level, i) => ({
+        amp: level === '0' ? 0 : Math.pow(10, -3 * (8 - Number(level)) / 20),
+        ratio: DRAWBAR_RATIOS[i],
+        phase: 0
+    }));
+}
+
+/**
+ * Additive presets. `partials()` returns a fresh array of { amp, ratio, phase }
+ */
+const ADDITIVE_PRESETS = [
+    {
+        id: 'saw', name: 'Sawtooth',
+        partials: () => Array.from({ length: 32 }, (_, i) => ({ amp: 1 / (i + 1), ratio: i + 1, phase: 0 }))
+    },
+    {
+        id: 'square', name: 'Square',
+        partials: () => Array.from({ length: 32 }, (_, i) => ({ amp: i % 2 ? 0 : 1 / (i + 1), ratio: i + 1, phase: 0 }))
+    },
+    { id: 'organJazz', name: 'Organ 888000000', partials: () => drawbarPartials('888000000') },
+    { id: 'organGospel', name: 'Organ 868000006', partials: () => drawbarPartials('868000006') },
+    { id: 'organFull', name: 'Organ 888888888', partials: () => drawbarPartials('888888888') },
+    {
+        id: 'bell', name: 'Church Bell',
+        // Hum, prime, minor-third tierce, quint, nominal and upper partials of a tuned bell
+        partials: () => [
+            [0.5, 0.6], [1, 1], [1.19, 0.7], [1.5, 0.5], [2, 0.8], [2.51, 0.35],
+            [2.66, 0.3], [3.01, 0.25], [4.17, 0.2], [5.43, 0.15], [6.79, 0.1], [8.21, 0.08]
+        ].map(([ratio, amp]) => ({ amp, ratio, phase: 0 }))
+    },
+    {
+        id: 'glass', name: 'Glass Bowl',
+        // Free-free bar modes
+        partials: () => [1, 2.76, 5.40, 8.93, 13.34].map((ratio, i) => ({ amp: 1 / (i + 1), ratio, phase: 0 }))
+    },
+    {
+        id: 'stretch', name: 'Stretched Harmonics',
+        // Piano-string stiffness: f_n = n * sqrt(1 + B n^2)
+        partials: () => Array.from({ length: 24 }, (_, i) => {
+            const n = i + 1;
+            return { amp: 1 / n, ratio: n * Math.sqrt(1 + 0.0008 * n * n), phase: 0 };
+        })
+    }
+];
+
+class AdditiveSynthesizer {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.worklet = null;
+        this.outputGain = this.audioContext.createGain();
+        this.isPlaying = false;
+        this.frequency = 440;
+        this.volume = 0.5;
+        // { amp (0-1), ratio (to the fundamental), phase (0-1 of a cycle) }
+        this.partials = AdditiveSynthesizer.getPresetPartials('saw').slice(0, 16);
+    }
+
+    static getPresets() {
+        return ADDITIVE_PRESETS.map(p => ({ id: p.id, name: p.name }));
+    }
+
+    static getPresetPartials(id) {
+        const preset = ADDITIVE_PRESETS.find(p => p.id === id);
+        return preset ? preset.partials() : null;
+    }
+
+    static getMaxPartials() {
+        return ADDITIVE_MAX_PARTIALS;
+    }
+
+    static sanitizePartial(partial, index) {
+        const ratio = Number(partial.ratio);
+        const phase = Number(partial.phase) || 0;
+        return {
+            amp: Math.max(0, Math.min(1, Number(partial.amp) || 0)),
+            ratio: Math.max(0.01, Math.min(64, isNaN(ratio) ? index + 1 : ratio)),
+            phase: phase - Math.floor(phase)
+        };
+    }
+
+    async start(destination) {
+        if (this.isPlaying) return;
+        if (window.synth && !window.synth.workletsLoaded) return;
+        try {
+            this.worklet = new AudioWorkletNode(this.audioContext, 'additive-processor');
+            this.worklet.connect(this.outputGain);
+            if (destination) this.outputGain.connect(destination);
+            this.isPlaying = true;
+            this.postPartials();
+            this.updateParams();
+        } catch (e) { console.error(e); }
+    }
+
+    stop() {
+        if (!this.isPlaying) return;
+        if (this.worklet) {
+            this.worklet.port.postMessage({ type: 'stop' });
+            this.worklet.disconnect();
+            this.worklet = null;
+        }
+        this.isPlaying = false;
+    }
+
+    postPartials() {
+        if (this.worklet) this.worklet.port.postMessage({ type: 'setPartials', partials: this.partials });
+    }
+
+    updateParams() {
+        if (!this.worklet) return;
+        const now = this.audioContext.currentTime;
+        this.worklet.parameters.get('frequency').setTargetAtTime(this.frequency, now, 0.01);
+        this.outputGain.gain.setTargetAtTime(this.volume, now, 0.01);
+    }
+
+    setFrequency(f) { this.frequency = f; this.updateParams(); }
+    setVolume(v) { this.volume = v; this.updateParams(); }
+
+    /**
+     * Replace all partials (up to 64)
+     */
+    setPartials(partials) {
+        if (!Array.isArray(partials) || !partials.length) return;
+        this.partials = partials.slice(0, ADDITIVE_MAX_PARTIALS).map((p, i) => AdditiveSynthesizer.sanitizePartial(p, i));
+        this.postPartials();
+    }
+
+    /**
+     * Update one partial
+     * @param {number} index - Partial index
+     * @param {Object} params - Any of { amp, ratio, phase }
+     */
+    setPartial(index, params) {
+        const partial = this.partials[index];
+        if (!partial) return;
+        this.partials[index] = AdditiveSynthesizer.sanitizePartial({ ...partial, ...params }, index);
+        this.postPartials();
+    }
+
+    /**
+     * Grow (with silent harmonic partials) or shrink the partial list
+     */
+    setPartialCount(count) {
+        const n = Math.max(1, Math.min(ADDITIVE_MAX_PARTIALS, parseInt(count) || 1));
+        while (this.partials.length < n) {
+            this.partials.push({ amp: 0, ratio: this.partials.length + 1, phase: 0 });
+        }
+        this.partials.length = n;
+        this.postPartials();
+    }
+
+    /**
+     * @returns {boolean} false for an unknown preset id
+     */
+    setPreset(id) {
+        const partials = AdditiveSynthesizer.getPresetPartials(id);
+        if (!partials) return false;
+        this.setPartials(partials);
+        return true;
+    }
+
+    getOutput() { return this.outputGain; }
+    getIsPlaying() { return this.isPlaying; }
+    destroy() { this.stop(); }
+}
+
+class PhysicalModelGenerator {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.worklet = null;
+        this.outputGain = this.audioContext.createGain();
+        this.isPlaying = false;
+        this.frequency = 220;
+        this.volume = 0.7;
+        this.model = 'string';     // 'string' | 'tube' | 'membrane'
+        this.damping = 0.3;        // 0-1, longer to shorter ring
+        this.brightness = 0.5;     // 0-1
+        this.pickPosition = 0.2;   // 0-0.5 of the string length
+    }
+
+    static getModels() {
+        return [
+            { id: 'string', name: '🎸 Plucked String' },
+            { id: 'tube', name: '🎷 Tube' },
+            { id: 'membrane', name: '🥁 Membrane' }
+        ];
+    }
+
+    async start(destination) {
+        if (this.isPlaying) return;
+        if (window.synth && !window.synth.workletsLoaded) return;
+        try {
+            this.worklet = new AudioWorkletNode(this.audioContext, 'physical-model-processor');
+            this.worklet.connect(this.outputGain);
+            if (destination) this.outputGain.connect(destination);
+            this.isPlaying = true;
+            this.updateParams();
+            this.noteOn();
+        } catch (e) { console.error(e); }
+    }
+
+    stop() {
+        if (!this.isPlaying) return;
+        if (this.worklet) {
+            this.worklet.port.postMessage({ type: 'stop' });
+            this.worklet.disconnect();
+            this.worklet = null;
+        }
+        this.isPlaying = false;
+    }
+
+    updateParams() {
+        if (!this.worklet) return;
+        const now = this.audioContext.currentTime;
+        const p = this.worklet.parameters;
+        p.get('frequency').setTargetAtTime(Math.max(20, Math.min(4000, this.frequency)), now, 0.01);
+        p.get('damping').setTargetAtTime(this.damping, now, 0.01);
+        p.get('brightness').setTargetAtTime(this.brightness, now, 0.01);
+        p.get('pickPosition').setTargetAtTime(this.pickPosition, now, 0.01);
+        this.worklet.port.postMessage({ type: 'setModel', model: this.model });
+        this.outputGain.gain.setTargetAtTime(this.volume, now, 0.01);
+    }
+
+    /**
+     * Pluck (or strike) the model
+     * @param {number} velocity - Excitation strength (0-1)
+     */
+    noteOn(velocity = 1) {
+        if (this.worklet) this.worklet.port.postMessage({ type: 'pluck', velocity });
+    }
+
+    setFrequency(f) { this.frequency = f; this.updateParams(); }
+    setVolume(v) { this.volume = v; this.updateParams(); }
+    setModel(m) {
+        if (!PhysicalModelGenerator.getModels().some(model => model.id === m)) return;
+        this.model = m;
+        this.updateParams();
+    }
+    setDamping(v) { this.damping = Math.max(0, Math.min(1, v)); this.updateParams(); }
+    setBrightness(v) { this.brightness = Math.max(0, Math.min(1, v)); this.updateParams(); }
+    setPickPosition(v) { this.pickPosition = Math.max(0, Math.min(0.5, v)); this.updateParams(); }
+    getOutput() { return this.outputGain; }
+    getIsPlaying() { return this.isPlaying; }
+    destroy() { this.stop(); }
+}
+
+/**
+ * Sung vowel formants (tenor): [frequency Hz, bandwidth Hz, level dB] for F1-F5
+ */
+const FORMANT_VOWELS = [
+    { id: 'a', name: 'A (father)', formants: [[650, 80, 0], [1080, 90, -6], [2650, 120, -7], [2900, 130, -8], [3250, 140, -22]] },
+    { id: 'e', name: 'E (bed)', formants: [[400, 70, 0], [1700, 80, -14], [2600, 100, -12], [3200, 120, -14], [3580, 120, -20]] },
+    { id: 'i', name: 'I (see)', formants: [[290, 40, 0], [1870, 90, -15], [2800, 100, -18], [3250, 120, -20], [3540, 120, -30]] },
+    { id: 'o', name: 'O (go)', formants: [[400, 40, 0], [800, 80, -10], [2600, 100, -12], [2800, 120, -12], [3000, 120, -26]] },
+    { id: 'u', name: 'U (food)', formants: [[350, 40, 0], [600, 60, -20], [2700, 100, -17], [2900, 120, -14], [3300, 120, -26]] }
+];
+
+// Make-up gain for the band-pass bank, which passes only a little of each source
+const FORMANT_SOURCE_GAIN = { pulse: 3, noise: 5 };
+
+/**
+ * Formant (vowel) generator: a glottal-like pulse train, or noise for a
+ * whisper, through five parallel band-pass filters at the formants of a sung
+ * vowel. The vowel morph glides through a, e, i, o, u.
+ */
+class FormantGenerator {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.source = null;
+        this.isPlaying = false;
+        this.frequency = 110;
+        this.volume = 0.5;
+        this.sourceType = 'pulse';  // 'pulse' | 'noise'
+        this.vowel = 0;             // 0 = a, 0.25 = e, 0.5 = i, 0.75 = o, 1 = u
+        this.noiseBuffer = null;
+
+        // Source -> make-up gain -> band-pass per formant -> level per formant -> output
+        this.outputGain = this.audioContext.createGain();
+        this.outputGain.gain.value = this.volume;
+        this.inputGain = this.audioContext.createGain();
+        this.formants = FORMANT_VOWELS[0].formants.map(() => {
+            const filter = this.audioContext.createBiquadFilter();
+            filter.type = 'bandpass';
+            const level = this.audioContext.createGain();
+            this.inputGain.connect(filter);
+            filter.connect(level);
+            level.connect(this.outputGain);
+            return { filter, level };
+        });
+        this.updateFormants(0);
+    }
+
+    static getVowels() {
+        return FORMANT_VOWELS.map(v => ({ id: v.id, name: v.name }));
+    }
+
+    static getSources() {
+        return [
+            { id: 'pulse', name: 'Voiced (Pulse)' },
+            { id: 'noise', name: 'Whispered (Noise)' }
+        ];
+    }
+
+    /**
+     * Morph position of a vowel preset
+     */
+    static getVowelPosition(id) {
+        const index = FORMANT_VOWELS.findIndex(v => v.id === id);
+        return index < 0 ? 0 : index / (FORMANT_VOWELS.length - 1);
+    }
+
+    /**
+     * Formants between the two nearest vowels: frequencies glide on a log scale,
+     * bandwidths and dB levels linearly
+     */
+    static interpolateFormants(position) {
+        const x = Math.max(0, Math.min(1, position)) * (FORMANT_VOWELS.length - 1);
+        const i = Math.min(FORMANT_VOWELS.length - 2, Math.floor(x));
+        const t = x - i;
+        const a = FORMANT_VOWELS[i].formants;
+        const b = FORMANT_VOWELS[i + 1].formants;
+        return a.map(([freq, bw, db], k) => ({
+            freq: freq * Math.pow(b[k][0] / freq, t),
+            bandwidth: bw + t * (b[k][1] - bw),
+            gain: Math.pow(10, (db + t * (b[k][2] - db)) / 20)
+        }));
+    }
+
+    /**
+     * Narrow (10%) band-limited pulse train, a buzzy stand-in for the glottal source
+     */
+    createPulseWave() {
+        const harmonics = 64;
+        const width = 0.1;
+        const real = new Float32Array(harmonics + 1);
+        const imag = new Float32Array(harmonics + 1);
+        for (let n = 1; n <= harmonics; n++) {
+            real[n] = Math.sin(Math.PI * n * width) / (Math.PI * n * width);
+        }
+        return this.audioContext.createPeriodicWave(real, imag);
+    }
+
+    getNoiseBuffer() {
+        if (!this.noiseBuffer) {
+            const length = 2 * this.audioContext.sampleRate;
+            this.noiseBuffer = this.audioContext.createBuffer(1, length, this.audioContext.sampleRate);
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < length; i++) data[i] = Math.random() * 2 - 1;
+        }
+        return this.noiseBuffer;
+    }
+
+    createSource() {
+        if (this.sourceType === 'noise') {
+            const noise = this.audioContext.createBufferSource();
+            noise.buffer = this.getNoiseBuffer();
+            noise.loop = true;
+            return noise;
+        }
+        const osc = this.audioContext.createOscillator();
+        osc.setPeriodicWave(this.createPulseWave());
+        osc.frequency.value = this.frequency;
+        return osc;
+    }
+
+    start(destination) {
+        if (this.isPlaying) return;
+        this.source = this.createSource();
+        this.source.connect(this.inputGain);
+        this.inputGain.gain.value = FORMANT_SOURCE_GAIN[this.sourceType];
+        if (destination) this.outputGain.connect(destination);
+        this.source.start();
+        this.isPlaying = true;
+    }
+
+    stop() {
+        if (!this.isPlaying) return;
+        if (this.source) {
+            this.source.stop();
+            this.source.disconnect();
+            this.source = null;
+        }
+        this.isPlaying = false;
+    }
+
+    /**
+     * @param {number} smoothing - Time constant in seconds, 0 to jump
+     */
+    updateFormants(smoothing = 0.03) {
+        const now = this.audioContext.currentTime;
+        FormantGenerator.interpolateFormants(this.vowel).forEach(({ freq, bandwidth, gain }, k) => {
+            const { filter, level } = this.formants[k];
+            if (smoothing > 0) {
+                filter.frequency.setTargetAtTime(freq, now, smoothing);
+                filter.Q.setTargetAtTime(freq / bandwidth, now, smoothing);
+                level.gain.setTargetAtTime(gain, now, smoothing);
+            } else {
+                filter.frequency.value = freq;
+                filter.Q.value = freq / bandwidth;
+                level.gain.value = gain;
+            }
+        });
+    }
+
+    setFrequency(f) {
+        this.frequency = f;
+        if (this.source && this.source.frequency) {
+            this.source.frequency.setTargetAtTime(f, this.audioContext.currentTime, 0.01);
+        }
+    }
+
+    setVolume(v) {
+        this.volume = v;
+        this.outputGain.gain.setTargetAtTime(v, this.audioContext.currentTime, 0.01);
+    }
+
+    /**
+     * Vowel morph position (0-1), also the LFO target
+     */
+    setVowel(v) {
+        this.vowel = Math.max(0, Math.min(1, v));
+        this.updateFormants();
+    }
+
+    /**
+     * Switch between the pulse and noise source (restarts the source when playing)
+     */
+    setSource(type) {
+        if (!FORMANT_SOURCE_GAIN[type] || type === this.sourceType) return;
+        this.sourceType = type;
+        if (this.isPlaying) {
+            this.stop();
+            this.start();
+        }
+    }
+
+    getOutput() { return this.outputGain; }
+    getIsPlaying() { return this.isPlaying; }
+    destroy() { this.stop(); }
+}
+
+/**
+ * Shepard-Risset glissando: octave-spaced partials under a fixed spectral
+ * envelope that glide up or down forever. The frequency sets the envelope center.
+ */
+class ShepardGenerator {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.worklet = null;
+        this.outputGain = this.audioContext.createGain();
+        this.isPlaying = false;
+        this.frequency = 440;      // Envelope center
+        this.volume = 0.5;
+        this.octaves = 8;          // Envelope width (2-10)
+        this.rate = 0.1;           // Octaves per second
+        this.direction = 'up';     // 'up' | 'down'
+    }
+
+    static getDirections() {
+        return [
+            { id: 'up', name: '⬆️ Rising' },
+            { id: 'down', name: '⬇️ Falling' }
+        ];
+    }
+
+    async start(destination) {
+        if (this.isPlaying) return;
+        if (window.synth && !window.synth.workletsLoaded) return;
+        try {
+            this.worklet = new AudioWorkletNode(this.audioContext, 'shepard-processor');
+            this.worklet.connect(this.outputGain);
+            if (destination) this.outputGain.connect(destination);
+            this.isPlaying = true;
+            this.updateParams();
+        } catch (e) { console.error(e); }
+    }
+
+    stop() {
+        if (!this.isPlaying) return;
+        if (this.worklet) {
+            this.worklet.port.postMessage({ type: 'stop' });
+            this.worklet.disconnect();
+            this.worklet = null;
+        }
+        this.isPlaying = false;
+    }
+
+    updateParams() {
+        if (!this.worklet) return;
+        const now = this.audioContext.currentTime;
+        const p = this.worklet.parameters;
+        p.get('center').setTargetAtTime(Math.max(20, Math.min(5000, this.frequency)), now, 0.01);
+        p.get('rate').setTargetAtTime(this.direction === 'down' ? -this.rate : this.rate, now, 0.01);
+        p.get('octaves').setValueAtTime(this.octaves, now);
+        this.outputGain.gain.setTargetAtTime(this.volume, now, 0.01);
+    }
+
+    setFrequency(f) { this.frequency = f; this.updateParams(); }
+    setVolume(v) { this.volume = v; this.updateParams(); }
+    setOctaves(n) { this.octaves = Math.max(2, Math.min(10, Math.round(n))); this.updateParams(); }
+    setRate(r) { this.rate = Math.max(0, Math.min(4, r)); this.updateParams(); }
+    setDirection(d) {
+        if (d !== 'up' && d !== 'down') return;
+        this.direction = d;
+        this.updateParams();
+    }
+    getOutput() { return this.outputGain; }
+    getIsPlaying() { return this.isPlaying; }
+    destroy() { this.stop(); }
+}
+
+/**
+ * Sine sweep (chirp) for testing speakers and rooms. The oscillator frequency
+ * follows AudioParam ramps, so the sweep is sample-accurate and phase-continuous.
+ */
+class SweepGenerator {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.outputGain = this.audioContext.createGain();
+        this.oscillator = null;
+        this.sweepGain = null;      // Fades in on restart, out at the end of a one-shot sweep
+        this.isPlaying = false;
+        this.volume = 0.5;
+        this.startFreq = 20;
+        this.endFreq = 20000;
+        this.duration = 10;         // Seconds per sweep
+        this.mode = 'log';          // 'log' (exponential) or 'linear'
+        this.loop = false;
+        this.sweepStartTime = 0;    // Context time the current run of sweeps began
+        this.scheduledUntil = 0;    // Context time the last scheduled sweep ends
+        this.scheduler = null;
+    }
+
+    static getModes() {
+        return [
+            { id: 'log', name: 'Logarithmic' },
+            { id: 'linear', name: 'Linear' }
+        ];
+    }
+
+    start(destination) {
+        if (this.isPlaying) return;
+        const ctx = this.audioContext;
+        this.oscillator = ctx.createOscillator();
+        this.oscillator.frequency.value = this.startFreq;
+        this.sweepGain = ctx.createGain();
+        this.sweepGain.gain.value = 0;
+        this.oscillator.connect(this.sweepGain).connect(this.outputGain);
+        this.outputGain.gain.value = this.volume;
+        if (destination) this.outputGain.connect(destination);
+        this.oscillator.start();
+        this.isPlaying = true;
+        this.noteOn();
+    }
+
+    stop() {
+        if (!this.isPlaying) return;
+        clearInterval(this.scheduler);
+        this.scheduler = null;
+        try { this.oscillator.stop(); this.oscillator.disconnect(); } catch(e){}
+        this.sweepGain.disconnect();
+        this.oscillator = null;
+        this.sweepGain = null;
+        this.isPlaying = false;
+    }
+
+    /**
+     * Restart the sweep from the start frequency
+     */
+    noteOn() {
+        if (!this.isPlaying) return;
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
+        // Start slightly ahead so the first ramp is not cut into by the current render quantum
+        const t0 = now + 0.01;
+        const freq = this.oscillator.frequency;
+        const gain = this.sweepGain.gain;
+
+        freq.cancelScheduledValues(now);
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(0, t0);
+        gain.linearRampToValueAtTime(1, t0 + 0.005);
+
+        this.sweepStartTime = t0;
+        this.scheduledUntil = t0;
+        this.scheduleSweeps();
+
+        // Looping sweeps are scheduled a little ahead of time, one sweep at a time
+        clearInterval(this.scheduler);
+        this.scheduler = this.loop ? setInterval(() => this.scheduleSweeps(), 250) : null;
+    }
+
+    /**
+     * Schedule sweeps up to two seconds ahead (looping), or the single one-shot sweep
+     */
+    scheduleSweeps() {
+        if (!this.isPlaying) return;
+        const freq = this.oscillator.frequency;
+        // Background tabs only run timers about once a second
+        const horizon = this.audioContext.currentTime + 2;
+        do {
+            const t = this.scheduledUntil;
+            const end = t + this.duration;
+            freq.setValueAtTime(this.startFreq, t);
+            if (this.mode === 'log') {
+                freq.exponentialRampToValueAtTime(this.endFreq, end);
+            } else {
+                freq.linearRampToValueAtTime(this.endFreq, end);
+            }
+            this.scheduledUntil = end;
+        } while (this.loop && this.scheduledUntil < horizon);
+
+        if (!this.loop) {
+            const gain = this.sweepGain.gain;
+            gain.setValueAtTime(1, this.scheduledUntil);
+            gain.linearRampToValueAtTime(0, this.scheduledUntil + 0.005);
+        }
+    }
+
+    /**
+     * Frequency the oscillator is at right now, from the same curve as the ramps
+     * @returns {number|null} null when stopped or a one-shot sweep has finished
+     */
+    getCurrentFrequency() {
+        if (!this.isPlaying) return null;
+        const elapsed = Math.max(0, this.audioContext.currentTime - this.sweepStartTime);
+        if (!this.loop && elapsed > this.duration) return null;
+        const u = this.loop ? (elapsed % this.duration) / this.duration : Math.min(1, elapsed / this.duration);
+        if (this.mode === 'log') {
+            return this.startFreq * Math.pow(this.endFreq / this.startFreq, u);
+        }
+        return this.startFreq + (this.endFreq - this.startFreq) * u;
+    }
+
+    /**
+     * Update any of { startFreq, endFreq, duration, mode, loop } and restart a running sweep
+     */
+    setSweep(params) {
+        if (params.startFreq !== undefined) this.startFreq = Math.max(1, Math.min(24000, params.startFreq));
+        if (params.endFreq !== undefined) this.endFreq = Math.max(1, Math.min(24000, params.endFreq));
+        if (params.duration !== undefined) this.duration = Math.max(0.1, Math.min(600, params.duration));
+        if (params.mode === 'log' || params.mode === 'linear') this.mode = params.mode;
+        if (params.loop !== undefined) this.loop = !!params.loop;
+        this.noteOn();
+    }
+
+    setVolume(v) {
+        this.volume = v;
+        this.outputGain.gain.setTargetAtTime(v, this.audioContext.currentTime, 0.01);
+    }
+    getOutput() { return this.outputGain; }
+    getIsPlaying() { return this.isPlaying; }
+    destroy() { this.stop(); }
+}
+
+// Fibonacci LFSR taps (1-indexed bit positions) giving maximum-length sequences
+const MLS_TAPS = {
+    10: [10, 7], 11: [11, 9], 12: [12, 6, 4, 1], 13: [13, 4, 3, 1], 14: [14, 5, 3, 1],
+    15: [15, 14], 16: [16, 15, 13, 4], 17: [17, 14], 18: [18, 11]
+};
+
+/**
+ * Measurement signals: impulses, maximum-length sequences, pink noise and
+ * stepped third-octave tone bursts. Every signal is normalized so the level
+ * (dBFS) is its RMS, except the impulse where it is the peak. The level is
+ * calibrated at the generator output; the channel fader, pan, effects and
+ * master stage come after it (the UI warns when they change it).
+ */
+class TestSignalGenerator {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.outputGain = this.audioContext.createGain();
+        this.levelGain = this.audioContext.createGain();
+        this.levelGain.connect(this.outputGain);
+        this.source = null;          // Buffer source (impulse, MLS, pink) or oscillator (steps)
+        this.burstGain = null;
+        this.buffers = {};           // Generated signals, keyed by signal and settings
+        this.isPlaying = false;
+        this.volume = 0.5;
+        this.signal = 'pink';
+        this.level = -20;            // dBFS
+        this.loop = true;
+        this.interval = 1;           // Seconds between repeated impulses
+        this.mlsOrder = 16;          // Sequence length 2^order - 1
+        this.stepDuration = 1;       // Seconds per tone burst
+        this.stepStartTime = 0;
+        this.scheduledSteps = 0;
+        this.scheduler = null;
+        this.levelGain.gain.value = TestSignalGenerator.dbToGain(this.level);
+    }
+
+    static getSignals() {
+        return [
+            { id: 'impulse', name: 'Impulse / Click' },
+            { id: 'mls', name: 'MLS (Maximum-Length Sequence)' },
+            { id: 'pink', name: 'Pink Noise (calibrated)' },
+            { id: 'steps', name: '1/3-Octave Tone Steps' }
+        ];
+    }
+
+    static getMlsOrders() {
+        return Object.keys(MLS_TAPS).map(Number);
+    }
+
+    /**
+     * Third-octave centre frequencies from 20 Hz to 20 kHz (base-10, 1 kHz reference)
+     */
+    static getThirdOctaveBands() {
+        const bands = [];
+        for (let n = -17; n <= 13; n++) bands.push(1000 * Math.pow(10, n / 10));
+        return bands;
+    }
+
+    static dbToGain(db) {
+        return Math.pow(10, db / 20);
+    }
+
+    /**
+     * One period of a maximum-length sequence as +-1 samples
+     */
+    static createMLS(order) {
+        const taps = MLS_TAPS[order];
+        const length = Math.pow(2, order) - 1;
+        const seq = new Float32Array(length);
+        let state = 1;
+        for (let i = 0; i < length; i++) {
+            seq[i] = state & 1 ? 1 : -1;
+            let bit = 0;
+            taps.forEach(t => { bit ^= (state >> (order - t)) & 1; });
+            state = (state >> 1) | (bit << (order - 1));
+        }
+        return seq;
+    }
+
+    /**
+     * Pink noise at an RMS of 1, crossfaded at the loop point so it loops without a click
+     */
+    static createPinkNoise(length, fadeLength) {
+        const raw = new Float32Array(length + fadeLength);
+        NoiseGenerator.prototype.fillPinkNoise(raw);
+        const data = raw.subarray(0, length);
+        for (let i = 0; i < fadeLength; i++) {
+            // Equal-power fade for uncorrelated noise
+            const t = i / fadeLength;
+            data[i] = raw[i] * Math.sqrt(t) + raw[length + i] * Math.sqrt(1 - t);
+        }
+        let mean = 0;
+        for (let i = 0; i < length; i++) mean += data[i];
+        mean /= length;
+        let sum = 0;
+        for (let i = 0; i < length; i++) {
+            data[i] -= mean;
+            sum += data[i] * data[i];
+        }
+        const scale = 1 / Math.sqrt(sum / length);
+        for (let i = 0; i < length; i++) data[i] *= scale;
+        return data;
+    }
+
+    /**
+     * Buffer for the current buffer-based signal, generated once per setting
+     */
+    getBuffer() {
+        const ctx = this.audioContext;
+        const rate = ctx.sampleRate;
+        const key = this.signal === 'mls' ? `mls-${this.mlsOrder}` :
+            this.signal === 'impulse' ? `impulse-${this.interval}` : 'pink';
+        if (this.buffers[key]) return this.buffers[key];
+
+        let data;
+        if (this.signal === 'mls') {
+            data = TestSignalGenerator.createMLS(this.mlsOrder);
+        } else if (this.signal === 'impulse') {
+            data = new Float32Array(Math.max(1, Math.round(this.interval * rate)));
+            data[0] = 1;
+        } else {
+            data = TestSignalGenerator.createPinkNoise(10 * rate, Math.round(0.05 * rate));
+        }
+        const buffer = ctx.createBuffer(1, data.length, rate);
+        buffer.getChannelData(0).set(data);
+        this.buffers[key] = buffer;
+        return buffer;
+    }
+
+    start(destination) {
+        if (this.isPlaying) return;
+        this.outputGain.gain.value = this.volume;
+        if (destination) this.outputGain.connect(destination);
+        this.isPlaying = true;
+        this.noteOn();
+    }
+
+    stop() {
+        if (!this.isPlaying) return;
+        this.stopSource();
+        this.isPlaying = false;
+    }
+
+    stopSource() {
+        clearInterval(this.scheduler);
+        this.scheduler = null;
+        if (this.source) {
+            try { this.source.stop(); this.source.disconnect(); } catch(e){}
+            this.source = null;
+        }
+        if (this.burstGain) {
+            this.burstGain.disconnect();
+            this.burstGain = null;
+        }
+    }
+
+    /**
+     * Restart the current signal from the beginning
+     */
+    noteOn() {
+        if (!this.isPlaying) return;
+        this.stopSource();
+        const ctx = this.audioContext;
+        const t0 = ctx.currentTime + 0.01;
+
+        if (this.signal === 'steps') {
+            this.source = ctx.createOscillator();
+            this.burstGain = ctx.createGain();
+            this.burstGain.gain.value = 0;
+            this.source.connect(this.burstGain).connect(this.levelGain);
+            this.source.start(t0);
+            this.stepStartTime = t0;
+            this.scheduledSteps = 0;
+            this.scheduleSteps();
+            if (this.loop) this.scheduler = setInterval(() => this.scheduleSteps(), 250);
+            return;
+        }
+
+        this.source = ctx.createBufferSource();
+        this.source.buffer = this.getBuffer();
+        // Pink noise always runs, impulses and MLS repeat only when looping
+        this.source.loop = this.signal === 'pink' || this.loop;
+        this.source.connect(this.levelGain);
+        this.source.start(t0);
+    }
+
+    /**
+     * Time between the starts of two tone bursts: the burst plus a quarter of it in silence
+     */
+    getStepPeriod() {
+        return this.stepDuration * 1.25;
+    }
+
+    /**
+     * Schedule tone bursts up to two seconds ahead (looping), or the whole run of bands
+     */
+    scheduleSteps() {
+        if (!this.isPlaying || !this.burstGain) return;
+        const bands = TestSignalGenerator.getThirdOctaveBands();
+        const period = this.getStepPeriod();
+        const horizon = this.audioContext.currentTime + 2;
+        const freq = this.source.frequency;
+        const gain = this.burstGain.gain;
+        // A sine's peak is sqrt(2) times its RMS
+        const peak = Math.SQRT2;
+        const fade = Math.min(0.005, this.stepDuration / 4);
+
+        while (this.loop ? this.stepStartTime + this.scheduledSteps * period < horizon : this.scheduledSteps < bands.length) {
+            const t = this.stepStartTime + this.scheduledSteps * period;
+            freq.setValueAtTime(bands[this.scheduledSteps % bands.length], t);
+            gain.setValueAtTime(0, t);
+            gain.linearRampToValueAtTime(peak, t + fade);
+            gain.setValueAtTime(peak, t + this.stepDuration - fade);
+            gain.linearRampToValueAtTime(0, t + this.stepDuration);
+            this.scheduledSteps++;
+        }
+    }
+
+    /**
+     * Frequency of the tone burst playing right now
+     * @returns {number|null} null for the other signals, between bursts and after a one-shot run
+     */
+    getCurrentFrequency() {
+        if (!this.isPlaying || this.signal !== 'steps') return null;
+        const bands = TestSignalGenerator.getThirdOctaveBands();
+        const elapsed = this.audioContext.currentTime - this.stepStartTime;
+        if (elapsed < 0) return null;
+        const step = Math.floor(elapsed / this.getStepPeriod());
+        if (!this.loop && step >= bands.length) return null;
+        if (elapsed - step * this.getStepPeriod() > this.stepDuration) return null;
+        return bands[step % bands.length];
+    }
+
+    /**
+     * Update any of { signal, level (dBFS), loop, interval, mlsOrder, stepDuration }.
+     * Anything but the level restarts the signal
+     */
+    setTestSignal(params) {
+        let restart = false;
+        if (params.signal && TestSignalGenerator.getSignals().some(s => s.id === params.signal)) {
+            this.signal = params.signal;
+            restart = true;
+        }
+        if (params.loop !== undefined) { this.loop = !!params.loop; restart = true; }
+        if (params.interval !== undefined) { this.interval = Math.max(0.05, Math.min(10, params.interval)); restart = true; }
+        if (params.mlsOrder !== undefined && MLS_TAPS[params.mlsOrder]) { this.mlsOrder = Number(params.mlsOrder); restart = true; }
+        if (params.stepDuration !== undefined) { this.stepDuration = Math.max(0.05, Math.min(10, params.stepDuration)); restart = true; }
+        if (params.level !== undefined) {
+            this.level = Math.max(-80, Math.min(0, params.level));
+            this.levelGain.gain.setTargetAtTime(TestSignalGenerator.dbToGain(this.level), this.audioContext.currentTime, 0.01);
+        }
+        if (restart) this.noteOn();
+    }
+
+    setVolume(v) {
+        this.volume = v;
+        this.outputGain.gain.setTargetAtTime(v, this.audioContext.currentTime, 0.01);
+    }
+    getOutput() { return this.outputGain; }
+    getIsPlaying() { return this.isPlaying; }
+    destroy() { this.stop(); }
+}
+
+class InfrasoundGenerator {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.worklet = null;
+        this.outputGain = this.audioContext.createGain();
+        this.isPlaying = false;
+        this.frequency = 8;
+        this.fineTune = 0;
+        this.detune = 0;           // Cents
+        this.waveform = 'sine';
+        this.dutyCycle = 0.5;
+        this.volume = 0.7;
+    }
+
+    async start(destination) {
+        if (this.isPlaying) return;
+        if (window.synth && !window.synth.workletsLoaded) return;
+        try {
+            this.worklet = new AudioWorkletNode(this.audioContext, 'infrasound-processor');
+            this.worklet.connect(this.outputGain);
+            if (destination) this.outputGain.connect(destination);
+            this.isPlaying = true;
+            this.updateParams();
+        } catch (e) { console.error(e); }
+    }
+
+    stop() {
+        if (!this.isPlaying) return;
+        if (this.worklet) { this.worklet.disconnect(); this.worklet = null; }
         this.isPlaying = false;
     }
 
@@ -336,6 +2402,7 @@ class InfrasoundGenerator {
         const now = this.audioContext.currentTime;
         this.worklet.parameters.get('frequency').setTargetAtTime(this.frequency + this.fineTune, now, 0.01);
         this.worklet.parameters.get('dutyCycle').setTargetAtTime(this.dutyCycle, now, 0.01);
+        this.worklet.parameters.get('detune').setTargetAtTime(this.detune, now, 0.01);
         this.worklet.port.postMessage({ type: 'setWaveform', waveform: this.waveform });
         this.outputGain.gain.setTargetAtTime(this.volume, now, 0.01);
     }
@@ -344,7 +2411,17 @@ class InfrasoundGenerator {
     setFineTune(f) { this.fineTune = f; this.updateParams(); }
     setWaveform(t) { this.waveform = t; this.updateParams(); }
     setDutyCycle(d) { this.dutyCycle = d; this.updateParams(); }
+    setDetune(cents) { this.detune = Math.max(-1200, Math.min(1200, cents)); this.updateParams(); }
     setVolume(v) { this.volume = v; this.updateParams(); }
+
+    /**
+     * Restart the cycle, e.g. to line a slow wave up with something else
+     * @param {number} phase - 0-1
+     */
+    resetPhase(phase = 0) {
+        if (this.worklet) this.worklet.port.postMessage({ type: 'resetPhase', phase });
+    }
+
     getOutput() { return this.outputGain; }
     getIsPlaying() { return this.isPlaying; }
     destroy() { this.stop(); }
@@ -356,7 +2433,16 @@ const GeneratorFactory = {
             case 'infrasound': return new InfrasoundGenerator(audioContext);
             case 'fm': return new FMSynthesizer(audioContext);
             case 'granular': return new GranularSynthesizer(audioContext);
+            case 'wavetable': return new WavetableSynthesizer(audioContext);
+            case 'additive': return new AdditiveSynthesizer(audioContext);
+            case 'physical': return new PhysicalModelGenerator(audioContext);
+            case 'formant': return new FormantGenerator(audioContext);
+            case 'shepard': return new ShepardGenerator(audioContext);
+            case 'sweep': return new SweepGenerator(audioContext);
+            case 'testsignal': return new TestSignalGenerator(audioContext);
             case 'binaural': return new BinauralBeatsGenerator(audioContext);
+            case 'isochronic': return new IsochronicGenerator(audioContext);
+            case 'monaural': return new MonauralBeatsGenerator(audioContext);
             case 'noise': return new NoiseGenerator(audioContext);
             default:
                 const gen = new ToneGenerator(audioContext);
@@ -372,8 +2458,17 @@ const GeneratorFactory = {
             { id: 'square', name: 'Square', hasDuty: true },
             { id: 'noise', name: 'Noise', hasDuty: false },
             { id: 'binaural', name: '🧠 Binaural', hasDuty: false },
+            { id: 'isochronic', name: '🧠 Isochronic', hasDuty: false },
+            { id: 'monaural', name: '🧠 Monaural', hasDuty: false },
             { id: 'fm', name: '🎹 FM Synth', hasDuty: false },
             { id: 'granular', name: '☁️ Granular', hasDuty: false },
+            { id: 'wavetable', name: '🌊 Wavetable', hasDuty: false },
+            { id: 'additive', name: '🎼 Additive', hasDuty: false },
+            { id: 'physical', name: '🎸 Physical Model', hasDuty: false },
+            { id: 'formant', name: '🗣️ Formant Voice', hasDuty: false },
+            { id: 'shepard', name: '🌀 Shepard Tone', hasDuty: false },
+            { id: 'sweep', name: '📈 Sweep', hasDuty: false },
+            { id: 'testsignal', name: '📏 Test Signals', hasDuty: false },
             { id: 'infrasound', name: '🔊 Infrasound', hasDuty: false }
         ];
     }
@@ -381,7 +2476,9 @@ const GeneratorFactory = {
 
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { 
-        ToneGenerator, NoiseGenerator, BinauralBeatsGenerator, 
-        FMSynthesizer, GranularSynthesizer, InfrasoundGenerator, GeneratorFactory 
+        ToneGenerator, CHORD_TYPES, NoiseGenerator, BinauralBeatsGenerator, BRAINWAVE_PRESETS,
+        MonauralBeatsGenerator, IsochronicGenerator, 
+        FMSynthesizer, FM_ALGORITHMS, GranularSynthesizer, WavetableSynthesizer, AdditiveSynthesizer,
+        PhysicalModelGenerator, FormantGenerator, ShepardGenerator, SweepGenerator, TestSignalGenerator, InfrasoundGenerator, GeneratorFactory 
     };
 }
\ No newline at end of file
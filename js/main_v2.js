@@ -3,36 +3,118 @@
  * Initializes the synthesizer engine and connects all components
  */
 
+// Channels can be added at runtime up to this many
+const MAX_CHANNELS = 16;
+
+// Aux send/return buses, each with its own effect chain
+const AUX_BUS_COUNT = 2;
+
+// Channel LFO ranges for patches saved before assignments stored their own
+const CHANNEL_LFO_RANGES = {
+    frequency: { min: 20, max: 2000 },
+    volume: { min: 0, max: 1 },
+    duty: { min: 0.1, max: 0.9 },
+    morph: { min: 0, max: 1 },
+    unisonDetune: { min: 0, max: 100 },
+    unisonSpread: { min: 0, max: 1 },
+    syncRatio: { min: 1, max: 8 },
+    detune: { min: -100, max: 100 },
+    vowel: { min: 0, max: 1 },
+    rate: { min: 0, max: 1 }
+};
+
+// Built-in master compressor settings (attack/release in seconds)
+const DEFAULT_MASTER_COMPRESSOR = { enabled: true, threshold: -24, knee: 30, ratio: 12, attack: 0.003, release: 0.25 };
+
 class SynthEngine {
     constructor() {
         this.audioContext = null;
         this.isAudioStarted = false;
         
-        // 4 generators (one per channel)
+        // One generator per channel
         this.generators = [];
         
         // Persistent gain nodes for each channel to avoid clicks during routing
         this.channelGains = [];
         
-        // Effect chains for each channel (3 effects per channel max)
-        this.effectChains = [[], [], [], []];
+        // After the insert effects: mute/solo gain -> fader (channel volume) -> panner,
+        // a level meter, and one send per aux bus
+        this.channelMutes = [];
+        this.channelFaders = [];
+        this.channelPanners = [];
+        this.channelMeters = [];
+        this.channelSends = [];
         
-        // Master output chain
+        // ADSR amplitude envelope per channel (generator -> envelope -> channel gain)
+        this.channelEnvelopes = [];
+        this.pendingStops = new Map();
+        
+        // Master output chain: volume -> insert effects -> compressor -> analyser
         this.masterGain = null;
+        this.masterInsertGain = null;
         this.analyser = null;
         this.compressor = null;
+        this.masterSettings = { compressor: { ...DEFAULT_MASTER_COMPRESSOR } };
+        this.masterChain = []; // Insert effects, any length (null = empty slot)
         
-        // Channel settings
+        // Channel settings (four channels to start with, see addChannel/removeChannel)
         this.channelSettings = [
-            { enabled: true, volume: 0.5, waveform: 'sine' },
-            { enabled: false, volume: 0.5, waveform: 'sawtooth' },
-            { enabled: false, volume: 0.5, waveform: 'triangle' },
-            { enabled: false, volume: 0.5, waveform: 'square' }
+            SynthEngine.createChannelSettings({ enabled: true, waveform: 'sine' }),
+            SynthEngine.createChannelSettings({ waveform: 'sawtooth' }),
+            SynthEngine.createChannelSettings({ waveform: 'triangle' }),
+            SynthEngine.createChannelSettings({ waveform: 'square' })
         ];
         
+        // Effect chains for each channel, any length (null = empty slot)
+        this.effectChains = this.channelSettings.map(() => []);
+        
+        // Aux buses: shared effect chains fed by the channel sends, returning to the master
+        this.auxBusSettings = Array.from({ length: AUX_BUS_COUNT }, () => ({ returnLevel: 1 }));
+        this.auxBusChains = this.auxBusSettings.map(() => []);
+        this.auxBuses = []; // { input, output } gain nodes while audio runs
+        
         // LFOs for modulation
         this.lfos = [];
         this.lfoTargets = new Map(); // Maps "channel-effectIndex-param" to LFO index
+        
+        // Polyphonic voices for MIDI notes
+        this.voiceManager = new VoiceManager(this);
+        
+        // User audio files for the granular generator
+        this.sampleLibrary = new SampleLibrary();
+        // Set by the UI, which owns the saved patches: (sampleId) => boolean
+        this.isSampleSaved = null;
+        
+        // Timed binaural session programs
+        this.sessionRunner = new SessionProgramRunner(this);
+
+        // Note-to-frequency mapping for MIDI and frequency snapping
+        this.tuning = new TuningSystem();
+    }
+
+    /**
+     * Settings for a new channel, with any of the defaults overridden
+     */
+    static createChannelSettings(overrides = {}) {
+        return {
+            enabled: false,
+            volume: 0.5,
+            pan: 0,
+            mute: false,
+            solo: false,
+            waveform: 'sine',
+            sends: Array.from({ length: AUX_BUS_COUNT }, () => ({ level: 0, pre: false })),
+            ...overrides,
+            envelope: { ...ADSREnvelope.getDefaultSettings(), ...overrides.envelope }
+        };
+    }
+
+    static getMaxChannels() {
+        return MAX_CHANNELS;
+    }
+
+    static getDefaultMasterCompressor() {
+        return { ...DEFAULT_MASTER_COMPRESSOR };
     }
 
     /**
@@ -59,6 +141,12 @@ class SynthEngine {
             try {
                 await this.audioContext.audioWorklet.addModule('js/worklets/grain-player.js');
                 await this.audioContext.audioWorklet.addModule('js/worklets/infrasound-processor.js');
+                await this.audioContext.audioWorklet.addModule('js/worklets/granular-processor.js');
+                await this.audioContext.audioWorklet.addModule('js/worklets/wavetable-processor.js');
+                await this.audioContext.audioWorklet.addModule('js/worklets/additive-processor.js');
+                await this.audioContext.audioWorklet.addModule('js/worklets/physical-model-processor.js');
+                await this.audioContext.audioWorklet.addModule('js/worklets/blep-oscillator-processor.js');
+                await this.audioContext.audioWorklet.addModule('js/worklets/shepard-processor.js');
                 this.workletsLoaded = true;
                 console.log('AudioWorklets loaded');
             } catch (e) {
@@ -66,13 +154,11 @@ class SynthEngine {
             }
             
             this.setupMasterChain();
+            this.setupAuxBuses();
             
             // Create channel gains and generators for each channel
-            for (let i = 0; i < 4; i++) {
-                const cg = this.audioContext.createGain();
-                cg.gain.value = 1.0;
-                this.channelGains[i] = cg;
-                this.createChannel(i);
+            for (let i = 0; i < this.channelSettings.length; i++) {
+                this.initChannelAudio(i);
             }
             
             // Create 3 LFOs for modulation
@@ -98,11 +184,22 @@ class SynthEngine {
     stop() {
         if (!this.isAudioStarted) return;
         
+        this.voiceManager.allNotesOff(true);
+        this.sessionRunner.stop();
+        
         this.generators.forEach(gen => {
             if (gen) gen.destroy();
         });
         this.generators = [];
         
+        this.pendingStops.forEach(timeoutId => clearTimeout(timeoutId));
+        this.pendingStops.clear();
+        
+        this.channelEnvelopes.forEach(env => {
+            if (env) env.disconnect();
+        });
+        this.channelEnvelopes = [];
+        
         this.lfos.forEach(lfo => {
             if (lfo && lfo.destroy) lfo.destroy();
         });
@@ -113,17 +210,48 @@ class SynthEngine {
         });
         this.channelGains = [];
         
+        this.channelMutes.forEach(mute => mute.disconnect());
+        this.channelMutes = [];
+        this.channelFaders.forEach(fader => fader.disconnect());
+        this.channelFaders = [];
+        this.channelPanners.forEach(panner => panner.disconnect());
+        this.channelPanners = [];
+        this.channelMeters = [];
+        this.channelSends.forEach(sends => sends.forEach(send => send.disconnect()));
+        this.channelSends = [];
+        
+        this.auxBusChains.forEach(chain => {
+            chain.forEach(effect => {
+                if (effect) effect.destroy();
+            });
+        });
+        this.auxBusChains = this.auxBusSettings.map(() => []);
+        this.auxBuses.forEach(bus => {
+            bus.input.disconnect();
+            bus.output.disconnect();
+        });
+        this.auxBuses = [];
+        
         this.effectChains.forEach(chain => {
             chain.forEach(effect => {
                 if (effect) effect.destroy();
             });
         });
-        this.effectChains = [[], [], [], []];
+        this.effectChains = this.channelSettings.map(() => []);
+        
+        this.masterChain.forEach(effect => {
+            if (effect) effect.destroy();
+        });
+        this.masterChain = [];
         
         if (this.masterGain) {
             this.masterGain.disconnect();
             this.masterGain = null;
         }
+        if (this.masterInsertGain) {
+            this.masterInsertGain.disconnect();
+            this.masterInsertGain = null;
+        }
         if (this.analyser) {
             this.analyser.disconnect();
             this.analyser = null;
@@ -149,19 +277,237 @@ class SynthEngine {
         this.masterGain = this.audioContext.createGain();
         this.masterGain.gain.value = 0.7;
         
+        // Ramped while the insert chain is rewired, like the channel gains
+        this.masterInsertGain = this.audioContext.createGain();
+        this.masterGain.connect(this.masterInsertGain);
+        
+        const settings = this.masterSettings.compressor;
         this.compressor = this.audioContext.createDynamicsCompressor();
-        this.compressor.threshold.value = -24;
-        this.compressor.knee.value = 30;
-        this.compressor.ratio.value = 12;
-        this.compressor.attack.value = 0.003;
-        this.compressor.release.value = 0.25;
+        ['threshold', 'knee', 'ratio', 'attack', 'release'].forEach(param => {
+            this.compressor[param].value = settings[param];
+        });
         
         this.analyser = this.audioContext.createAnalyser();
         this.analyser.fftSize = 2048;
         
-        this.masterGain.connect(this.compressor);
         this.compressor.connect(this.analyser);
         this.analyser.connect(this.audioContext.destination);
+        this.wireEffectChain(this.masterInsertGain, this.masterChain, tail => this.connectMasterTail(tail));
+    }
+
+    /**
+     * Connect the end of the master insert chain to the compressor, or past it when disabled
+     */
+    connectMasterTail(tail) {
+        tail.connect(this.masterSettings.compressor.enabled ? this.compressor : this.analyser);
+    }
+
+    /**
+     * Rebuild the master insert chain, with the same ramp as the channel chains
+     */
+    rebuildMasterChain() {
+        if (!this.masterInsertGain) return;
+        
+        const gain = this.masterInsertGain.gain;
+        gain.setTargetAtTime(0, this.audioContext.currentTime, 0.005);
+        if (this.pendingMasterRebuild) clearTimeout(this.pendingMasterRebuild);
+        
+        this.pendingMasterRebuild = setTimeout(() => {
+            this.pendingMasterRebuild = null;
+            if (!this.audioContext || !this.isAudioStarted) return;
+            
+            this.wireEffectChain(this.masterInsertGain, this.masterChain, tail => this.connectMasterTail(tail));
+            
+            const now = this.audioContext.currentTime;
+            gain.cancelScheduledValues(now);
+            gain.setTargetAtTime(1.0, now, 0.01);
+        }, 25);
+    }
+
+    getMasterCompressor() {
+        return { ...this.masterSettings.compressor };
+    }
+
+    /**
+     * Update the master compressor ({ enabled, threshold, knee, ratio, attack, release }, any subset)
+     */
+    setMasterCompressor(params) {
+        const settings = this.masterSettings.compressor;
+        const wasEnabled = settings.enabled;
+        for (const param in params) {
+            if (param in settings) settings[param] = params[param];
+        }
+        
+        if (this.compressor) {
+            const now = this.audioContext.currentTime;
+            ['threshold', 'knee', 'ratio', 'attack', 'release'].forEach(param => {
+                this.compressor[param].setTargetAtTime(settings[param], now, 0.01);
+            });
+        }
+        if (settings.enabled !== wasEnabled) this.rebuildMasterChain();
+    }
+
+    /**
+     * Create the aux buses: input (send sum) -> effect chain -> output (return level) -> master
+     */
+    setupAuxBuses() {
+        this.auxBuses = this.auxBusSettings.map(settings => {
+            const input = this.audioContext.createGain();
+            const output = this.audioContext.createGain();
+            output.gain.value = settings.returnLevel;
+            output.connect(this.masterGain);
+            return { input, output };
+        });
+        this.auxBuses.forEach((bus, index) => this.rebuildAuxBus(index));
+    }
+
+    /**
+     * Create the gain, envelope and generator of a channel
+     */
+    initChannelAudio(index) {
+        const cg = this.audioContext.createGain();
+        cg.gain.value = 1.0;
+        this.channelGains[index] = cg;
+        
+        const env = new ADSREnvelope(this.audioContext, this.channelSettings[index].envelope);
+        env.connect(cg);
+        this.channelEnvelopes[index] = env;
+        
+        // The insert chain feeds the mute gain and the meter (see rebuildEffectChain)
+        const mute = this.audioContext.createGain();
+        mute.gain.value = this.isChannelAudible(index) ? 1 : 0;
+        this.channelMutes[index] = mute;
+        
+        const fader = this.audioContext.createGain();
+        fader.gain.value = this.channelSettings[index].volume;
+        mute.connect(fader);
+        this.channelFaders[index] = fader;
+        
+        const panner = this.audioContext.createStereoPanner();
+        panner.pan.value = this.channelSettings[index].pan;
+        fader.connect(panner);
+        panner.connect(this.masterGain);
+        this.channelPanners[index] = panner;
+        
+        const meter = this.audioContext.createAnalyser();
+        meter.fftSize = 1024;
+        this.channelMeters[index] = meter;
+        
+        // Post-fader sends hang off the fader, pre-fader ones off the mute gain
+        this.channelSends[index] = this.auxBuses.map((bus, busIndex) => {
+            const settings = this.getChannelSend(index, busIndex);
+            const send = this.audioContext.createGain();
+            send.gain.value = settings.level;
+            send.connect(bus.input);
+            (settings.pre ? mute : fader).connect(send);
+            return send;
+        });
+        
+        this.createChannel(index);
+    }
+
+    /**
+     * Append a channel
+     * @param {Object} settings - Overrides for the default channel settings
+     * @returns {number} Index of the new channel, or -1 at the channel limit
+     */
+    addChannel(settings = {}) {
+        if (this.channelSettings.length >= MAX_CHANNELS) return -1;
+        
+        const index = this.channelSettings.length;
+        this.channelSettings.push(SynthEngine.createChannelSettings(settings));
+        this.effectChains.push([]);
+        
+        if (this.isAudioStarted) this.initChannelAudio(index);
+        return index;
+    }
+
+    /**
+     * Remove a channel; the channels above it move down one index
+     * @returns {boolean} false if the index is invalid or it is the last channel left
+     */
+    removeChannel(index) {
+        const count = this.channelSettings.length;
+        if (index < 0 || index >= count || count <= 1) return false;
+        
+        // LFO targets: drop the channel's own, renumber the ones above it
+        const targets = new Map();
+        for (let [key, value] of this.lfoTargets) {
+            const match = key.match(/^(chan-)?(\d+)-(.*)$/);
+            const channel = parseInt(match[2]);
+            if (channel === index) {
+                if (this.lfos[value.lfoIndex]) this.lfos[value.lfoIndex].removeTarget(value.callback);
+            } else {
+                targets.set(channel > index ? `${match[1] || ''}${channel - 1}-${match[3]}` : key, value);
+            }
+        }
+        this.lfoTargets = targets;
+        
+        // Pending stops and rebuilds are keyed by index too
+        this.cancelPendingStop(index);
+        const stops = new Map();
+        this.pendingStops.forEach((timeoutId, channel) => stops.set(channel > index ? channel - 1 : channel, timeoutId));
+        this.pendingStops = stops;
+        
+        const rebuilds = [];
+        if (this.pendingRebuilds) {
+            this.pendingRebuilds.forEach((timeoutId, channel) => {
+                if (channel < index) return;
+                clearTimeout(timeoutId);
+                this.pendingRebuilds.delete(channel);
+                if (channel > index) rebuilds.push(channel - 1);
+            });
+        }
+        
+        if (this.voiceManager.channel === index) {
+            this.voiceManager.allNotesOff(true);
+            this.voiceManager.channel = 0;
+        } else if (this.voiceManager.channel > index) {
+            this.voiceManager.channel--;
+        }
+        
+        if (this.sessionRunner.channel === index) {
+            this.sessionRunner.stop();
+        } else if (this.sessionRunner.channel > index) {
+            this.sessionRunner.channel--;
+        }
+        
+        // Tear down the channel's audio
+        if (this.generators[index]) this.generators[index].destroy();
+        this.effectChains[index].forEach(effect => {
+            if (effect) effect.destroy();
+        });
+        if (this.channelEnvelopes[index]) this.channelEnvelopes[index].disconnect();
+        if (this.channelGains[index]) this.channelGains[index].disconnect();
+        if (this.channelMutes[index]) this.channelMutes[index].disconnect();
+        if (this.channelFaders[index]) this.channelFaders[index].disconnect();
+        if (this.channelPanners[index]) this.channelPanners[index].disconnect();
+        if (this.channelSends[index]) this.channelSends[index].forEach(send => send.disconnect());
+        
+        this.channelSettings.splice(index, 1);
+        this.effectChains.splice(index, 1);
+        this.generators.splice(index, 1);
+        this.channelEnvelopes.splice(index, 1);
+        this.channelGains.splice(index, 1);
+        this.channelMutes.splice(index, 1);
+        this.channelFaders.splice(index, 1);
+        this.channelPanners.splice(index, 1);
+        this.channelMeters.splice(index, 1);
+        this.channelSends.splice(index, 1);
+        
+        rebuilds.forEach(channel => this.rebuildEffectChain(channel));
+        // Removing the only soloed channel unsilences the rest
+        this.updateChannelMutes();
+        return true;
+    }
+
+    /**
+     * Add or remove channels at the end until there are `count`
+     */
+    setChannelCount(count) {
+        const target = Math.max(1, Math.min(MAX_CHANNELS, count));
+        while (this.channelSettings.length < target) this.addChannel();
+        while (this.channelSettings.length > target) this.removeChannel(this.channelSettings.length - 1);
     }
 
     /**
@@ -173,12 +519,17 @@ class SynthEngine {
         const generator = GeneratorFactory.create(waveform, this.audioContext);
         this.generators[index] = generator;
         
-        // Connect generator through its channel gain
+        // Generators run at full level, the channel fader applies the channel volume
+        generator.setVolume(1);
+        
+        // Connect generator through its envelope into the channel gain
         if (this.channelSettings[index].enabled) {
-            generator.start(this.channelGains[index]);
-            generator.setVolume(this.channelSettings[index].volume);
-            this.rebuildEffectChain(index);
+            generator.start(this.channelEnvelopes[index].getInput());
+            this.channelEnvelopes[index].triggerAttack();
         }
+        
+        // Always route the channel gain, MIDI voices play through it even when the channel is off
+        this.rebuildEffectChain(index);
     }
 
     /**
@@ -205,35 +556,11 @@ class SynthEngine {
             this.pendingRebuilds.delete(channelIndex);
             if (!this.audioContext || !this.isAudioStarted) return;
             
-            // Disconnect channel gain from wherever it was connected
-            try {
-                channelGain.disconnect();
-            } catch (e) {}
-            
-            const effects = this.effectChains[channelIndex].filter(e => e !== null);
-            
-            if (effects.length > 0) {
-                // Connect channel gain -> first effect
-                channelGain.connect(effects[0].getInput());
-                
-                // Chain effects together
-                for (let i = 0; i < effects.length - 1; i++) {
-                    try {
-                        effects[i].disconnect();
-                    } catch (e) {}
-                    effects[i].connect(effects[i + 1].getInput());
-                }
-                
-                // Connect last effect -> master
-                const lastEffect = effects[effects.length - 1];
-                try {
-                    lastEffect.disconnect();
-                } catch (e) {}
-                lastEffect.connect(this.masterGain);
-            } else {
-                // No effects - connect directly to master
-                channelGain.connect(this.masterGain);
-            }
+            // Chain end -> mute gain (and on to the fader and sends), and the meter
+            this.wireEffectChain(channelGain, this.effectChains[channelIndex] || [], (tail) => {
+                tail.connect(this.channelMutes[channelIndex]);
+                tail.connect(this.channelMeters[channelIndex]);
+            });
             
             // Ramp back up
             const now2 = this.audioContext.currentTime;
@@ -244,6 +571,246 @@ class SynthEngine {
         this.pendingRebuilds.set(channelIndex, timeoutId);
     }
 
+    /**
+     * Connect head -> active effects of a chain -> connectTail(last node)
+     * Every effect is detached first, since slots may have moved or been bypassed
+     */
+    wireEffectChain(head, chain, connectTail) {
+        try {
+            head.disconnect();
+        } catch (e) {}
+        
+        chain.forEach(effect => {
+            if (!effect) return;
+            try {
+                effect.disconnect();
+            } catch (e) {}
+        });
+        
+        const effects = chain.filter(e => e && !e.bypass);
+        if (effects.length === 0) {
+            connectTail(head);
+            return;
+        }
+        
+        head.connect(effects[0].getInput());
+        for (let i = 0; i < effects.length - 1; i++) {
+            effects[i].connect(effects[i + 1].getInput());
+        }
+        connectTail(effects[effects.length - 1].getOutput());
+    }
+
+    /**
+     * Rebuild an aux bus's effect chain, with the same ramp as the channel chains
+     */
+    rebuildAuxBus(busIndex) {
+        const bus = this.auxBuses[busIndex];
+        if (!bus) return;
+        
+        if (!this.pendingBusRebuilds) this.pendingBusRebuilds = new Map();
+        
+        bus.input.gain.setTargetAtTime(0, this.audioContext.currentTime, 0.005);
+        if (this.pendingBusRebuilds.has(busIndex)) {
+            clearTimeout(this.pendingBusRebuilds.get(busIndex));
+        }
+        
+        const timeoutId = setTimeout(() => {
+            this.pendingBusRebuilds.delete(busIndex);
+            if (!this.audioContext || !this.isAudioStarted) return;
+            
+            this.wireEffectChain(bus.input, this.auxBusChains[busIndex], tail => tail.connect(bus.output));
+            
+            const now = this.audioContext.currentTime;
+            bus.input.gain.cancelScheduledValues(now);
+            bus.input.gain.setTargetAtTime(1.0, now, 0.01);
+        }, 25);
+        
+        this.pendingBusRebuilds.set(busIndex, timeoutId);
+    }
+
+    getAuxBusCount() {
+        return this.auxBusSettings.length;
+    }
+
+    /**
+     * A channel's send to an aux bus ({ level, pre })
+     */
+    getChannelSend(channelIndex, busIndex) {
+        const settings = this.channelSettings[channelIndex];
+        if (!settings.sends[busIndex]) settings.sends[busIndex] = { level: 0, pre: false };
+        return settings.sends[busIndex];
+    }
+
+    /**
+     * Set a channel's send level (0-1) to an aux bus
+     */
+    setChannelSendLevel(channelIndex, busIndex, level) {
+        if (!this.channelSettings[channelIndex] || busIndex >= this.auxBusSettings.length) return;
+        this.getChannelSend(channelIndex, busIndex).level = level;
+        
+        const sends = this.channelSends[channelIndex];
+        if (sends && sends[busIndex]) {
+            sends[busIndex].gain.setTargetAtTime(level, this.audioContext.currentTime, 0.01);
+        }
+    }
+
+    /**
+     * Tap a channel's send before the fader (pre) or after it (post)
+     */
+    setChannelSendPre(channelIndex, busIndex, pre) {
+        if (!this.channelSettings[channelIndex] || busIndex >= this.auxBusSettings.length) return;
+        const send = this.getChannelSend(channelIndex, busIndex);
+        if (send.pre === pre) return;
+        send.pre = pre;
+        
+        const sends = this.channelSends[channelIndex];
+        if (!sends || !sends[busIndex]) return;
+        
+        const fader = this.channelFaders[channelIndex];
+        const mute = this.channelMutes[channelIndex];
+        try {
+            (pre ? fader : mute).disconnect(sends[busIndex]);
+        } catch (e) {}
+        (pre ? mute : fader).connect(sends[busIndex]);
+    }
+
+    /**
+     * Set an aux bus's return level (0-1)
+     */
+    setAuxBusReturn(busIndex, level) {
+        const settings = this.auxBusSettings[busIndex];
+        if (!settings) return;
+        settings.returnLevel = level;
+        
+        const bus = this.auxBuses[busIndex];
+        if (bus) bus.output.gain.setTargetAtTime(level, this.audioContext.currentTime, 0.01);
+    }
+
+    /**
+     * Slot operations for the aux bus and master chains, which (unlike the
+     * channel chains) carry no LFO targets. `rebuild` rewires the chain
+     */
+    setChainEffect(chain, effectIndex, effectType, rebuild) {
+        if (!chain) return;
+        
+        if (chain[effectIndex]) chain[effectIndex].destroy();
+        chain[effectIndex] = effectType !== 'none' && this.audioContext
+            ? EffectFactory.create(effectType, this.audioContext)
+            : null;
+        rebuild();
+    }
+
+    insertChainEffect(chain, position, effectType, rebuild) {
+        if (!chain) return;
+        
+        while (chain.length < position) chain.push(null);
+        chain.splice(position, 0, null);
+        if (effectType !== 'none') this.setChainEffect(chain, position, effectType, rebuild);
+    }
+
+    removeChainEffect(chain, position, rebuild) {
+        if (!chain || position < 0 || position >= chain.length) return;
+        
+        this.setChainEffect(chain, position, 'none', rebuild);
+        chain.splice(position, 1);
+    }
+
+    moveChainEffect(chain, from, to, rebuild) {
+        if (!chain || from === to || from < 0 || from >= chain.length) return;
+        to = Math.max(0, Math.min(chain.length - 1, to));
+        
+        const [effect] = chain.splice(from, 1);
+        chain.splice(to, 0, effect);
+        rebuild();
+    }
+
+    setChainEffectCount(chain, count, rebuild) {
+        if (!chain) return;
+        
+        while (chain.length > count) this.removeChainEffect(chain, chain.length - 1, rebuild);
+        while (chain.length < count) chain.push(null);
+    }
+
+    setChainEffectBypass(chain, effectIndex, bypass, rebuild) {
+        const effect = chain && chain[effectIndex];
+        if (!effect || effect.bypass === bypass) return;
+        
+        effect.setBypass(bypass);
+        rebuild();
+    }
+
+    setChainEffectParam(chain, effectIndex, paramName, value) {
+        const effect = chain && chain[effectIndex];
+        if (!effect) return;
+        
+        const setterName = `set${paramName.charAt(0).toUpperCase()}${paramName.slice(1)}`;
+        if (typeof effect[setterName] === 'function') {
+            effect[setterName](value);
+        }
+    }
+
+    /**
+     * Aux bus effect slots
+     */
+    setAuxBusEffect(busIndex, effectIndex, effectType) {
+        this.setChainEffect(this.auxBusChains[busIndex], effectIndex, effectType, () => this.rebuildAuxBus(busIndex));
+    }
+
+    insertAuxBusEffect(busIndex, position, effectType = 'none') {
+        this.insertChainEffect(this.auxBusChains[busIndex], position, effectType, () => this.rebuildAuxBus(busIndex));
+    }
+
+    removeAuxBusEffect(busIndex, position) {
+        this.removeChainEffect(this.auxBusChains[busIndex], position, () => this.rebuildAuxBus(busIndex));
+    }
+
+    moveAuxBusEffect(busIndex, from, to) {
+        this.moveChainEffect(this.auxBusChains[busIndex], from, to, () => this.rebuildAuxBus(busIndex));
+    }
+
+    setAuxBusEffectCount(busIndex, count) {
+        this.setChainEffectCount(this.auxBusChains[busIndex], count, () => this.rebuildAuxBus(busIndex));
+    }
+
+    setAuxBusEffectBypass(busIndex, effectIndex, bypass) {
+        this.setChainEffectBypass(this.auxBusChains[busIndex], effectIndex, bypass, () => this.rebuildAuxBus(busIndex));
+    }
+
+    setAuxBusEffectParam(busIndex, effectIndex, paramName, value) {
+        this.setChainEffectParam(this.auxBusChains[busIndex], effectIndex, paramName, value);
+    }
+
+    /**
+     * Master insert effect slots (between the master volume and the compressor)
+     */
+    setMasterEffect(effectIndex, effectType) {
+        this.setChainEffect(this.masterChain, effectIndex, effectType, () => this.rebuildMasterChain());
+    }
+
+    insertMasterEffect(position, effectType = 'none') {
+        this.insertChainEffect(this.masterChain, position, effectType, () => this.rebuildMasterChain());
+    }
+
+    removeMasterEffect(position) {
+        this.removeChainEffect(this.masterChain, position, () => this.rebuildMasterChain());
+    }
+
+    moveMasterEffect(from, to) {
+        this.moveChainEffect(this.masterChain, from, to, () => this.rebuildMasterChain());
+    }
+
+    setMasterEffectCount(count) {
+        this.setChainEffectCount(this.masterChain, count, () => this.rebuildMasterChain());
+    }
+
+    setMasterEffectBypass(effectIndex, bypass) {
+        this.setChainEffectBypass(this.masterChain, effectIndex, bypass, () => this.rebuildMasterChain());
+    }
+
+    setMasterEffectParam(effectIndex, paramName, value) {
+        this.setChainEffectParam(this.masterChain, effectIndex, paramName, value);
+    }
+
     /**
      * Enable/disable a channel
      */
@@ -251,15 +818,63 @@ class SynthEngine {
         this.channelSettings[index].enabled = enabled;
         
         const generator = this.generators[index];
-        if (!generator) return;
+        const envelope = this.channelEnvelopes[index];
+        if (!generator || !envelope) return;
+        
+        // A toggle during the release stage cancels the pending stop
+        this.cancelPendingStop(index);
         
         if (enabled) {
             if (!generator.getIsPlaying()) {
-                generator.start(this.channelGains[index]);
+                generator.start(envelope.getInput());
                 this.rebuildEffectChain(index);
+            } else if (generator.noteOn) {
+                generator.noteOn();
             }
+            envelope.triggerAttack();
         } else {
-            generator.stop();
+            // Let the release stage finish before stopping the generator
+            let releaseTime = envelope.triggerRelease();
+            if (generator.noteOff) releaseTime = Math.max(releaseTime, generator.noteOff());
+            const timeoutId = setTimeout(() => {
+                // The channel may have moved down since, see removeChannel
+                for (let [channel, id] of this.pendingStops) {
+                    if (id === timeoutId) this.pendingStops.delete(channel);
+                }
+                generator.stop();
+            }, releaseTime * 1000);
+            this.pendingStops.set(index, timeoutId);
+        }
+    }
+    
+    cancelPendingStop(index) {
+        if (this.pendingStops.has(index)) {
+            clearTimeout(this.pendingStops.get(index));
+            this.pendingStops.delete(index);
+        }
+    }
+    
+    /**
+     * Set the channel's ADSR envelope (seconds, sustain 0-1)
+     * Applies to the channel generator and to MIDI voices started afterwards
+     */
+    setChannelEnvelope(index, params) {
+        const settings = this.channelSettings[index];
+        if (!settings) return;
+        
+        settings.envelope = { ...settings.envelope, ...params };
+        
+        const envelope = this.channelEnvelopes[index];
+        if (envelope) {
+            envelope.setSettings(settings.envelope);
+            settings.envelope = envelope.getSettings();
+            
+            // Move an enabled channel straight to the new sustain level
+            if (params.sustain !== undefined && settings.enabled) {
+                const now = this.audioContext.currentTime;
+                envelope.holdAt(now);
+                envelope.node.gain.setTargetAtTime(envelope.sustain, now, 0.01);
+            }
         }
     }
 
@@ -283,6 +898,7 @@ class SynthEngine {
         }
         
         // Destroy old generator
+        this.cancelPendingStop(index);
         if (this.generators[index]) {
             this.generators[index].destroy();
         }
@@ -291,123 +907,480 @@ class SynthEngine {
         const generator = GeneratorFactory.create(waveform, this.audioContext);
         this.generators[index] = generator;
         
-        // Restore volume
-        generator.setVolume(this.channelSettings[index].volume);
+        // Full level, the channel fader applies the volume
+        generator.setVolume(1);
         
         // Rebuild effect chain
         this.rebuildEffectChain(index);
         
-        // Restart if it was playing
+        // Restart if it was playing (the envelope keeps its current stage)
         if (wasEnabled && wasPlaying) {
-            generator.start(this.channelGains[index]);
+            generator.start(this.channelEnvelopes[index].getInput());
+        }
+    }
+
+    /**
+     * Set channel frequency (for oscillators)
+     */
+    setChannelFrequency(index, frequency) {
+        const generator = this.generators[index];
+        if (!generator) return;
+        this.applyFrequency(generator, frequency);
+    }
+
+    /**
+     * Route a frequency to whichever setter the generator type exposes
+     */
+    applyFrequency(generator, frequency) {
+        // Handle different generator types
+        if (generator.setFrequency) {
+            // Standard oscillators (sine, sawtooth, triangle, square)
+            generator.setFrequency(frequency);
+        } else if (generator.setBaseFrequency) {
+            // Binaural beats - frequency slider controls carrier
+            generator.setBaseFrequency(frequency);
+        } else if (generator.setCarrierFreq) {
+            // FM synthesizer - frequency slider controls carrier
+            generator.setCarrierFreq(frequency);
+        } else if (generator.setFilterFreq) {
+            // Noise generator - frequency controls filter
+            generator.setFilterFreq(frequency);
+        } else if (generator.setBaseFreq) {
+            // Granular synthesizer
+            generator.setBaseFreq(frequency);
+        }
+    }
+
+    /**
+     * Set channel duty cycle (for square wave)
+     */
+    setChannelDuty(index, duty) {
+        const generator = this.generators[index];
+        if (!generator) return;
+        
+        if (generator.setDutyCycle) {
+            generator.setDutyCycle(duty);
+        }
+    }
+
+    /**
+     * Set the unison stack of a basic oscillator channel
+     * @param {Object} params - Any of { voices, detune (cents), spread (0-1), subOctave (0-2), subLevel (0-1) }
+     */
+    setChannelUnison(index, params) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setUnisonVoices) return;
+        this.applyUnison(generator, params);
+    }
+
+    /**
+     * Set the hard sync ratio of a basic oscillator channel (1 = off)
+     */
+    setChannelSync(index, ratio) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setSyncRatio) return;
+        generator.setSyncRatio(ratio);
+    }
+
+    /**
+     * Set the chord of a tone, FM or wavetable channel
+     * @param {Object} params - Any of { type, intervals (cents), inversion, spread (octaves) }
+     */
+    setChannelChord(index, params) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setChord) return;
+        generator.setChord(params);
+    }
+
+    applyUnison(generator, params) {
+        if (params.voices !== undefined) generator.setUnisonVoices(params.voices);
+        if (params.detune !== undefined) generator.setUnisonDetune(params.detune);
+        if (params.spread !== undefined) generator.setUnisonSpread(params.spread);
+        if (params.subOctave !== undefined) generator.setSubOctave(params.subOctave);
+        if (params.subLevel !== undefined) generator.setSubLevel(params.subLevel);
+    }
+
+    /**
+     * Set channel volume
+     */
+    setChannelVolume(index, volume) {
+        this.channelSettings[index].volume = volume;
+        
+        const fader = this.channelFaders[index];
+        if (!fader) return;
+        
+        fader.gain.setTargetAtTime(volume, this.audioContext.currentTime, 0.01);
+    }
+
+    /**
+     * Set channel pan (-1 = left, 1 = right)
+     */
+    setChannelPan(index, pan) {
+        this.channelSettings[index].pan = pan;
+        
+        const panner = this.channelPanners[index];
+        if (panner) panner.pan.setTargetAtTime(pan, this.audioContext.currentTime, 0.01);
+    }
+
+    setChannelMute(index, mute) {
+        this.channelSettings[index].mute = mute;
+        this.updateChannelMutes();
+    }
+
+    setChannelSolo(index, solo) {
+        this.channelSettings[index].solo = solo;
+        this.updateChannelMutes();
+    }
+
+    /**
+     * A channel is heard unless it is muted, or other channels are soloed and it is not
+     */
+    isChannelAudible(index) {
+        const settings = this.channelSettings[index];
+        if (settings.mute) return false;
+        return settings.solo || !this.channelSettings.some(ch => ch.solo);
+    }
+
+    /**
+     * Apply mute and solo to every channel's mute gain
+     */
+    updateChannelMutes() {
+        this.channelMutes.forEach((mute, index) => {
+            if (!mute) return;
+            mute.gain.setTargetAtTime(this.isChannelAudible(index) ? 1 : 0, this.audioContext.currentTime, 0.01);
+        });
+    }
+
+    /**
+     * Peak and RMS level (linear) at the end of a channel's effect chain, before mute and fader
+     * @returns {{peak: number, rms: number}|null} null while audio is off
+     */
+    getChannelLevels(index) {
+        const meter = this.channelMeters[index];
+        if (!meter) return null;
+        
+        if (!this.meterBuffer || this.meterBuffer.length !== meter.fftSize) {
+            this.meterBuffer = new Float32Array(meter.fftSize);
         }
+        const samples = this.meterBuffer;
+        meter.getFloatTimeDomainData(samples);
+        
+        let peak = 0;
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const abs = Math.abs(samples[i]);
+            if (abs > peak) peak = abs;
+            sum += samples[i] * samples[i];
+        }
+        return { peak, rms: Math.sqrt(sum / samples.length) };
+    }
+
+    /**
+     * Set noise-specific parameters
+     */
+    setChannelNoiseType(index, type) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setNoiseType) return;
+        generator.setNoiseType(type);
+    }
+
+    setChannelNoiseFilter(index, freq) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setFilterFreq) return;
+        generator.setFilterFreq(freq);
+    }
+
+    setChannelNoiseFilterType(index, type) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setFilterType) return;
+        generator.setFilterType(type);
+    }
+
+    setChannelNoiseFilterQ(index, q) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setFilterQ) return;
+        generator.setFilterQ(q);
+    }
+
+    /**
+     * Set binaural beats specific parameters
+     */
+    setChannelBinauralBaseFreq(index, freq) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setBaseFrequency) return;
+        generator.setBaseFrequency(freq);
+    }
+
+    setChannelBinauralBeatFreq(index, freq) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setBeatFrequency) return;
+        generator.setBeatFrequency(freq);
+    }
+
+    setChannelBinauralPreset(index, preset) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setPreset) return false;
+        return generator.setPreset(preset);
+    }
+
+    /**
+     * Run a session program on a binaural channel
+     * @returns {boolean} false if the channel is not a running binaural generator
+     */
+    startSessionProgram(index, program) {
+        return this.sessionRunner.start(program, index);
+    }
+
+    pauseSessionProgram() {
+        this.sessionRunner.pause();
+    }
+
+    resumeSessionProgram() {
+        this.sessionRunner.resume();
+    }
+
+    stopSessionProgram() {
+        this.sessionRunner.stop();
+    }
+
+    getSessionProgress() {
+        return this.sessionRunner.getProgress();
+    }
+
+    /**
+     * Set FM synthesizer specific parameters
+     */
+    setChannelFMModulatorFreq(index, freq) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setModulatorFreq) return;
+        generator.setModulatorFreq(freq);
+    }
+
+    setChannelFMIndex(index, amount) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setModulationIndex) return;
+        generator.setModulationIndex(amount);
+    }
+
+    setChannelFMAlgorithm(index, alg) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setAlgorithm) return;
+        generator.setAlgorithm(alg);
+    }
+
+    setChannelFMFeedback(index, amount) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setFeedback) return;
+        generator.setFeedback(amount);
+    }
+
+    /**
+     * Set ratio, level or envelope of one FM operator
+     */
+    setChannelFMOperator(index, opIndex, params) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setOperator) return;
+        generator.setOperator(opIndex, params);
+    }
+
+    /**
+     * Select a built-in wavetable
+     */
+    setChannelWavetable(index, tableId) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setTable) return;
+        const previous = generator.userTableId;
+        generator.setTable(tableId);
+        this.releaseSample(previous);
+    }
+
+    setChannelWavetableMorph(index, value) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setMorph) return;
+        generator.setMorph(value);
+    }
+
+    /**
+     * Import a single-cycle (or multi-frame) WAV into a channel's wavetable generator
+     * @param {File} file - WAV file, split into 2048-sample frames when it holds several
+     * @returns {Promise<string|null>} The stored file's name
+     */
+    async setChannelWavetableSample(index, file) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setUserTable || !this.audioContext) return null;
+        
+        const sample = await this.sampleLibrary.addFile(file, this.audioContext, true);
+        // The channel may have switched generator while decoding
+        if (this.generators[index] !== generator) return null;
+        const previous = generator.userTableId;
+        generator.setUserTable(sample.buffer, sample.id);
+        this.releaseSample(previous);
+        return sample.name;
+    }
+
+    clearChannelWavetableSample(index) {
+        const generator = this.generators[index];
+        if (!generator || !generator.clearUserTable) return;
+        const previous = generator.userTableId;
+        generator.clearUserTable();
+        this.releaseSample(previous);
+    }
+
+    /**
+     * Attach a stored wavetable file to a generator (sync when already decoded)
+     */
+    async loadWavetableSample(generator, sampleId) {
+        const cached = this.sampleLibrary.getCachedBuffer(sampleId);
+        if (cached) {
+            generator.setUserTable(cached, sampleId);
+            return;
+        }
+        try {
+            const buffer = await this.sampleLibrary.getBuffer(sampleId, this.audioContext, true);
+            if (buffer) {
+                generator.setUserTable(buffer, sampleId);
+            } else {
+                console.warn(`Wavetable ${sampleId} not found in the sample library`);
+            }
+        } catch (e) {
+            console.error('Failed to load wavetable:', e);
+        }
+    }
+
+    /**
+     * Update one additive partial
+     * @param {Object} params - Any of { amp, ratio, phase }
+     */
+    setChannelAdditivePartial(index, partialIndex, params) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setPartial) return;
+        generator.setPartial(partialIndex, params);
+    }
+
+    setChannelAdditivePartialCount(index, count) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setPartialCount) return;
+        generator.setPartialCount(count);
     }
 
     /**
-     * Set channel frequency (for oscillators)
+     * @returns {boolean} false if the channel is not additive or the preset is unknown
      */
-    setChannelFrequency(index, frequency) {
+    setChannelAdditivePreset(index, presetId) {
         const generator = this.generators[index];
-        if (!generator) return;
-        
-        // Handle different generator types
-        if (generator.setFrequency) {
-            // Standard oscillators (sine, sawtooth, triangle, square)
-            generator.setFrequency(frequency);
-        } else if (generator.setBaseFrequency) {
-            // Binaural beats - frequency slider controls carrier
-            generator.setBaseFrequency(frequency);
-        } else if (generator.setCarrierFreq) {
-            // FM synthesizer - frequency slider controls carrier
-            generator.setCarrierFreq(frequency);
-        } else if (generator.setFilterFreq) {
-            // Noise generator - frequency controls filter
-            generator.setFilterFreq(frequency);
-        } else if (generator.setBaseFreq) {
-            // Granular synthesizer
-            generator.setBaseFreq(frequency);
-        }
+        if (!generator || !generator.setPartials) return false;
+        return generator.setPreset(presetId);
     }
 
     /**
-     * Set channel duty cycle (for square wave)
+     * Set physical model parameters ('model', 'damping', 'brightness', 'pickPosition')
      */
-    setChannelDuty(index, duty) {
+    setChannelPhysicalParam(index, param, value) {
         const generator = this.generators[index];
         if (!generator) return;
         
-        if (generator.setDutyCycle) {
-            generator.setDutyCycle(duty);
+        switch(param) {
+            case 'model':
+                if (generator.setModel) generator.setModel(value);
+                break;
+            case 'damping':
+                if (generator.setDamping) generator.setDamping(value);
+                break;
+            case 'brightness':
+                if (generator.setBrightness) generator.setBrightness(value);
+                break;
+            case 'pickPosition':
+                if (generator.setPickPosition) generator.setPickPosition(value);
+                break;
         }
     }
 
     /**
-     * Set channel volume
+     * Set formant voice parameters ('source', 'vowel')
      */
-    setChannelVolume(index, volume) {
-        this.channelSettings[index].volume = volume;
-        
+    setChannelFormantParam(index, param, value) {
         const generator = this.generators[index];
-        if (!generator) return;
+        if (!generator || !generator.setVowel) return;
         
-        generator.setVolume(volume);
+        switch(param) {
+            case 'source':
+                generator.setSource(value);
+                break;
+            case 'vowel':
+                generator.setVowel(value);
+                break;
+        }
     }
 
     /**
-     * Set noise-specific parameters
+     * Set Shepard tone parameters ('octaves', 'rate', 'direction')
      */
-    setChannelNoiseType(index, type) {
-        const generator = this.generators[index];
-        if (!generator || !generator.setNoiseType) return;
-        generator.setNoiseType(type);
-    }
-
-    setChannelNoiseFilter(index, freq) {
+    setChannelShepardParam(index, param, value) {
         const generator = this.generators[index];
-        if (!generator || !generator.setFilterFreq) return;
-        generator.setFilterFreq(freq);
+        if (!generator || !generator.setOctaves) return;
+        
+        switch(param) {
+            case 'octaves':
+                generator.setOctaves(value);
+                break;
+            case 'rate':
+                generator.setRate(value);
+                break;
+            case 'direction':
+                generator.setDirection(value);
+                break;
+        }
     }
 
     /**
-     * Set binaural beats specific parameters
+     * Re-excite a channel's physical model
+     * @returns {boolean} false if the channel is not playing a physical model
      */
-    setChannelBinauralBaseFreq(index, freq) {
-        const generator = this.generators[index];
-        if (!generator || !generator.setBaseFrequency) return;
-        generator.setBaseFrequency(freq);
-    }
-
-    setChannelBinauralBeatFreq(index, freq) {
+    pluckChannel(index, velocity = 1) {
         const generator = this.generators[index];
-        if (!generator || !generator.setBeatFrequency) return;
-        generator.setBeatFrequency(freq);
+        if (!generator || !generator.setPickPosition || !generator.getIsPlaying()) return false;
+        generator.noteOn(velocity);
+        return true;
     }
 
-    setChannelBinauralPreset(index, preset) {
+    /**
+     * Set sweep parameters, any of { startFreq, endFreq, duration, mode, loop }
+     */
+    setChannelSweep(index, params) {
         const generator = this.generators[index];
-        if (!generator || !generator.setPreset) return;
-        generator.setPreset(preset);
+        if (!generator || !generator.setSweep) return;
+        generator.setSweep(params);
     }
 
     /**
-     * Set FM synthesizer specific parameters
+     * Restart a channel's sweep from its start frequency
+     * @returns {boolean} false if the channel is not playing a sweep
      */
-    setChannelFMModulatorFreq(index, freq) {
+    restartChannelSweep(index) {
         const generator = this.generators[index];
-        if (!generator || !generator.setModulatorFreq) return;
-        generator.setModulatorFreq(freq);
+        if (!generator || !generator.setSweep || !generator.getIsPlaying()) return false;
+        generator.noteOn();
+        return true;
     }
 
-    setChannelFMIndex(index, amount) {
+    /**
+     * Set test signal parameters, any of { signal, level, loop, interval, mlsOrder, stepDuration }
+     */
+    setChannelTestSignal(index, params) {
         const generator = this.generators[index];
-        if (!generator || !generator.setModulationIndex) return;
-        generator.setModulationIndex(amount);
+        if (!generator || !generator.setTestSignal) return;
+        generator.setTestSignal(params);
     }
 
-    setChannelFMAlgorithm(index, alg) {
+    /**
+     * Restart a channel's test signal from the beginning
+     * @returns {boolean} false if the channel is not playing a test signal
+     */
+    restartChannelTestSignal(index) {
         const generator = this.generators[index];
-        if (!generator || !generator.setAlgorithm) return;
-        generator.setAlgorithm(alg);
+        if (!generator || !generator.setTestSignal || !generator.getIsPlaying()) return false;
+        generator.noteOn();
+        return true;
     }
 
     /**
@@ -427,6 +1400,22 @@ class SynthEngine {
         if (!generator || !generator.setDutyCycle) return;
         generator.setDutyCycle(duty);
     }
+    
+    setChannelInfrasoundDetune(index, cents) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setDetune) return;
+        generator.setDetune(cents);
+    }
+    
+    /**
+     * Restart an infrasound channel's cycle at phase 0
+     */
+    resetChannelPhase(index) {
+        const generator = this.generators[index];
+        if (!generator || !generator.resetPhase || !generator.getIsPlaying()) return false;
+        generator.resetPhase(0);
+        return true;
+    }
 
     setChannelGranularParam(index, param, value) {
         const generator = this.generators[index];
@@ -448,6 +1437,74 @@ class SynthEngine {
             case 'stereoSpread':
                 if (generator.setStereoSpread) generator.setStereoSpread(value);
                 break;
+            case 'position':
+                if (generator.setPosition) generator.setPosition(value);
+                break;
+            case 'scanRate':
+                if (generator.setScanRate) generator.setScanRate(value);
+                break;
+            case 'freeze':
+                if (generator.setFreeze) generator.setFreeze(value);
+                break;
+        }
+    }
+
+    /**
+     * Load a user audio file into a channel's granular generator
+     * @param {File} file - WAV/MP3/OGG file
+     * @returns {Promise<string|null>} The stored sample's name
+     */
+    async setChannelGranularSample(index, file) {
+        const generator = this.generators[index];
+        if (!generator || !generator.setSample || !this.audioContext) return null;
+        
+        const sample = await this.sampleLibrary.addFile(file, this.audioContext);
+        // The channel may have switched generator while decoding
+        if (this.generators[index] !== generator) return null;
+        const previous = generator.sampleId;
+        generator.setSample(sample.buffer, sample.id);
+        this.releaseSample(previous);
+        return sample.name;
+    }
+
+    clearChannelGranularSample(index) {
+        const generator = this.generators[index];
+        if (!generator || !generator.clearSample) return;
+        const previous = generator.sampleId;
+        generator.clearSample();
+        this.releaseSample(previous);
+    }
+
+    /**
+     * Delete a sample a channel stopped using from the library (stored bytes and
+     * decoded buffer), unless a channel or a saved patch still refers to it
+     */
+    releaseSample(sampleId) {
+        if (!sampleId) return;
+        if (this.generators.some(gen => gen && (gen.sampleId === sampleId || gen.userTableId === sampleId))) return;
+        if (this.isSampleSaved && this.isSampleSaved(sampleId)) return;
+        
+        this.sampleLibrary.remove(sampleId).catch(e => console.error('Failed to remove sample:', e));
+    }
+
+    /**
+     * Attach a stored sample to a generator (sync when already decoded)
+     */
+    async loadGranularSample(generator, sampleId) {
+        const cached = this.sampleLibrary.getCachedBuffer(sampleId);
+        if (cached) {
+            generator.setSample(cached, sampleId);
+            return;
+        }
+        try {
+            const buffer = await this.sampleLibrary.getBuffer(sampleId, this.audioContext);
+            if (buffer) {
+                generator.setSample(buffer, sampleId);
+            } else {
+                console.warn(`Sample ${sampleId} not found in the sample library`);
+            }
+        } catch (e) {
+            console.error('Failed to load sample:', e);
         }
     }
 
@@ -506,7 +1563,7 @@ class SynthEngine {
             
             // Add new target
             lfo.addTarget(callback, min, max, bipolar);
-            this.lfoTargets.set(targetKey, { lfoIndex, callback });
+            this.lfoTargets.set(targetKey, { lfoIndex, callback, min, max });
             
             return true;
         }
@@ -556,6 +1613,29 @@ class SynthEngine {
         const lfo = this.lfos[lfoIndex];
         const targetKey = `chan-${channelIndex}-${paramName}`;
         
+        // Channel volume lives on the fader, whatever the generator
+        if (paramName === 'volume') {
+            const fader = this.channelFaders[channelIndex];
+            const callback = (value) => {
+                fader.gain.setTargetAtTime(value, this.audioContext.currentTime, 0.01);
+            };
+            
+            this.unassignLFOFromChannelParam(channelIndex, paramName);
+            lfo.addTarget(callback, min, max, bipolar);
+            this.lfoTargets.set(targetKey, { lfoIndex, callback, min, max });
+            return true;
+        }
+        
+        // Audio-rate params (pulse width, sync ratio) are driven by the LFO signal directly
+        const param = generator.getModulationParam ? generator.getModulationParam(paramName) : null;
+        if (param) {
+            this.unassignLFOFromChannelParam(channelIndex, paramName);
+            generator.setModulated(paramName, true);
+            lfo.addTarget(param, min, max, bipolar);
+            this.lfoTargets.set(targetKey, { lfoIndex, callback: param, min, max });
+            return true;
+        }
+        
         // Check if parameter has a setter method
         const setterName = `set${paramName.charAt(0).toUpperCase()}${paramName.slice(1)}`;
         
@@ -566,7 +1646,7 @@ class SynthEngine {
             
             this.unassignLFOFromChannelParam(channelIndex, paramName);
             lfo.addTarget(callback, min, max, bipolar);
-            this.lfoTargets.set(targetKey, { lfoIndex, callback });
+            this.lfoTargets.set(targetKey, { lfoIndex, callback, min, max });
             return true;
         }
         return false;
@@ -580,6 +1660,11 @@ class SynthEngine {
             const lfo = this.lfos[existing.lfoIndex];
             lfo.removeTarget(existing.callback);
             this.lfoTargets.delete(targetKey);
+            
+            const generator = this.generators[channelIndex];
+            if (existing.callback instanceof AudioParam && generator && generator.setModulated) {
+                generator.setModulated(paramName, false);
+            }
         }
     }
     
@@ -609,7 +1694,8 @@ class SynthEngine {
             existingEffect.destroy();
         }
         
-        if (effectType !== 'none') {
+        // Without an audio context the slot stays empty until the patch is applied on start
+        if (effectType !== 'none' && this.audioContext) {
             this.effectChains[channelIndex][effectIndex] = EffectFactory.create(
                 effectType, 
                 this.audioContext
@@ -621,11 +1707,101 @@ class SynthEngine {
         this.rebuildEffectChain(channelIndex);
     }
 
+    /**
+     * Insert an empty or new effect slot into a channel's chain
+     * @param {number} position - Slot index, the chain length appends
+     */
+    insertChannelEffect(channelIndex, position, effectType = 'none') {
+        const chain = this.effectChains[channelIndex];
+        if (!chain) return;
+        
+        while (chain.length < position) chain.push(null);
+        this.remapEffectLFOTargets(channelIndex, slot => slot >= position ? slot + 1 : slot);
+        chain.splice(position, 0, null);
+        
+        if (effectType !== 'none') this.setChannelEffect(channelIndex, position, effectType);
+    }
+
+    /**
+     * Remove an effect slot; the slots after it move up one
+     */
+    removeChannelEffect(channelIndex, position) {
+        const chain = this.effectChains[channelIndex];
+        if (!chain || position < 0 || position >= chain.length) return;
+        
+        // Clears the slot's LFO targets and reconnects the chain
+        this.setChannelEffect(channelIndex, position, 'none');
+        chain.splice(position, 1);
+        this.remapEffectLFOTargets(channelIndex, slot => slot > position ? slot - 1 : slot);
+    }
+
+    /**
+     * Move an effect slot to another position in the chain
+     */
+    moveChannelEffect(channelIndex, from, to) {
+        const chain = this.effectChains[channelIndex];
+        if (!chain || from === to || from < 0 || from >= chain.length) return;
+        to = Math.max(0, Math.min(chain.length - 1, to));
+        
+        const [effect] = chain.splice(from, 1);
+        chain.splice(to, 0, effect);
+        this.remapEffectLFOTargets(channelIndex, slot => {
+            if (slot === from) return to;
+            if (from < to && slot > from && slot <= to) return slot - 1;
+            if (from > to && slot >= to && slot < from) return slot + 1;
+            return slot;
+        });
+        
+        this.rebuildEffectChain(channelIndex);
+    }
+
+    /**
+     * Add empty slots or remove slots at the end until the chain has `count`
+     */
+    setChannelEffectCount(channelIndex, count) {
+        const chain = this.effectChains[channelIndex];
+        if (!chain) return;
+        
+        while (chain.length > count) this.removeChannelEffect(channelIndex, chain.length - 1);
+        while (chain.length < count) chain.push(null);
+    }
+
+    /**
+     * Take an effect out of the signal path without losing its settings
+     */
+    setChannelEffectBypass(channelIndex, effectIndex, bypass) {
+        const chain = this.effectChains[channelIndex];
+        const effect = chain && chain[effectIndex];
+        if (!effect || effect.bypass === bypass) return;
+        
+        effect.setBypass(bypass);
+        this.rebuildEffectChain(channelIndex);
+    }
+
+    /**
+     * Move a channel's effect LFO targets to new slot indices
+     * @param {Function} mapSlot - Old slot index -> new slot index
+     */
+    remapEffectLFOTargets(channelIndex, mapSlot) {
+        const prefix = `${channelIndex}-`;
+        const targets = new Map();
+        for (let [key, value] of this.lfoTargets) {
+            if (key.startsWith(prefix)) {
+                const [_, slot, paramName] = key.split('-');
+                targets.set(`${channelIndex}-${mapSlot(parseInt(slot))}-${paramName}`, value);
+            } else {
+                targets.set(key, value);
+            }
+        }
+        this.lfoTargets = targets;
+    }
+
     /**
      * Set a parameter on a channel's effect
      */
     setEffectParam(channelIndex, effectIndex, paramName, value) {
-        const effect = this.effectChains[channelIndex][effectIndex];
+        const chain = this.effectChains[channelIndex];
+        const effect = chain && chain[effectIndex];
         if (!effect) return;
         
         const setterName = `set${paramName.charAt(0).toUpperCase()}${paramName.slice(1)}`;
@@ -651,48 +1827,28 @@ class SynthEngine {
             channels: [],
             lfos: [],
             master: {
-                volume: this.masterGain ? this.masterGain.gain.value : 0.7
+                volume: this.masterGain ? this.masterGain.gain.value : 0.7,
+                compressor: this.getMasterCompressor(),
+                effects: this.masterChain.map(effect => effect ? effect.getState() : { type: 'none' })
             }
         };
 
-        for (let i = 0; i < 4; i++) {
-            const gen = this.generators[i];
+        for (let i = 0; i < this.channelSettings.length; i++) {
             const ch = {
                 enabled: this.channelSettings[i].enabled,
                 volume: this.channelSettings[i].volume,
+                pan: this.channelSettings[i].pan,
+                mute: this.channelSettings[i].mute,
+                solo: this.channelSettings[i].solo,
                 waveform: this.channelSettings[i].waveform,
-                frequency: gen && gen.frequency ? gen.frequency : 440,
+                envelope: { ...this.channelSettings[i].envelope },
+                sends: this.channelSettings[i].sends.map(send => ({ ...send })),
+                ...this.serializeGenerator(this.generators[i], this.channelSettings[i].waveform),
                 effects: []
             };
 
-            // Handle special generator frequencies
-            if (gen) {
-                if (gen.baseFreq) ch.frequency = gen.baseFreq;
-                if (gen.baseFrequency) ch.frequency = gen.baseFrequency;
-                if (gen.carrierFreq) ch.frequency = gen.carrierFreq;
-                if (gen.filterFreq) ch.frequency = gen.filterFreq;
-                
-                // Save custom generator params
-                if (gen.dutyCycle !== undefined) ch.duty = gen.dutyCycle;
-                if (gen.noiseType) ch.noiseType = gen.noiseType;
-                if (gen.beatFreq) ch.beatFreq = gen.beatFreq;
-                if (gen.modulatorFreq) ch.modulatorFreq = gen.modulatorFreq;
-                if (gen.modulationDepth) ch.modIndex = gen.modulationDepth;
-                if (gen.algorithm !== undefined) ch.fmAlgo = gen.algorithm;
-                
-                // Infrasound waveform
-                if (this.channelSettings[i].waveform === 'infrasound' && gen.waveform) {
-                    ch.infraWaveform = gen.waveform;
-                }
-                
-                // Granular params
-                if (gen.density) ch.density = gen.density;
-                if (gen.spray) ch.spray = gen.spray;
-                if (gen.grainSize) ch.grainSize = gen.grainSize;
-            }
-
             // Save effect chain
-            for (let j = 0; j < 3; j++) {
+            for (let j = 0; j < this.effectChains[i].length; j++) {
                 const effect = this.effectChains[i][j];
                 if (effect) {
                     ch.effects.push(effect.getState());
@@ -704,6 +1860,18 @@ class SynthEngine {
             state.channels.push(ch);
         }
 
+        // Save aux buses
+        state.auxBuses = this.auxBusSettings.map((settings, b) => ({
+            returnLevel: settings.returnLevel,
+            effects: Array.from(this.auxBusChains[b], effect => effect ? effect.getState() : { type: 'none' })
+        }));
+
+        // Save MIDI voice settings
+        state.voices = this.voiceManager.getState();
+
+        // Save tuning
+        state.tuning = this.tuning.getState();
+
         // Save LFOs
         this.lfos.forEach((lfo, idx) => {
             state.lfos.push({
@@ -722,7 +1890,9 @@ class SynthEngine {
                     type: 'channel',
                     channel: parseInt(chIdx),
                     param: paramName,
-                    lfo: value.lfoIndex
+                    lfo: value.lfoIndex,
+                    min: value.min,
+                    max: value.max
                 });
             } else {
                 const [chIdx, effIdx, paramName] = key.split('-');
@@ -731,7 +1901,9 @@ class SynthEngine {
                     channel: parseInt(chIdx),
                     effect: parseInt(effIdx),
                     param: paramName,
-                    lfo: value.lfoIndex
+                    lfo: value.lfoIndex,
+                    min: value.min,
+                    max: value.max
                 });
             }
         }
@@ -739,15 +1911,215 @@ class SynthEngine {
         return state;
     }
 
+    /**
+     * Extract the generator-specific part of a channel patch
+     * (also used to clone a channel's sound onto MIDI voices)
+     */
+    serializeGenerator(gen, waveform) {
+        const ch = {
+            frequency: gen && gen.frequency ? gen.frequency : 440
+        };
+        if (!gen) return ch;
+
+        // Handle special generator frequencies
+        if (gen.baseFreq) ch.frequency = gen.baseFreq;
+        if (gen.baseFrequency) ch.frequency = gen.baseFrequency;
+        if (gen.carrierFreq) ch.frequency = gen.carrierFreq;
+        if (gen.filterFreq) ch.frequency = gen.filterFreq;
+        
+        // Save custom generator params
+        if (gen.dutyCycle !== undefined) ch.duty = gen.dutyCycle;
+        if (gen.syncRatio !== undefined) ch.syncRatio = gen.syncRatio;
+        if (gen.unisonVoices !== undefined) {
+            ch.unison = {
+                voices: gen.unisonVoices,
+                detune: gen.unisonDetune,
+                spread: gen.unisonSpread,
+                subOctave: gen.subOctave,
+                subLevel: gen.subLevel
+            };
+        }
+        if (gen.chord) ch.chord = { ...gen.chord, intervals: [...gen.chord.intervals] };
+        if (gen.noiseType) ch.noiseType = gen.noiseType;
+        if (waveform === 'noise') {
+            ch.filterType = gen.filterType;
+            ch.filterQ = gen.filterQ;
+        }
+        if (gen.beatFreq) ch.beatFreq = gen.beatFreq;
+        if (gen.modulatorFreq) ch.modulatorFreq = gen.modulatorFreq;
+        if (gen.modulationDepth) ch.modIndex = gen.modulationDepth;
+        if (gen.algorithm !== undefined) ch.fmAlgo = gen.algorithm;
+        
+        // FM operators
+        if (waveform === 'fm' && gen.operators) {
+            ch.fmOperators = gen.operators.map(op => ({ ...op }));
+            ch.fmFeedback = gen.feedback;
+        }
+        
+        // Infrasound waveform
+        if (waveform === 'infrasound' && gen.waveform) {
+            ch.infraWaveform = gen.waveform;
+            ch.infraDetune = gen.detune;
+        }
+        
+        // Granular params
+        if (waveform === 'granular') {
+            ch.density = gen.density;
+            ch.spray = gen.spray;
+            ch.grainSize = gen.grainSize;
+            ch.pitchVariation = gen.pitchVariation;
+            ch.stereoSpread = gen.stereoSpread;
+            ch.sampleId = gen.sampleId;
+            ch.samplePosition = gen.position;
+            ch.scanRate = gen.scanRate;
+            ch.freeze = gen.freeze;
+        }
+
+        // Additive partials
+        if (waveform === 'additive' && gen.partials) {
+            ch.partials = gen.partials.map(p => ({ ...p }));
+        }
+        
+        // Physical model
+        if (waveform === 'physical') {
+            ch.physModel = gen.model;
+            ch.damping = gen.damping;
+            ch.brightness = gen.brightness;
+            ch.pickPosition = gen.pickPosition;
+        }
+        
+        // Formant voice
+        if (waveform === 'formant') {
+            ch.formantSource = gen.sourceType;
+            ch.vowel = gen.vowel;
+        }
+        
+        // Shepard tone
+        if (waveform === 'shepard') {
+            ch.shepard = {
+                octaves: gen.octaves,
+                rate: gen.rate,
+                direction: gen.direction
+            };
+        }
+        
+        // Wavetable
+        if (waveform === 'wavetable') {
+            ch.wavetable = gen.tableId;
+            ch.morph = gen.morph;
+            ch.wavetableSampleId = gen.userTableId;
+        }
+        
+        // Sweep
+        if (waveform === 'sweep') {
+            ch.sweep = {
+                startFreq: gen.startFreq,
+                endFreq: gen.endFreq,
+                duration: gen.duration,
+                mode: gen.mode,
+                loop: gen.loop
+            };
+        }
+        
+        // Test signals
+        if (waveform === 'testsignal') {
+            ch.testSignal = {
+                signal: gen.signal,
+                level: gen.level,
+                loop: gen.loop,
+                interval: gen.interval,
+                mlsOrder: gen.mlsOrder,
+                stepDuration: gen.stepDuration
+            };
+        }
+
+        return ch;
+    }
+
+    /**
+     * Apply the generator-specific part of a channel patch to a generator
+     */
+    applyGeneratorState(gen, ch) {
+        if (ch.frequency !== undefined) this.applyFrequency(gen, ch.frequency);
+        if (ch.duty !== undefined && gen.setDutyCycle) gen.setDutyCycle(ch.duty);
+        if (ch.syncRatio !== undefined && gen.setSyncRatio) gen.setSyncRatio(ch.syncRatio);
+        if (ch.unison && gen.setUnisonVoices) this.applyUnison(gen, ch.unison);
+        if (ch.chord && gen.setChord) gen.setChord(ch.chord);
+        if (ch.noiseType && gen.setNoiseType) gen.setNoiseType(ch.noiseType);
+        if (ch.filterType && gen.setFilterType) gen.setFilterType(ch.filterType);
+        if (ch.filterQ !== undefined && gen.setFilterQ) gen.setFilterQ(ch.filterQ);
+        if (ch.beatFreq && gen.setBeatFrequency) gen.setBeatFrequency(ch.beatFreq);
+        if (ch.modulatorFreq && gen.setModulatorFreq) gen.setModulatorFreq(ch.modulatorFreq);
+        if (ch.modIndex && gen.setModulationIndex) gen.setModulationIndex(ch.modIndex);
+        if (ch.fmAlgo !== undefined && gen.setAlgorithm) gen.setAlgorithm(ch.fmAlgo);
+        if (ch.fmOperators && gen.setOperators) gen.setOperators(ch.fmOperators);
+        if (ch.fmFeedback !== undefined && gen.setFeedback) gen.setFeedback(ch.fmFeedback);
+        if (ch.infraWaveform && gen.setWaveform) gen.setWaveform(ch.infraWaveform);
+        if (ch.infraDetune !== undefined && gen.setDetune) gen.setDetune(ch.infraDetune);
+        if (ch.density && gen.setDensity) gen.setDensity(ch.density);
+        if (ch.spray !== undefined && gen.setSpray) gen.setSpray(ch.spray);
+        // Older patches stored the grain size in seconds
+        if (ch.grainSize && gen.setGrainSize) gen.setGrainSize(ch.grainSize < 1 ? ch.grainSize * 1000 : ch.grainSize);
+        if (ch.pitchVariation !== undefined && gen.setPitchVariation) gen.setPitchVariation(ch.pitchVariation);
+        if (ch.stereoSpread !== undefined && gen.setStereoSpread) gen.setStereoSpread(ch.stereoSpread);
+        if (ch.samplePosition !== undefined && gen.setPosition) gen.setPosition(ch.samplePosition);
+        if (ch.scanRate !== undefined && gen.setScanRate) gen.setScanRate(ch.scanRate);
+        if (ch.freeze !== undefined && gen.setFreeze) gen.setFreeze(ch.freeze);
+        if (ch.sampleId && gen.setSample && this.audioContext) this.loadGranularSample(gen, ch.sampleId);
+        if (ch.partials && gen.setPartials) gen.setPartials(ch.partials);
+        if (ch.physModel && gen.setModel) gen.setModel(ch.physModel);
+        if (ch.damping !== undefined && gen.setDamping) gen.setDamping(ch.damping);
+        if (ch.brightness !== undefined && gen.setBrightness) gen.setBrightness(ch.brightness);
+        if (ch.pickPosition !== undefined && gen.setPickPosition) gen.setPickPosition(ch.pickPosition);
+        if (ch.formantSource && gen.setSource) gen.setSource(ch.formantSource);
+        if (ch.vowel !== undefined && gen.setVowel) gen.setVowel(ch.vowel);
+        if (ch.shepard && gen.setOctaves) {
+            gen.setOctaves(ch.shepard.octaves);
+            gen.setRate(ch.shepard.rate);
+            gen.setDirection(ch.shepard.direction);
+        }
+        if (ch.wavetable && gen.setTable) gen.setTable(ch.wavetable);
+        if (ch.morph !== undefined && gen.setMorph) gen.setMorph(ch.morph);
+        if (ch.wavetableSampleId && gen.setUserTable && this.audioContext) this.loadWavetableSample(gen, ch.wavetableSampleId);
+        if (ch.sweep && gen.setSweep) gen.setSweep(ch.sweep);
+        if (ch.testSignal && gen.setTestSignal) gen.setTestSignal(ch.testSignal);
+    }
+
     /**
      * Load a previously serialized state
      */
     async loadSerializedState(state) {
         if (!state || !state.channels) return;
 
-        // Restore master
-        if (state.master && state.master.volume !== undefined) {
-            this.setMasterVolume(state.master.volume);
+        // Patches store however many channels they had
+        this.setChannelCount(state.channels.length);
+
+        // Restore master (patches from before the master inserts get the default compressor)
+        const master = state.master || {};
+        if (master.volume !== undefined) {
+            this.setMasterVolume(master.volume);
+        }
+        this.setMasterCompressor({ ...SynthEngine.getDefaultMasterCompressor(), ...master.compressor });
+        const masterEffects = master.effects || [];
+        this.setMasterEffectCount(masterEffects.length);
+        masterEffects.forEach((eff, j) => {
+            this.setMasterEffect(j, eff.type);
+            if (eff.type !== 'none' && eff.params) {
+                for (let pName in eff.params) {
+                    this.setMasterEffectParam(j, pName, eff.params[pName]);
+                }
+            }
+            if (eff.bypass) this.setMasterEffectBypass(j, true);
+        });
+
+        // Restore MIDI voice settings
+        if (state.voices) {
+            this.voiceManager.loadState(state.voices);
+        }
+
+        // Restore tuning
+        if (state.tuning) {
+            this.tuning.loadState(state.tuning);
         }
 
         // Restore LFOs basic settings
@@ -761,8 +2133,27 @@ class SynthEngine {
             });
         }
 
+        // Restore aux buses (before the channels that send to them)
+        if (state.auxBuses) {
+            state.auxBuses.forEach((busCfg, b) => {
+                if (!this.auxBusSettings[b]) return;
+                this.setAuxBusReturn(b, busCfg.returnLevel);
+                const effects = busCfg.effects || [];
+                this.setAuxBusEffectCount(b, effects.length);
+                effects.forEach((eff, j) => {
+                    this.setAuxBusEffect(b, j, eff.type);
+                    if (eff.type !== 'none' && eff.params) {
+                        for (let pName in eff.params) {
+                            this.setAuxBusEffectParam(b, j, pName, eff.params[pName]);
+                        }
+                    }
+                    if (eff.bypass) this.setAuxBusEffectBypass(b, j, true);
+                });
+            });
+        }
+
         // Restore channels
-        for (let i = 0; i < 4; i++) {
+        for (let i = 0; i < this.channelSettings.length; i++) {
             const ch = state.channels[i];
             if (!ch) continue;
 
@@ -774,24 +2165,24 @@ class SynthEngine {
             // Recreate generator
             this.setChannelWaveform(i, ch.waveform);
             this.setChannelVolume(i, ch.volume);
-            this.setChannelFrequency(i, ch.frequency);
+            // Older patches have no pan, mute or solo
+            this.setChannelPan(i, ch.pan || 0);
+            this.setChannelMute(i, !!ch.mute);
+            this.setChannelSolo(i, !!ch.solo);
+            if (ch.envelope) this.setChannelEnvelope(i, ch.envelope);
+            // Patches from before the aux buses have no sends
+            for (let b = 0; b < this.auxBusSettings.length; b++) {
+                const send = (ch.sends && ch.sends[b]) || { level: 0, pre: false };
+                this.setChannelSendLevel(i, b, send.level);
+                this.setChannelSendPre(i, b, !!send.pre);
+            }
             
             const gen = this.generators[i];
-            if (gen) {
-                if (ch.duty !== undefined) this.setChannelDuty(i, ch.duty);
-                if (ch.noiseType) this.setChannelNoiseType(i, ch.noiseType);
-                if (ch.beatFreq) this.setChannelBinauralBeatFreq(i, ch.beatFreq);
-                if (ch.modulatorFreq) this.setChannelFMModulatorFreq(i, ch.modulatorFreq);
-                if (ch.modIndex) this.setChannelFMIndex(i, ch.modIndex);
-                if (ch.fmAlgo !== undefined) this.setChannelFMAlgorithm(i, ch.fmAlgo);
-                if (ch.infraWaveform) this.setChannelInfrasoundWaveform(i, ch.infraWaveform);
-                if (ch.density) this.setChannelGranularParam(i, 'density', ch.density);
-                if (ch.spray) this.setChannelGranularParam(i, 'spray', ch.spray);
-                if (ch.grainSize) this.setChannelGranularParam(i, 'grainSize', ch.grainSize);
-            }
+            if (gen) this.applyGeneratorState(gen, ch);
 
             // Restore effects
             if (ch.effects) {
+                this.setChannelEffectCount(i, ch.effects.length);
                 ch.effects.forEach((eff, j) => {
                     this.setChannelEffect(i, j, eff.type);
                     if (eff.type !== 'none' && eff.params) {
@@ -799,6 +2190,7 @@ class SynthEngine {
                             this.setEffectParam(i, j, pName, eff.params[pName]);
                         }
                     }
+                    if (eff.bypass) this.setChannelEffectBypass(i, j, true);
                 });
             }
 
@@ -810,22 +2202,22 @@ class SynthEngine {
             setTimeout(() => {
                 state.lfoAssignments.forEach(asm => {
                     if (asm.type === 'channel') {
-                        // We need the param range
-                        // Frequency range depends on mode, but we can approximate or use defaults
-                        let min = 20, max = 2000;
-                        if (asm.param === 'volume') { min = 0; max = 1; }
-                        if (asm.param === 'duty') { min = 0.1; max = 0.9; }
-                        
-                        this.assignLFOToChannelParam(asm.lfo, asm.channel, asm.param, min, max, true);
+                        // Older patches did not save the range, fall back to the param's default
+                        const range = asm.min !== undefined
+                            ? asm
+                            : (CHANNEL_LFO_RANGES[asm.param] || CHANNEL_LFO_RANGES.frequency);
+                        this.assignLFOToChannelParam(asm.lfo, asm.channel, asm.param, range.min, range.max, true);
                     } else {
-                        const effect = this.effectChains[asm.channel][asm.effect];
+                        const chain = this.effectChains[asm.channel];
+                        const effect = chain && chain[asm.effect];
                         if (effect) {
                             const defs = effect.getParamDefinitions();
                             const def = defs.find(d => d.name === asm.param);
                             if (def) {
+                                const range = asm.min !== undefined ? asm : def;
                                 this.assignLFOToEffectParam(
                                     asm.lfo, asm.channel, asm.effect, asm.param, 
-                                    def.min, def.max, true
+                                    range.min, range.max, true
                                 );
                             }
                         }
@@ -835,6 +2227,36 @@ class SynthEngine {
         }
     }
 
+    /**
+     * MIDI note playback - delegates to the voice manager
+     * @param {number} note - MIDI note number (0-127)
+     * @param {number} frequency - Note frequency in Hz
+     * @param {number} velocity - Normalized velocity (0-1)
+     */
+    noteOn(note, frequency, velocity) {
+        return this.voiceManager.noteOn(note, frequency, velocity);
+    }
+
+    noteOff(note) {
+        this.voiceManager.noteOff(note);
+    }
+
+    setPitchBend(factor) {
+        this.voiceManager.setPitchBend(factor);
+    }
+
+    setPolyphony(count) {
+        this.voiceManager.setPolyphony(count);
+    }
+
+    setVoiceStealMode(mode) {
+        this.voiceManager.setStealMode(mode);
+    }
+
+    setVoiceChannel(index) {
+        this.voiceManager.setChannel(index);
+    }
+
     /**
      * Set master volume
      */
@@ -857,10 +2279,13 @@ class SynthEngine {
 document.addEventListener('DOMContentLoaded', () => {
     const synth = new SynthEngine();
     const midi = new MIDIController(synth);
-    const ui = new UIManager(synth);
+    synth.midi = midi;
     
+    // Expose before building the UI, which looks up window.midi during setup
     window.synth = synth;
     window.midi = midi;
+    
+    const ui = new UIManager(synth);
     window.ui = ui;
     
     console.log('Tone Generator initialized');
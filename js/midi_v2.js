@@ -282,33 +282,12 @@ class MIDIController {
      * @param {number} velocity - Note velocity (0-127)
      */
     handleNoteOn(note, velocity) {
-        // Convert note to frequency
-        const frequency = this.midiNoteToFrequency(note);
-        const normalizedVelocity = velocity / 127;
-        
-        // Map notes to channels based on octave
-        // C2-C3 (36-48) → Channel 1
-        // C3-C4 (48-60) → Channel 2
-        // C4-C5 (60-72) → Channel 3
-        // C5-C6 (72-84) → Channel 4
-        
-        let targetChannel = -1;
-        if (note >= 36 && note < 48) targetChannel = 0;
-        else if (note >= 48 && note < 60) targetChannel = 1;
-        else if (note >= 60 && note < 72) targetChannel = 2;
-        else if (note >= 72 && note < 84) targetChannel = 3;
+        if (!this.synth) return;
         
-        if (targetChannel >= 0 && this.synth) {
-            // Set frequency and enable channel
-            this.synth.setChannelFrequency(targetChannel, frequency);
-            this.synth.setChannelEnabled(targetChannel, true);
-            
-            // Also set velocity as volume (optional, can be disabled)
-            // this.synth.setChannelVolume(targetChannel, normalizedVelocity);
-            
-            // Update UI to reflect changes
-            this.updateUIForChannel(targetChannel, frequency, true);
-        }
+        // Each note gets its own voice on the synth's MIDI play channel
+        const frequency = this.midiNoteToFrequency(note);
+        if (frequency === null) return; // Unmapped in the keyboard mapping
+        this.synth.noteOn(note, frequency, velocity / 127);
     }
     
     /**
@@ -317,17 +296,10 @@ class MIDIController {
      * @param {number} velocity - Note velocity (0-127)
      */
     handleNoteOff(note, velocity) {
-        // Determine which channel to turn off
-        let targetChannel = -1;
-        if (note >= 36 && note < 48) targetChannel = 0;
-        else if (note >= 48 && note < 60) targetChannel = 1;
-        else if (note >= 60 && note < 72) targetChannel = 2;
-        else if (note >= 72 && note < 84) targetChannel = 3;
+        if (!this.synth) return;
         
-        if (targetChannel >= 0 && this.synth) {
-            this.synth.setChannelEnabled(targetChannel, false);
-            this.updateUIForChannel(targetChannel, null, false);
-        }
+        // Only the voice(s) for the lifted key are released
+        this.synth.noteOff(note);
     }
     
     /**
@@ -392,7 +364,8 @@ class MIDIController {
      * Handle channel-level CC messages
      */
     handleChannelCC(channel, param, normalizedValue, rawValue) {
-        if (!this.synth) return;
+        // Mappings can point at a channel that has since been removed
+        if (!this.synth || channel >= this.synth.channelSettings.length) return;
         
         switch (param) {
             case 'volume':
@@ -404,7 +377,10 @@ class MIDIController {
                 // Map 0-127 to 20-2000 Hz (logarithmic for better control)
                 const minFreq = 20;
                 const maxFreq = 2000;
-                const freq = minFreq * Math.pow(maxFreq / minFreq, normalizedValue);
+                let freq = minFreq * Math.pow(maxFreq / minFreq, normalizedValue);
+                if (this.synth.tuning && this.synth.tuning.snap) {
+                    freq = this.synth.tuning.snapFrequency(freq);
+                }
                 this.synth.setChannelFrequency(channel, freq);
                 this.updateUIControl(`channel[data-channel="${channel}"] .frequency`, Math.round(freq));
                 break;
@@ -415,7 +391,7 @@ class MIDIController {
      * Handle effect-level CC messages
      */
     handleEffectCC(channel, effectIndex, param, normalizedValue) {
-        if (!this.synth) return;
+        if (!this.synth || channel >= this.synth.channelSettings.length) return;
         
         this.synth.setEffectParam(channel, effectIndex, param, normalizedValue);
     }
@@ -429,8 +405,8 @@ class MIDIController {
             const freq = 100 + normalizedValue * 7900; // 100-8000 Hz
             
             // Apply to all channels' comb filters if they exist
-            for (let channel = 0; channel < 4; channel++) {
-                for (let effectIndex = 0; effectIndex < 3; effectIndex++) {
+            for (let channel = 0; channel < this.synth.channelSettings.length; channel++) {
+                for (let effectIndex = 0; effectIndex < this.synth.effectChains[channel].length; effectIndex++) {
                     try {
                         this.synth.setEffectParam(channel, effectIndex, 'frequency', freq);
                     } catch (e) {
@@ -453,9 +429,14 @@ class MIDIController {
         
         if (!this.synth) return;
         
+        const bendFactor = Math.pow(2, (normalized * this.pitchBendRange) / 12);
+        
+        // Bend every sounding MIDI voice
+        this.synth.setPitchBend(bendFactor);
+        
         // Apply pitch bend to all enabled channels
         // This is a simplified approach - in a real synth you'd track note state
-        for (let channel = 0; channel < 4; channel++) {
+        for (let channel = 0; channel < this.synth.channelSettings.length; channel++) {
             if (this.synth.channelSettings[channel].enabled) {
                 // Calculate pitch bend factor
                 // ±2 semitones = multiply by 2^(bend/12)
@@ -497,30 +478,6 @@ class MIDIController {
         });
     }
     
-    /**
-     * Update UI for channel state changes
-     */
-    updateUIForChannel(channel, frequency, enabled) {
-        requestAnimationFrame(() => {
-            const channelEl = document.querySelector(`.channel[data-channel="${channel}"]`);
-            if (!channelEl) return;
-            
-            const onToggle = channelEl.querySelector('.channel-on');
-            if (onToggle) {
-                onToggle.checked = enabled;
-                onToggle.dispatchEvent(new Event('change'));
-            }
-            
-            if (frequency !== null) {
-                const freqSlider = channelEl.querySelector('.frequency');
-                if (freqSlider) {
-                    freqSlider.value = Math.round(frequency);
-                    freqSlider.dispatchEvent(new Event('input'));
-                }
-            }
-        });
-    }
-    
     /**
      * Set a custom CC mapping
      * @param {number} ccNumber - CC number (0-127)
@@ -554,11 +511,14 @@ class MIDIController {
     }
     
     /**
-     * Convert MIDI note number to frequency
+     * Convert MIDI note number to frequency using the synth's tuning
      * @param {number} note - MIDI note number (0-127)
-     * @returns {number} Frequency in Hz
+     * @returns {number|null} Frequency in Hz, null if the tuning leaves the key unmapped
      */
     midiNoteToFrequency(note) {
+        if (this.synth && this.synth.tuning) {
+            return this.synth.tuning.midiNoteToFrequency(note);
+        }
         return 440 * Math.pow(2, (note - 69) / 12);
     }
     
@@ -0,0 +1,138 @@
+/**
+ * Sample Module
+ * Stores user audio files in IndexedDB so patches can reference them by id,
+ * and keeps decoded AudioBuffers cached for the current session. The engine
+ * removes a sample once a channel replaces it and no saved patch refers to it.
+ */
+
+class SampleLibrary {
+    constructor() {
+        this.dbName = 'tone-generator-samples';
+        this.storeName = 'samples';
+        this.db = null;
+        this.decoded = new Map(); // sampleId -> AudioBuffer
+        this.names = new Map();   // sampleId -> file name
+    }
+
+    /**
+     * Open (and create on first use) the sample database
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a single request against the sample store
+     */
+    async request(mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const req = fn(tx.objectStore(this.storeName));
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    /**
+     * Sample rate from a WAV header, 0 for other formats
+     */
+    static getWavSampleRate(data) {
+        if (data.byteLength < 12) return 0;
+        const view = new DataView(data);
+        // 'RIFF' .... 'WAVE'
+        if (view.getUint32(0) !== 0x52494646 || view.getUint32(8) !== 0x57415645) return 0;
+        let offset = 12;
+        while (offset + 16 <= data.byteLength) {
+            const size = view.getUint32(offset + 4, true);
+            if (view.getUint32(offset) === 0x666d7420) return view.getUint32(offset + 12, true); // 'fmt '
+            offset += 8 + size + (size & 1);
+        }
+        return 0;
+    }
+
+    /**
+     * Decode file bytes
+     * @param {boolean} nativeRate - Keep a WAV at its own sample rate instead of the context's,
+     *     so single-cycle wavetable frames keep their exact length
+     */
+    decode(data, audioContext, nativeRate) {
+        const rate = nativeRate ? SampleLibrary.getWavSampleRate(data) : 0;
+        const decoder = rate >= 3000 && rate <= 384000 && rate !== audioContext.sampleRate
+            ? new OfflineAudioContext(1, 1, rate)
+            : audioContext;
+        // decodeAudioData detaches its argument, so decode a copy
+        return decoder.decodeAudioData(data.slice(0));
+    }
+
+    /**
+     * Decode a user file and store its original bytes
+     * @param {File} file - WAV/MP3/OGG file from a file picker or drop
+     * @param {AudioContext} audioContext - Used for decoding
+     * @param {boolean} nativeRate - See decode()
+     * @returns {Promise<{id: string, name: string, buffer: AudioBuffer}>}
+     */
+    async addFile(file, audioContext, nativeRate = false) {
+        const data = await file.arrayBuffer();
+        const buffer = await this.decode(data, audioContext, nativeRate);
+        const id = `sample-${Date.now()}-${Math.floor(Math.random() * 1e6)}`;
+
+        await this.request('readwrite', store => store.put({ id, name: file.name, type: file.type, data, date: Date.now() }));
+
+        this.decoded.set(id, buffer);
+        this.names.set(id, file.name);
+        return { id, name: file.name, buffer };
+    }
+
+    /**
+     * Get a decoded sample, reading it from IndexedDB if needed
+     * @returns {Promise<AudioBuffer|null>} null if the sample no longer exists
+     */
+    async getBuffer(id, audioContext, nativeRate = false) {
+        if (this.decoded.has(id)) return this.decoded.get(id);
+
+        const record = await this.request('readonly', store => store.get(id));
+        if (!record) return null;
+
+        const buffer = await this.decode(record.data, audioContext, nativeRate);
+        this.decoded.set(id, buffer);
+        this.names.set(id, record.name);
+        return buffer;
+    }
+
+    /**
+     * Decoded buffer if it is already cached (synchronous)
+     */
+    getCachedBuffer(id) {
+        return this.decoded.get(id) || null;
+    }
+
+    getName(id) {
+        return this.names.get(id) || '';
+    }
+
+    /**
+     * Delete a stored sample and drop its decoded buffer
+     */
+    async remove(id) {
+        this.decoded.delete(id);
+        this.names.delete(id);
+        await this.request('readwrite', store => store.delete(id));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SampleLibrary };
+}
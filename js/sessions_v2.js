@@ -0,0 +1,220 @@
+/**
+ * Session Module
+ * Timed binaural "session programs": a timeline of carrier and beat
+ * frequency ramps played on one channel with AudioParam automation,
+ * so the glide stays sample-accurate even when the tab is in the background.
+ */
+
+/**
+ * Built-in programs. Each step glides from the previous values to its own
+ * over `duration` seconds; a step that repeats the values is a hold.
+ */
+const BUILTIN_SESSION_PROGRAMS = [
+    {
+        name: '🎯 Focus → Relax (20 min)',
+        startBaseFreq: 200, startBeatFreq: 20,
+        steps: [
+            { duration: 300, baseFreq: 200, beatFreq: 20 },
+            { duration: 300, baseFreq: 200, beatFreq: 10 },
+            { duration: 300, baseFreq: 180, beatFreq: 10 },
+            { duration: 300, baseFreq: 160, beatFreq: 6 }
+        ]
+    },
+    {
+        name: '🌙 Sleep Descent (30 min)',
+        startBaseFreq: 180, startBeatFreq: 10,
+        steps: [
+            { duration: 300, baseFreq: 180, beatFreq: 10 },
+            { duration: 600, baseFreq: 150, beatFreq: 6 },
+            { duration: 600, baseFreq: 120, beatFreq: 2 },
+            { duration: 300, baseFreq: 120, beatFreq: 2 }
+        ]
+    },
+    {
+        name: '☀️ Morning Wake-up (15 min)',
+        startBaseFreq: 150, startBeatFreq: 6,
+        steps: [
+            { duration: 180, baseFreq: 150, beatFreq: 6 },
+            { duration: 360, baseFreq: 200, beatFreq: 10 },
+            { duration: 360, baseFreq: 220, beatFreq: 18 }
+        ]
+    }
+];
+
+class SessionProgramRunner {
+    /**
+     * @param {SynthEngine} synthEngine - The engine that owns the channels
+     */
+    constructor(synthEngine) {
+        this.synth = synthEngine;
+        this.program = null;
+        this.channel = 0;
+        this.generator = null;
+        this.state = 'idle'; // 'idle' | 'running' | 'paused' | 'finished'
+        this.elapsed = 0;     // Seconds into the program when paused
+        this.startedAt = 0;   // AudioContext time that corresponds to elapsed = 0
+        this.finishTimer = null;
+        this.onComplete = null;
+    }
+
+    static getBuiltinPrograms() {
+        return BUILTIN_SESSION_PROGRAMS;
+    }
+
+    /**
+     * Total program length in seconds
+     */
+    static getDuration(program) {
+        return program.steps.reduce((sum, step) => sum + step.duration, 0);
+    }
+
+    /**
+     * Carrier and beat frequency at a point in the program
+     */
+    valuesAt(time) {
+        const program = this.program;
+        let base = program.startBaseFreq;
+        let beat = program.startBeatFreq;
+        let t = 0;
+        for (let i = 0; i < program.steps.length; i++) {
+            const step = program.steps[i];
+            if (time < t + step.duration) {
+                const f = (time - t) / step.duration;
+                return {
+                    stepIndex: i,
+                    baseFreq: base + (step.baseFreq - base) * f,
+                    beatFreq: beat + (step.beatFreq - beat) * f
+                };
+            }
+            t += step.duration;
+            base = step.baseFreq;
+            beat = step.beatFreq;
+        }
+        return { stepIndex: program.steps.length - 1, baseFreq: base, beatFreq: beat };
+    }
+
+    /**
+     * Start a program on a channel
+     * @returns {boolean} false if the channel is not playing a binaural generator
+     */
+    start(program, channel) {
+        const generator = this.synth.generators[channel];
+        if (!generator || !generator.scheduleRamp || !generator.getIsPlaying()) return false;
+        if (!program || !program.steps.length) return false;
+
+        this.stop();
+        this.program = program;
+        this.channel = channel;
+        this.generator = generator;
+        this.elapsed = 0;
+        this.scheduleFrom(0);
+        return true;
+    }
+
+    /**
+     * Schedule every remaining ramp starting `elapsed` seconds into the program
+     */
+    scheduleFrom(elapsed) {
+        const ctx = this.synth.audioContext;
+        const now = ctx.currentTime;
+        const current = this.valuesAt(elapsed);
+
+        this.generator.holdAt(current.baseFreq, current.beatFreq, now);
+
+        let t = 0;
+        this.program.steps.forEach(step => {
+            t += step.duration;
+            if (t > elapsed) {
+                this.generator.scheduleRamp(step.baseFreq, step.beatFreq, now + (t - elapsed));
+            }
+        });
+
+        this.startedAt = now - elapsed;
+        this.state = 'running';
+
+        const remaining = SessionProgramRunner.getDuration(this.program) - elapsed;
+        this.finishTimer = setTimeout(() => this.finish(), remaining * 1000);
+    }
+
+    pause() {
+        if (this.state !== 'running') return;
+        this.elapsed = this.getElapsed();
+        clearTimeout(this.finishTimer);
+        const current = this.valuesAt(this.elapsed);
+        this.generator.holdAt(current.baseFreq, current.beatFreq);
+        this.state = 'paused';
+    }
+
+    resume() {
+        if (this.state !== 'paused') return;
+        if (!this.isGeneratorValid()) {
+            this.stop();
+            return;
+        }
+        this.scheduleFrom(this.elapsed);
+    }
+
+    /**
+     * Stop the program and leave the channel at its current frequencies
+     */
+    stop() {
+        clearTimeout(this.finishTimer);
+        if (this.state === 'running' && this.isGeneratorValid()) {
+            const current = this.valuesAt(this.getElapsed());
+            this.generator.holdAt(current.baseFreq, current.beatFreq);
+        }
+        this.state = 'idle';
+        this.program = null;
+        this.generator = null;
+        this.elapsed = 0;
+    }
+
+    finish() {
+        const final = this.valuesAt(SessionProgramRunner.getDuration(this.program));
+        if (this.isGeneratorValid()) {
+            // The ramps already ended there, just keep the generator's fields in sync
+            this.generator.baseFreq = final.baseFreq;
+            this.generator.beatFreq = final.beatFreq;
+        }
+        this.state = 'finished';
+        this.elapsed = SessionProgramRunner.getDuration(this.program);
+        if (this.onComplete) this.onComplete(this.program);
+    }
+
+    /**
+     * The program's generator is gone if the channel switched waveform or audio stopped
+     */
+    isGeneratorValid() {
+        return this.generator && this.synth.generators[this.channel] === this.generator;
+    }
+
+    getElapsed() {
+        if (this.state !== 'running') return this.elapsed;
+        return Math.min(this.synth.audioContext.currentTime - this.startedAt, SessionProgramRunner.getDuration(this.program));
+    }
+
+    /**
+     * Snapshot for the progress display
+     */
+    getProgress() {
+        if (!this.program) return { state: this.state };
+        if (this.state === 'running' && !this.isGeneratorValid()) this.stop();
+        if (!this.program) return { state: this.state };
+
+        const elapsed = this.getElapsed();
+        const total = SessionProgramRunner.getDuration(this.program);
+        return {
+            state: this.state,
+            name: this.program.name,
+            elapsed,
+            total,
+            fraction: total > 0 ? elapsed / total : 1,
+            ...this.valuesAt(elapsed)
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionProgramRunner, BUILTIN_SESSION_PROGRAMS };
+}
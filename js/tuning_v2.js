@@ -0,0 +1,308 @@
+/**
+ * Tuning Module
+ * Maps MIDI notes to frequencies: equal and historical temperaments,
+ * solfeggio sets and Scala (.scl scale / .kbm keyboard mapping) files.
+ *
+ * A scale is a list of degrees in cents above degree 0, the last one being
+ * the period (1200 for an octave). Without a keyboard mapping, consecutive
+ * keys play consecutive degrees with degree 0 on the middle note, and the
+ * reference note sounds at the reference frequency.
+ */
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const TWELVE_TET = Array.from({ length: 12 }, (_, i) => (i + 1) * 100);
+
+const ratiosToCents = (ratios) => ratios.map(r => 1200 * Math.log2(r));
+
+/**
+ * Quarter-comma meantone: pure major thirds from fifths of 696.58 cents, Eb to G#
+ */
+const meantoneDegrees = () => {
+    const fifth = 1200 * Math.log2(5) / 4;
+    const degrees = [];
+    for (let k = -3; k <= 8; k++) {
+        const cents = ((k * fifth) % 1200 + 1200) % 1200;
+        if (cents > 0) degrees.push(cents);
+    }
+    return [...degrees.sort((a, b) => a - b), 1200];
+};
+
+/**
+ * Octave-reduce a set of absolute frequencies into a scale on the lowest one
+ */
+const frequencySetDegrees = (freqs) => {
+    const base = freqs[0];
+    const degrees = freqs.slice(1).map(f => {
+        const cents = 1200 * Math.log2(f / base);
+        return cents % 1200;
+    });
+    return [...degrees.sort((a, b) => a - b), 1200];
+};
+
+/**
+ * Built-in tunings. `middleNote` plays degree 0, `reference` pins one note to a frequency.
+ * Solfeggio sets put degree 0 on the key closest to their base tone, so every
+ * tone of the set sounds exactly on some key.
+ */
+const BUILTIN_TUNINGS = [
+    { id: '12tet', name: 'Equal Temperament (12-TET)', degrees: TWELVE_TET, middleNote: 60, reference: { note: 69, freq: 440 } },
+    { id: 'a432', name: '12-TET, A4 = 432 Hz', degrees: TWELVE_TET, middleNote: 60, reference: { note: 69, freq: 432 } },
+    { id: 'just', name: 'Just Intonation (5-limit)', middleNote: 60, reference: { note: 69, freq: 440 },
+        degrees: ratiosToCents([16/15, 9/8, 6/5, 5/4, 4/3, 45/32, 3/2, 8/5, 5/3, 9/5, 15/8, 2]) },
+    { id: 'pythagorean', name: 'Pythagorean', middleNote: 60, reference: { note: 69, freq: 440 },
+        degrees: ratiosToCents([256/243, 9/8, 32/27, 81/64, 4/3, 729/512, 3/2, 128/81, 27/16, 16/9, 243/128, 2]) },
+    { id: 'meantone', name: 'Quarter-comma Meantone', degrees: meantoneDegrees(), middleNote: 60, reference: { note: 69, freq: 440 } },
+    { id: 'solfeggio6', name: 'Solfeggio (396-852 Hz)', middleNote: 67, reference: { note: 67, freq: 396 },
+        degrees: frequencySetDegrees([396, 417, 528, 639, 741, 852]) },
+    { id: 'solfeggio9', name: 'Solfeggio (174-963 Hz)', middleNote: 53, reference: { note: 53, freq: 174 },
+        degrees: frequencySetDegrees([174, 285, 396, 417, 528, 639, 741, 852, 963]) }
+];
+
+class TuningSystem {
+    constructor() {
+        this.tuningId = '12tet';
+        this.scale = { name: 'Equal Temperament (12-TET)', degrees: TWELVE_TET };
+        this.middleNote = 60;          // Key that plays degree 0
+        this.referenceNote = 69;
+        this.referenceFreq = 440;
+        this.keyboardMap = null;       // Parsed .kbm, replaces the linear key mapping
+        this.snap = false;             // Snap channel frequency sliders to the tuning
+    }
+
+    static getBuiltinTunings() {
+        return BUILTIN_TUNINGS.map(t => ({ id: t.id, name: t.name }));
+    }
+
+    /**
+     * One Scala pitch: cents if it contains a '.', otherwise a ratio ("3/2" or "2")
+     */
+    static parseScalaPitch(text) {
+        const token = text.trim().split(/\s+/)[0];
+        if (token.includes('.')) {
+            const cents = parseFloat(token);
+            if (isNaN(cents)) throw new Error(`Invalid pitch "${token}"`);
+            return cents;
+        }
+        const [num, den = '1'] = token.split('/');
+        const ratio = parseInt(num) / parseInt(den);
+        if (!(ratio > 0)) throw new Error(`Invalid pitch "${token}"`);
+        return 1200 * Math.log2(ratio);
+    }
+
+    /**
+     * Lines of a Scala file without comments ('!')
+     */
+    static scalaLines(text) {
+        return text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+    }
+
+    /**
+     * Parse a Scala .scl file
+     * @returns {{name: string, degrees: number[]}}
+     */
+    static parseScl(text) {
+        const lines = TuningSystem.scalaLines(text);
+        if (lines.length < 2) throw new Error('Not a Scala scale file');
+        const name = lines[0].trim();
+        const count = parseInt(lines[1]);
+        if (isNaN(count) || count < 1) throw new Error('Invalid note count');
+        const pitchLines = lines.slice(2).filter(line => line.trim() !== '');
+        if (pitchLines.length < count) throw new Error(`Expected ${count} pitches, found ${pitchLines.length}`);
+        const degrees = pitchLines.slice(0, count).map(line => TuningSystem.parseScalaPitch(line));
+        return { name: name || 'Scala scale', degrees };
+    }
+
+    /**
+     * Parse a Scala .kbm keyboard mapping
+     */
+    static parseKbm(text) {
+        const values = TuningSystem.scalaLines(text).map(line => line.trim()).filter(line => line !== '');
+        if (values.length < 7) throw new Error('Not a Scala keyboard mapping file');
+        const int = (v, what) => {
+            const n = parseInt(v);
+            if (isNaN(n)) throw new Error(`Invalid ${what} "${v}"`);
+            return n;
+        };
+        const size = int(values[0], 'map size');
+        const map = {
+            size,
+            firstNote: int(values[1], 'first note'),
+            lastNote: int(values[2], 'last note'),
+            middleNote: int(values[3], 'middle note'),
+            referenceNote: int(values[4], 'reference note'),
+            referenceFreq: parseFloat(values[5]),
+            octaveDegree: int(values[6], 'octave degree'),
+            // Missing entries at the end are unmapped, like 'x'
+            keys: Array.from({ length: size }, (_, i) => {
+                const v = values[7 + i];
+                return v === undefined || v.toLowerCase() === 'x' ? null : int(v, 'mapping entry');
+            })
+        };
+        if (!(map.referenceFreq > 0)) throw new Error('Invalid reference frequency');
+        return map;
+    }
+
+    /**
+     * Apply a built-in tuning (drops any keyboard mapping)
+     */
+    setTuning(id) {
+        const tuning = BUILTIN_TUNINGS.find(t => t.id === id);
+        if (!tuning) return false;
+        this.tuningId = id;
+        this.scale = { name: tuning.name, degrees: tuning.degrees };
+        this.middleNote = tuning.middleNote;
+        this.referenceNote = tuning.reference.note;
+        this.referenceFreq = tuning.reference.freq;
+        this.keyboardMap = null;
+        return true;
+    }
+
+    /**
+     * Use a Scala scale, keeping the current reference and mapping
+     */
+    loadScl(text) {
+        this.scale = TuningSystem.parseScl(text);
+        this.tuningId = 'custom';
+    }
+
+    /**
+     * Use a Scala keyboard mapping, including its reference pitch
+     */
+    loadKbm(text) {
+        const map = TuningSystem.parseKbm(text);
+        this.keyboardMap = map;
+        this.middleNote = map.middleNote;
+        this.referenceNote = map.referenceNote;
+        this.referenceFreq = map.referenceFreq;
+    }
+
+    clearKeyboardMap() {
+        this.keyboardMap = null;
+    }
+
+    setReferenceFrequency(freq) {
+        if (!(freq > 0)) return;
+        this.referenceFreq = Math.min(20000, freq);
+    }
+
+    /**
+     * Cents of a scale degree above degree 0, for any degree (wraps by the period)
+     */
+    degreeCents(degree) {
+        const degrees = this.scale.degrees;
+        const n = degrees.length;
+        const period = degrees[n - 1];
+        const octave = Math.floor(degree / n);
+        const step = degree - octave * n;
+        return octave * period + (step === 0 ? 0 : degrees[step - 1]);
+    }
+
+    /**
+     * Cents of a key above the middle note's degree 0
+     * @returns {number|null} null if the keyboard mapping leaves the key unmapped
+     */
+    noteCents(note) {
+        const map = this.keyboardMap;
+        if (!map || map.size === 0) {
+            if (map && (note < map.firstNote || note > map.lastNote)) return null;
+            return this.degreeCents(note - this.middleNote);
+        }
+        if (note < map.firstNote || note > map.lastNote) return null;
+        const offset = note - this.middleNote;
+        const repeat = Math.floor(offset / map.size);
+        const degree = map.keys[offset - repeat * map.size];
+        if (degree === null) return null;
+        return repeat * this.degreeCents(map.octaveDegree) + this.degreeCents(degree);
+    }
+
+    /**
+     * Frequency of a MIDI note in the current tuning
+     * @returns {number|null} null for unmapped keys
+     */
+    midiNoteToFrequency(note) {
+        const cents = this.noteCents(note);
+        if (cents === null) return null;
+        const refCents = this.noteCents(this.referenceNote);
+        return this.referenceFreq * Math.pow(2, (cents - (refCents === null ? 0 : refCents)) / 1200);
+    }
+
+    /**
+     * Closest MIDI note to a frequency, with the deviation in cents
+     * @returns {{note: number, freq: number, cents: number}|null}
+     */
+    nearestNote(freq) {
+        if (!(freq > 0)) return null;
+        let best = null;
+        for (let note = 0; note < 128; note++) {
+            const noteFreq = this.midiNoteToFrequency(note);
+            if (noteFreq === null) continue;
+            const cents = 1200 * Math.log2(freq / noteFreq);
+            if (!best || Math.abs(cents) < Math.abs(best.cents)) best = { note, freq: noteFreq, cents };
+        }
+        return best;
+    }
+
+    /**
+     * Frequency of the closest note in the tuning
+     */
+    snapFrequency(freq) {
+        const nearest = this.nearestNote(freq);
+        return nearest ? nearest.freq : freq;
+    }
+
+    /**
+     * Note names for 12-note scales, scale degrees for everything else
+     */
+    getNoteName(note) {
+        const twelveNote = this.scale.degrees.length === 12 && !this.keyboardMap && this.middleNote % 12 === 0;
+        if (twelveNote) return `${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
+        const n = this.scale.degrees.length;
+        const offset = note - this.middleNote;
+        const degree = ((offset % n) + n) % n;
+        return `Key ${note} (deg ${degree})`;
+    }
+
+    /**
+     * "A4 +3.2¢" style description of a frequency
+     */
+    describeFrequency(freq) {
+        const nearest = this.nearestNote(freq);
+        if (!nearest) return '';
+        const cents = nearest.cents;
+        const sign = cents >= 0 ? '+' : '-';
+        return `${this.getNoteName(nearest.note)} ${sign}${Math.abs(cents).toFixed(1)}¢`;
+    }
+
+    getState() {
+        return {
+            id: this.tuningId,
+            scale: this.tuningId === 'custom' ? { name: this.scale.name, degrees: [...this.scale.degrees] } : undefined,
+            keyboardMap: this.keyboardMap ? { ...this.keyboardMap, keys: [...this.keyboardMap.keys] } : null,
+            middleNote: this.middleNote,
+            referenceNote: this.referenceNote,
+            referenceFreq: this.referenceFreq,
+            snap: this.snap
+        };
+    }
+
+    loadState(state) {
+        if (!state) return;
+        if (state.id === 'custom' && state.scale && Array.isArray(state.scale.degrees) && state.scale.degrees.length) {
+            this.tuningId = 'custom';
+            this.scale = { name: state.scale.name || 'Scala scale', degrees: [...state.scale.degrees] };
+        } else {
+            this.setTuning(state.id || '12tet');
+        }
+        this.keyboardMap = state.keyboardMap || null;
+        if (state.middleNote !== undefined) this.middleNote = state.middleNote;
+        if (state.referenceNote !== undefined) this.referenceNote = state.referenceNote;
+        if (state.referenceFreq !== undefined) this.setReferenceFrequency(state.referenceFreq);
+        this.snap = !!state.snap;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TuningSystem, BUILTIN_TUNINGS };
+}
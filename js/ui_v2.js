@@ -3,6 +3,14 @@
  * Handles user interface interactions and updates
  */
 
+// Starting values for the initial strips that the engine doesn't keep itself
+const DEFAULT_CHANNEL_STRIPS = [
+    { frequency: 440 },
+    { frequency: 220 },
+    { frequency: 110 },
+    { frequency: 55, duty: 0.3 }
+];
+
 class UIManager {
     constructor(synthEngine) {
         this.synth = synthEngine;
@@ -14,11 +22,15 @@ class UIManager {
     init() {
         this.setupPowerButton();
         this.setupChannels();
+        this.setupAuxBuses();
         this.setupMasterControls();
         this.setupPresets();
         this.setupUserPresets(); // Initialize user presets
+        this.setupSessionPrograms();
         this.setupVisualizer();
         this.setupMIDIControls();
+        this.setupVoiceControls();
+        this.setupTuningControls();
         
         // Load state from local storage after UI is set up
         setTimeout(() => this.loadFromLocalStorage(), 100);
@@ -32,6 +44,8 @@ class UIManager {
         if (saveBtn) {
             saveBtn.addEventListener('click', () => this.saveUserPatch());
         }
+        // Samples replaced on a channel are only deleted if no saved patch needs them
+        this.synth.isSampleSaved = (sampleId) => this.isSampleInUserPatches(sampleId);
         this.renderUserPresets();
     }
 
@@ -61,6 +75,21 @@ class UIManager {
         }
     }
 
+    /**
+     * Whether a saved user patch refers to a stored sample (granular or wavetable)
+     */
+    isSampleInUserPatches(sampleId) {
+        try {
+            const savedPatches = JSON.parse(localStorage.getItem('tone-generator-user-patches') || '[]');
+            return savedPatches.some(patch => patch.state && (patch.state.channels || []).some(ch =>
+                ch.sampleId === sampleId || ch.wavetableSampleId === sampleId
+            ));
+        } catch (e) {
+            // Keep the sample if the patches cannot be read
+            return true;
+        }
+    }
+
     /**
      * Render the list of user patches
      */
@@ -142,6 +171,247 @@ class UIManager {
         }
     }
 
+    /**
+     * Set up timed binaural session programs (built-in + saved next to user patches)
+     */
+    setupSessionPrograms() {
+        const select = document.getElementById('session-program-select');
+        if (!select) return;
+
+        this.editingProgram = null;
+        this.sessionTimer = null;
+        this.lastSessionState = null; // The toast fires only on the change into 'finished'
+        this.renderSessionProgramList();
+
+        select.addEventListener('change', () => this.selectSessionProgram(select.value));
+
+        document.getElementById('session-add-step').addEventListener('click', () => {
+            const steps = this.editingProgram.steps;
+            const last = steps[steps.length - 1] || { baseFreq: this.editingProgram.startBaseFreq, beatFreq: this.editingProgram.startBeatFreq };
+            steps.push({ duration: 300, baseFreq: last.baseFreq, beatFreq: last.beatFreq });
+            this.renderSessionSteps();
+        });
+
+        document.getElementById('session-save').addEventListener('click', () => this.saveSessionProgram());
+        document.getElementById('session-delete').addEventListener('click', () => this.deleteSessionProgram());
+
+        document.getElementById('session-start').addEventListener('click', () => {
+            if (!this.synth.isAudioStarted) {
+                this.showToast('Please start audio first', 'info');
+                return;
+            }
+            const channel = parseInt(document.getElementById('session-channel').value);
+            // Run a copy so later edits don't change the running timeline
+            const program = JSON.parse(JSON.stringify(this.editingProgram));
+            if (!this.synth.startSessionProgram(channel, program)) {
+                this.showToast(`Switch channel ${channel + 1} on and set it to Binaural, Isochronic or Monaural`, 'error');
+                return;
+            }
+            this.startSessionProgressTimer();
+        });
+
+        document.getElementById('session-pause').addEventListener('click', () => {
+            const progress = this.synth.getSessionProgress();
+            if (progress.state === 'running') this.synth.pauseSessionProgram();
+            else if (progress.state === 'paused') this.synth.resumeSessionProgram();
+            this.updateSessionProgress();
+        });
+
+        document.getElementById('session-stop').addEventListener('click', () => {
+            this.synth.stopSessionProgram();
+            this.updateSessionProgress();
+        });
+    }
+
+    /**
+     * Built-in programs followed by the user's saved ones
+     */
+    getSessionPrograms() {
+        const saved = JSON.parse(localStorage.getItem('tone-generator-session-programs') || '[]');
+        return [
+            ...SessionProgramRunner.getBuiltinPrograms().map(p => ({ ...p, builtin: true })),
+            ...saved
+        ];
+    }
+
+    renderSessionProgramList(selectIndex = 0) {
+        const select = document.getElementById('session-program-select');
+        const programs = this.getSessionPrograms();
+        select.innerHTML = '';
+        programs.forEach((program, i) => {
+            const opt = document.createElement('option');
+            opt.value = i;
+            const minutes = Math.round(SessionProgramRunner.getDuration(program) / 60);
+            opt.textContent = program.builtin ? program.name : `👤 ${program.name} (${minutes} min)`;
+            select.appendChild(opt);
+        });
+        select.value = Math.min(selectIndex, programs.length - 1);
+        this.selectSessionProgram(select.value);
+    }
+
+    selectSessionProgram(index) {
+        const program = this.getSessionPrograms()[index];
+        if (!program) return;
+        this.editingProgram = JSON.parse(JSON.stringify(program));
+        this.editingProgramIndex = parseInt(index);
+        document.getElementById('session-delete').disabled = !!program.builtin;
+        this.renderSessionSteps();
+    }
+
+    /**
+     * Editable rows: start values, then one row per ramp (minutes, beat Hz, carrier Hz)
+     */
+    renderSessionSteps() {
+        const container = document.getElementById('session-steps');
+        const program = this.editingProgram;
+        container.innerHTML = '';
+
+        const makeInput = (value, step, onChange) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = step;
+            input.step = step;
+            input.value = value;
+            input.addEventListener('change', (e) => {
+                const v = parseFloat(e.target.value);
+                if (!isNaN(v) && v > 0) onChange(v);
+            });
+            return input;
+        };
+
+        const header = document.createElement('div');
+        header.className = 'session-step';
+        header.innerHTML = '<span></span><span>Min</span><span>Beat Hz</span><span>Carrier Hz</span><span></span>';
+        container.appendChild(header);
+
+        const startRow = document.createElement('div');
+        startRow.className = 'session-step';
+        startRow.innerHTML = '<span>Start</span><span></span>';
+        startRow.appendChild(makeInput(program.startBeatFreq, 0.5, v => { program.startBeatFreq = v; }));
+        startRow.appendChild(makeInput(program.startBaseFreq, 1, v => { program.startBaseFreq = v; }));
+        startRow.appendChild(document.createElement('span'));
+        container.appendChild(startRow);
+
+        program.steps.forEach((step, i) => {
+            const row = document.createElement('div');
+            row.className = 'session-step';
+
+            const label = document.createElement('span');
+            label.textContent = `→ ${i + 1}`;
+            row.appendChild(label);
+            row.appendChild(makeInput(step.duration / 60, 0.5, v => { step.duration = v * 60; }));
+            row.appendChild(makeInput(step.beatFreq, 0.5, v => { step.beatFreq = v; }));
+            row.appendChild(makeInput(step.baseFreq, 1, v => { step.baseFreq = v; }));
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'preset-btn-small';
+            removeBtn.textContent = '×';
+            removeBtn.style.cssText = 'padding: 2px 6px; border: none; border-radius: 4px; background: #0f3460; color: #eee; cursor: pointer;';
+            removeBtn.disabled = program.steps.length === 1;
+            removeBtn.addEventListener('click', () => {
+                program.steps.splice(i, 1);
+                this.renderSessionSteps();
+            });
+            row.appendChild(removeBtn);
+
+            container.appendChild(row);
+        });
+    }
+
+    saveSessionProgram() {
+        const current = this.editingProgram;
+        const defaultName = current.builtin ? `${current.name.replace(/\s*\(.*\)$/, '')} (custom)` : current.name;
+        const name = prompt('Enter a name for your session program:', defaultName);
+        if (!name) return;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem('tone-generator-session-programs') || '[]');
+            const program = {
+                name: name,
+                date: Date.now(),
+                startBaseFreq: current.startBaseFreq,
+                startBeatFreq: current.startBeatFreq,
+                steps: current.steps
+            };
+
+            // Saving a user program under its own name overwrites it
+            const existing = saved.findIndex(p => p.name === name);
+            if (existing !== -1) saved[existing] = program;
+            else saved.push(program);
+
+            localStorage.setItem('tone-generator-session-programs', JSON.stringify(saved));
+            const builtinCount = SessionProgramRunner.getBuiltinPrograms().length;
+            this.renderSessionProgramList(builtinCount + (existing !== -1 ? existing : saved.length - 1));
+            this.showToast(`Program "${name}" saved!`, 'success');
+        } catch (e) {
+            console.error('Failed to save session program:', e);
+            this.showToast('Failed to save program', 'error');
+        }
+    }
+
+    deleteSessionProgram() {
+        if (this.editingProgram.builtin) return;
+        if (!confirm('Are you sure you want to delete this program?')) return;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem('tone-generator-session-programs') || '[]');
+            saved.splice(this.editingProgramIndex - SessionProgramRunner.getBuiltinPrograms().length, 1);
+            localStorage.setItem('tone-generator-session-programs', JSON.stringify(saved));
+            this.renderSessionProgramList();
+        } catch (e) {
+            console.error('Failed to delete session program:', e);
+        }
+    }
+
+    startSessionProgressTimer() {
+        if (this.sessionTimer) clearInterval(this.sessionTimer);
+        this.sessionTimer = setInterval(() => this.updateSessionProgress(), 500);
+        this.updateSessionProgress();
+    }
+
+    /**
+     * Refresh the progress bar, status line and the driven channel's binaural labels
+     */
+    updateSessionProgress() {
+        const progress = this.synth.getSessionProgress();
+        const bar = document.getElementById('session-progress-bar');
+        const status = document.getElementById('session-status');
+        const pauseBtn = document.getElementById('session-pause');
+        const fmt = (t) => `${Math.floor(t / 60)}:${String(Math.floor(t % 60)).padStart(2, '0')}`;
+
+        pauseBtn.textContent = progress.state === 'paused' ? '▶ Resume' : '⏸ Pause';
+        const previousState = this.lastSessionState;
+        this.lastSessionState = progress.name ? progress.state : null;
+
+        if (!progress.name) {
+            bar.style.width = '0';
+            status.textContent = 'Idle';
+            clearInterval(this.sessionTimer);
+            this.sessionTimer = null;
+            return;
+        }
+
+        bar.style.width = `${(progress.fraction * 100).toFixed(1)}%`;
+        const prefix = progress.state === 'paused' ? '⏸ ' : (progress.state === 'finished' ? '✓ ' : '');
+        status.textContent = `${prefix}${fmt(progress.elapsed)} / ${fmt(progress.total)} · ` +
+            `${progress.beatFreq.toFixed(1)} Hz beat · ${Math.round(progress.baseFreq)} Hz carrier`;
+
+        // Mirror the glide on the channel's own controls
+        const channelEl = document.querySelectorAll('.channel')[this.synth.sessionRunner.channel];
+        if (channelEl) {
+            const beatVal = channelEl.querySelector('.beat-val');
+            const freqVal = channelEl.querySelector('.freq-val');
+            if (beatVal) beatVal.textContent = progress.beatFreq.toFixed(1);
+            if (freqVal && channelEl.querySelector('.binaural-controls')) freqVal.textContent = Math.round(progress.baseFreq);
+        }
+
+        if (progress.state === 'finished') {
+            clearInterval(this.sessionTimer);
+            this.sessionTimer = null;
+            if (previousState !== 'finished') this.showToast(`Session "${progress.name}" complete`, 'success');
+        }
+    }
+
     /**
      * Save current state to local storage
      */
@@ -192,130 +462,131 @@ class UIManager {
     updateUIFromState(state) {
         if (!state || !state.channels) return;
         
+        // Patches store however many channels they had
+        this.setChannelStripCount(state.channels.length);
+        
         const channels = document.querySelectorAll('.channel');
         
         state.channels.forEach((ch, i) => {
-            const channel = channels[i];
-            if (!channel) return;
-            
-            // Channel on/off
-            const onToggle = channel.querySelector('.channel-on');
-            onToggle.checked = ch.enabled;
-            channel.classList.toggle('disabled', !ch.enabled);
-            
-            // Waveform
-            const waveformEl = channel.querySelector('.waveform');
-            waveformEl.value = ch.waveform;
-            
-            // Handle special generator controls (MUST call before frequency/duty to set ranges)
-            this.handleBinauralControls(channel, i, ch.waveform);
-            this.handleFMControls(channel, i, ch.waveform);
-            this.handleInfrasoundControls(channel, i, ch.waveform);
-            this.handleNoiseControls(channel, i, ch.waveform);
-            this.handleGranularControls(channel, i, ch.waveform);
-            
-            // Restore special generator settings if they exist
-            if (ch.noiseType) {
-                const nt = channel.querySelector('.noise-type');
-                if (nt) nt.value = ch.noiseType;
-            }
-            if (ch.beatFreq) {
-                const bf = channel.querySelector('.beat-freq');
-                const bfv = channel.querySelector('.beat-freq-val');
-                if (bf) { bf.value = ch.beatFreq; if (bfv) bfv.textContent = ch.beatFreq; }
-            }
-            if (ch.modIndex !== undefined) {
-                const mi = channel.querySelector('.fm-mod-index');
-                const miv = channel.querySelector('.mod-index-val');
-                if (mi) { mi.value = ch.modIndex; if (miv) miv.textContent = ch.modIndex; }
-            }
-            if (ch.fmAlgo !== undefined) {
-                const fa = channel.querySelector('.fm-algo');
-                if (fa) fa.value = ch.fmAlgo;
-            }
-            if (ch.infraWaveform) {
-                const iw = channel.querySelector('.infrasound-waveform');
-                if (iw) iw.value = ch.infraWaveform;
-            }
-            if (ch.density) {
-                const d = channel.querySelector('.density');
-                const dv = channel.querySelector('.density-val');
-                if (d) { d.value = ch.density; if (dv) dv.textContent = ch.density; }
-            }
-            
-            // Duty cycle
-            const dutySection = channel.querySelector('.square-duty');
-            if (ch.waveform === 'square') {
-                dutySection.classList.remove('hidden');
-                const dutyInput = channel.querySelector('.duty');
-                const dutyVal = channel.querySelector('.duty-val');
-                if (dutyInput && ch.duty !== undefined) {
-                    dutyInput.value = ch.duty * 100;
-                    dutyVal.textContent = Math.round(ch.duty * 100);
-                }
-            } else {
-                dutySection.classList.add('hidden');
+            if (channels[i]) this.updateChannelFromState(channels[i], i, ch);
+        });
+        this.updateChannelSilenced();
+        
+        this.updateAuxBusesFromState(state);
+        this.updateMasterFromState(state);
+        this.updateTestSignalCalibration();
+        
+        // MIDI voices
+        if (state.voices) {
+            this.updateVoiceControls(state.voices);
+        }
+        
+        // Tuning (before the frequency notes are refreshed)
+        if (state.tuning) {
+            this.updateTuningControls(state.tuning);
+        }
+    }
+
+    /**
+     * Update one channel strip from its part of a patch
+     */
+    updateChannelFromState(channel, i, ch) {
+        // Channel on/off
+        const onToggle = channel.querySelector('.channel-on');
+        onToggle.checked = ch.enabled;
+        channel.classList.toggle('disabled', !ch.enabled);
+        
+        // Waveform
+        const waveformEl = channel.querySelector('.waveform');
+        waveformEl.value = ch.waveform;
+        
+        // Handle special generator controls (MUST call before frequency/duty to set ranges)
+        this.handleBinauralControls(channel, i, ch.waveform, ch);
+        this.handleFMControls(channel, i, ch.waveform, ch);
+        this.handleInfrasoundControls(channel, i, ch.waveform, ch);
+        this.handleNoiseControls(channel, i, ch.waveform, ch);
+        this.handleGranularControls(channel, i, ch.waveform, ch);
+        this.handleWavetableControls(channel, i, ch.waveform, ch);
+        this.handleAdditiveControls(channel, i, ch.waveform, ch);
+        this.handlePhysicalControls(channel, i, ch.waveform, ch);
+        this.handleFormantControls(channel, i, ch.waveform, ch);
+        this.handleShepardControls(channel, i, ch.waveform, ch);
+        this.handleSweepControls(channel, i, ch.waveform, ch);
+        this.handleTestSignalControls(channel, i, ch.waveform, ch);
+        this.handleUnisonControls(channel, i, ch.waveform, ch);
+        this.handleChordControls(channel, i, ch.waveform, ch);
+        
+        // Duty cycle
+        const dutySection = channel.querySelector('.square-duty');
+        if (ch.waveform === 'square') {
+            dutySection.classList.remove('hidden');
+            const dutyInput = channel.querySelector('.duty');
+            const dutyVal = channel.querySelector('.duty-val');
+            if (dutyInput && ch.duty !== undefined) {
+                dutyInput.value = ch.duty * 100;
+                dutyVal.textContent = Math.round(ch.duty * 100);
             }
+        } else {
+            dutySection.classList.add('hidden');
+        }
+        
+        // Frequency
+        const freqInput = channel.querySelector('.frequency');
+        const freqVal = channel.querySelector('.freq-val');
+        freqInput.value = ch.frequency;
+        
+        // Format display based on range (infrasound needs decimals)
+        if (ch.waveform === 'infrasound') {
+            freqVal.textContent = parseFloat(ch.frequency).toFixed(2);
+        } else {
+            freqVal.textContent = Math.round(ch.frequency);
+        }
+        this.updateFrequencyNote(channel, ch.frequency);
+        
+        // Volume
+        const volInput = channel.querySelector('.volume');
+        volInput.value = ch.volume * 100;
+        
+        // Pan, mute and solo
+        this.updateChannelMixControls(channel, ch);
+        
+        // Envelope
+        if (ch.envelope) this.updateEnvelopeControls(channel, ch.envelope);
+        
+        // Aux sends
+        this.renderChannelSends(channel, ch.sends || []);
+        
+        // Refresh Mod buttons for channel params
+        channel.querySelectorAll('.mod-button').forEach(btn => {
+            const label = btn.parentElement;
+            const container = label.parentElement;
+            const slider = container.querySelector('input[type="range"]');
+            if (!slider) return;
             
-            // Frequency
-            const freqInput = channel.querySelector('.frequency');
-            const freqVal = channel.querySelector('.freq-val');
-            freqInput.value = ch.frequency;
+            let paramName = '';
+            if (slider.classList.contains('frequency')) paramName = 'frequency';
+            else if (slider.classList.contains('volume')) paramName = 'volume';
+            else if (slider.classList.contains('duty')) paramName = 'duty';
+            else if (slider.classList.contains('wavetable-morph')) paramName = 'morph';
+            else if (slider.classList.contains('formant-vowel')) paramName = 'vowel';
+            else if (slider.classList.contains('shepard-rate')) paramName = 'rate';
+            else if (slider.classList.contains('unison-detune')) paramName = 'unisonDetune';
+            else if (slider.classList.contains('unison-spread')) paramName = 'unisonSpread';
+            else if (slider.classList.contains('sync-ratio')) paramName = 'syncRatio';
+            else if (slider.classList.contains('infra-detune')) paramName = 'detune';
             
-            // Format display based on range (infrasound needs decimals)
-            if (ch.waveform === 'infrasound') {
-                freqVal.textContent = parseFloat(ch.frequency).toFixed(2);
+            if (paramName && this.synth.isChannelLFOAssigned(i, paramName)) {
+                const assignment = this.synth.getChannelLFOAssignment(i, paramName);
+                btn.classList.add('active');
+                btn.textContent = `LFO ${assignment.lfoIndex + 1}`;
             } else {
-                freqVal.textContent = Math.round(ch.frequency);
-            }
-            
-            // Volume
-            const volInput = channel.querySelector('.volume');
-            volInput.value = ch.volume * 100;
-            
-            // Refresh Mod buttons for channel params
-            channel.querySelectorAll('.mod-button').forEach(btn => {
-                const label = btn.parentElement;
-                const container = label.parentElement;
-                const slider = container.querySelector('input[type="range"]');
-                if (!slider) return;
-                
-                let paramName = '';
-                if (slider.classList.contains('frequency')) paramName = 'frequency';
-                else if (slider.classList.contains('volume')) paramName = 'volume';
-                else if (slider.classList.contains('duty')) paramName = 'duty';
-                
-                if (paramName && this.synth.isChannelLFOAssigned(i, paramName)) {
-                    const assignment = this.synth.getChannelLFOAssignment(i, paramName);
-                    btn.classList.add('active');
-                    btn.textContent = `LFO ${assignment.lfoIndex + 1}`;
-                } else {
-                    btn.classList.remove('active');
-                    btn.textContent = 'Mod';
-                }
-            });
-            
-            // Effects
-            const effectSelectors = channel.querySelectorAll('.effect-type');
-            if (ch.effects) {
-                ch.effects.forEach((eff, j) => {
-                    if (effectSelectors[j]) {
-                        effectSelectors[j].value = eff.type;
-                        // Don't call updateEffectParams yet if audio not started
-                        // since it needs effect instances
-                        if (this.synth.isAudioStarted) {
-                            this.updateEffectParams(channel, j, eff.type);
-                        }
-                    }
-                });
+                btn.classList.remove('active');
+                btn.textContent = 'Mod';
             }
         });
         
-        // Master volume
-        if (state.master) {
-            const masterVol = document.getElementById('master-volume');
-            if (masterVol) masterVol.value = state.master.volume * 100;
-        }
+        // Effects
+        if (ch.effects) this.renderEffectSlots(channel, ch.effects);
     }
 
     /**
@@ -325,11 +596,22 @@ class UIManager {
     syncAllControlsToSynth() {
         console.log('Syncing UI state to audio engine...');
         
-        // Master volume
+        // Master volume, compressor and inserts
         const masterVol = document.getElementById('master-volume');
         if (masterVol) {
             this.synth.setMasterVolume(parseFloat(masterVol.value) / 100);
         }
+        this.synth.setMasterCompressor(this.getMasterCompressorControls());
+        const masterInserts = document.getElementById('master-inserts');
+        if (masterInserts) {
+            const effects = this.getEffectSlotList(masterInserts);
+            this.synth.setMasterEffectCount(effects.length);
+            effects.forEach((eff, j) => {
+                this.synth.setMasterEffect(j, eff.type);
+                if (eff.bypass) this.synth.setMasterEffectBypass(j, true);
+                this.updateEffectParams(masterInserts, j, eff.type);
+            });
+        }
         
         // LFOs
         for (let i = 0; i < 3; i++) {
@@ -342,6 +624,18 @@ class UIManager {
             if (waveSelect) this.synth.setLFOWaveform(i, waveSelect.value);
         }
         
+        // Aux buses, before the channels that send to them
+        document.querySelectorAll('.aux-bus').forEach((busEl, b) => {
+            this.synth.setAuxBusReturn(b, parseFloat(busEl.querySelector('.aux-return').value) / 100);
+            const effects = this.getEffectSlotList(busEl);
+            this.synth.setAuxBusEffectCount(b, effects.length);
+            effects.forEach((eff, j) => {
+                this.synth.setAuxBusEffect(b, j, eff.type);
+                if (eff.bypass) this.synth.setAuxBusEffectBypass(b, j, true);
+                this.updateEffectParams(busEl, j, eff.type);
+            });
+        });
+        
         // Channels
         const channels = document.querySelectorAll('.channel');
         channels.forEach((channelEl, i) => {
@@ -362,8 +656,26 @@ class UIManager {
                 this.handleInfrasoundControls(channelEl, i, wf);
                 this.handleNoiseControls(channelEl, i, wf);
                 this.handleGranularControls(channelEl, i, wf);
+                this.handleWavetableControls(channelEl, i, wf);
+                this.handleAdditiveControls(channelEl, i, wf);
+                this.handlePhysicalControls(channelEl, i, wf);
+                this.handleFormantControls(channelEl, i, wf);
+                this.handleShepardControls(channelEl, i, wf);
+                this.handleSweepControls(channelEl, i, wf);
+                this.handleTestSignalControls(channelEl, i, wf);
+                this.handleUnisonControls(channelEl, i, wf);
+                this.handleChordControls(channelEl, i, wf);
             }
             
+            // Effect slots chosen before audio started
+            const effects = this.getEffectSlotList(channelEl);
+            this.synth.setChannelEffectCount(i, effects.length);
+            effects.forEach((eff, j) => {
+                this.synth.setChannelEffect(i, j, eff.type);
+                if (eff.bypass) this.synth.setChannelEffectBypass(i, j, true);
+                this.updateEffectParams(channelEl, j, eff.type);
+            });
+            
             if (onToggle) this.synth.setChannelEnabled(i, onToggle.checked);
         });
     }
@@ -393,6 +705,8 @@ class UIManager {
                             this.updateEffectParams(channel, j, eff.type);
                         });
                     });
+                    this.updateAuxBusesFromState(this.pendingState);
+                    this.updateMasterFromState(this.pendingState);
                     this.pendingState = null;
                 } else {
                     // Sync current UI state to engine if no pending state
@@ -417,10 +731,299 @@ class UIManager {
      * Set up channel controls
      */
     setupChannels() {
-        const channels = document.querySelectorAll('.channel');
+        this.channelTemplate = document.getElementById('channel-template');
+        this.channelGrid = document.getElementById('channel-grid');
+        this.addChannelBtn = document.getElementById('add-channel-btn');
+        
+        this.synth.channelSettings.forEach((settings, index) => {
+            this.renderChannelStrip(index, { ...settings, ...DEFAULT_CHANNEL_STRIPS[index] });
+        });
+        this.updateChannelCount();
+        
+        this.addChannelBtn.addEventListener('click', () => this.addChannel());
+    }
+
+    /**
+     * Create a channel strip from the template and set up its controls
+     * @param {number} index - Channel index
+     * @param {Object} ch - Starting values (enabled, waveform, frequency, duty, volume, pan, mute, solo)
+     * @returns {HTMLElement} The new strip
+     */
+    renderChannelStrip(index, ch = {}) {
+        const channelEl = this.channelTemplate.content.firstElementChild.cloneNode(true);
+        channelEl.dataset.channel = index;
+        channelEl.querySelector('h3').textContent = `Oscillator ${index + 1}`;
+        channelEl.querySelector('.channel-on').checked = !!ch.enabled;
+        if (ch.waveform) channelEl.querySelector('.waveform').value = ch.waveform;
+        if (ch.frequency !== undefined) {
+            channelEl.querySelector('.frequency').value = ch.frequency;
+            channelEl.querySelector('.freq-val').textContent = Math.round(ch.frequency);
+        }
+        if (ch.duty !== undefined) {
+            channelEl.querySelector('.duty').value = ch.duty * 100;
+            channelEl.querySelector('.duty-val').textContent = Math.round(ch.duty * 100);
+        }
+        if (ch.volume !== undefined) channelEl.querySelector('.volume').value = ch.volume * 100;
+        this.updateChannelMixControls(channelEl, ch);
+        
+        this.channelGrid.insertBefore(channelEl, this.addChannelBtn);
+        this.setupChannelControls(channelEl, index);
+        this.renderChannelSends(channelEl, ch.sends || []);
+        return channelEl;
+    }
+
+    /**
+     * Build a channel's send rows, one per aux bus
+     * @param {Array} sends - { level, pre } per bus (missing ones are off)
+     */
+    renderChannelSends(channelEl, sends) {
+        const list = channelEl.querySelector('.sends-list');
+        list.innerHTML = '';
+        
+        for (let b = 0; b < this.synth.getAuxBusCount(); b++) {
+            const send = sends[b] || { level: 0, pre: false };
+            const row = document.createElement('div');
+            row.className = 'send-row';
+            
+            const name = document.createElement('span');
+            name.className = 'send-name';
+            name.textContent = `Aux ${b + 1}`;
+            
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.className = 'send-level';
+            slider.min = 0;
+            slider.max = 100;
+            slider.value = Math.round(send.level * 100);
+            
+            const value = document.createElement('span');
+            value.className = 'send-val';
+            value.textContent = `${slider.value}%`;
+            
+            const preBtn = document.createElement('button');
+            preBtn.className = 'send-pre';
+            preBtn.textContent = 'Pre';
+            preBtn.title = 'Send before the channel fader';
+            preBtn.classList.toggle('active', !!send.pre);
+            
+            slider.addEventListener('input', () => {
+                value.textContent = `${slider.value}%`;
+                this.synth.setChannelSendLevel(parseInt(channelEl.dataset.channel), b, parseFloat(slider.value) / 100);
+                this.saveToLocalStorage();
+            });
+            preBtn.addEventListener('click', () => {
+                const pre = !preBtn.classList.contains('active');
+                preBtn.classList.toggle('active', pre);
+                this.synth.setChannelSendPre(parseInt(channelEl.dataset.channel), b, pre);
+                this.saveToLocalStorage();
+            });
+            
+            row.append(name, slider, value, preBtn);
+            list.appendChild(row);
+        }
+    }
+
+    /**
+     * Build the aux bus strips
+     */
+    setupAuxBuses() {
+        const container = document.getElementById('aux-buses');
+        const template = document.getElementById('aux-bus-template');
+        if (!container || !template) return;
+        
+        for (let b = 0; b < this.synth.getAuxBusCount(); b++) {
+            const busEl = template.content.firstElementChild.cloneNode(true);
+            busEl.dataset.bus = b;
+            busEl.querySelector('h4').textContent = `Aux ${b + 1}`;
+            
+            const returnSlider = busEl.querySelector('.aux-return');
+            const returnVal = busEl.querySelector('.aux-return-val');
+            returnSlider.addEventListener('input', () => {
+                returnVal.textContent = returnSlider.value;
+                this.synth.setAuxBusReturn(b, parseFloat(returnSlider.value) / 100);
+                this.saveToLocalStorage();
+            });
+            
+            busEl.querySelector('.add-effect-btn').addEventListener('click', () => {
+                this.insertEffectSlot(busEl, busEl.querySelectorAll('.effect-slot').length);
+            });
+            
+            container.appendChild(busEl);
+        }
+    }
+
+    /**
+     * Update the aux bus strips from a patch
+     */
+    updateAuxBusesFromState(state) {
+        if (!state.auxBuses) return;
         
-        channels.forEach((channel, index) => {
-            this.setupChannelControls(channel, index);
+        document.querySelectorAll('.aux-bus').forEach((busEl, b) => {
+            const busCfg = state.auxBuses[b];
+            if (!busCfg) return;
+            
+            busEl.querySelector('.aux-return').value = busCfg.returnLevel * 100;
+            busEl.querySelector('.aux-return-val').textContent = Math.round(busCfg.returnLevel * 100);
+            this.renderEffectSlots(busEl, busCfg.effects || []);
+        });
+    }
+
+    /**
+     * Append a channel to the engine and the UI
+     */
+    addChannel() {
+        const index = this.synth.addChannel();
+        if (index < 0) {
+            this.showToast(`A patch can have at most ${SynthEngine.getMaxChannels()} channels`, 'info');
+            return;
+        }
+        
+        const channelEl = this.renderChannelStrip(index, this.synth.channelSettings[index]);
+        this.updateFrequencyNote(channelEl);
+        if (this.pendingState) this.pendingState.channels.push(this.synth.getSerializedState().channels[index]);
+        
+        this.updateChannelCount();
+        this.saveToLocalStorage();
+    }
+
+    /**
+     * Remove a channel from the engine and the UI
+     */
+    removeChannel(index) {
+        // Read the strips before the engine forgets the channel
+        const state = this.getChannelStripState();
+        if (!this.synth.removeChannel(index)) return;
+        this.removeStateChannel(state, index);
+        
+        // The strips above it are rebuilt, their controls are bound to their old index
+        const channelEls = document.querySelectorAll('.channel');
+        for (let i = index; i < channelEls.length; i++) {
+            channelEls[i].remove();
+        }
+        for (let i = index; i < state.channels.length; i++) {
+            const channelEl = this.renderChannelStrip(i, state.channels[i]);
+            this.updateChannelFromState(channelEl, i, state.channels[i]);
+        }
+        
+        this.updateChannelCount();
+        this.saveToLocalStorage();
+    }
+
+    /**
+     * The patch the strips currently show: the engine's once audio runs, otherwise
+     * the patch waiting to be loaded or the engine settings plus the strips' sliders
+     */
+    getChannelStripState() {
+        if (this.synth.isAudioStarted) return this.synth.getSerializedState();
+        if (this.pendingState) return this.pendingState;
+        
+        const state = this.synth.getSerializedState();
+        document.querySelectorAll('.channel').forEach((channelEl, i) => {
+            const ch = state.channels[i];
+            if (!ch) return;
+            ch.frequency = parseFloat(channelEl.querySelector('.frequency').value);
+            ch.duty = parseFloat(channelEl.querySelector('.duty').value) / 100;
+            ch.effects = this.getEffectSlotList(channelEl);
+        });
+        return state;
+    }
+
+    /**
+     * Take a channel out of a patch, renumbering what refers to the channels above it
+     */
+    removeStateChannel(state, index) {
+        state.channels.splice(index, 1);
+        if (state.lfoAssignments) {
+            state.lfoAssignments = state.lfoAssignments
+                .filter(asm => asm.channel !== index)
+                .map(asm => asm.channel > index ? { ...asm, channel: asm.channel - 1 } : asm);
+        }
+        if (state.voices && state.voices.channel !== undefined) {
+            if (state.voices.channel === index) state.voices.channel = 0;
+            else if (state.voices.channel > index) state.voices.channel--;
+        }
+    }
+
+    /**
+     * Add or remove strips at the end to match the engine's channel count
+     */
+    setChannelStripCount(count) {
+        this.synth.setChannelCount(count);
+        const channelEls = document.querySelectorAll('.channel');
+        const total = this.synth.channelSettings.length;
+        
+        for (let i = total; i < channelEls.length; i++) {
+            channelEls[i].remove();
+        }
+        for (let i = channelEls.length; i < total; i++) {
+            this.updateFrequencyNote(this.renderChannelStrip(i, this.synth.channelSettings[i]));
+        }
+        this.updateChannelCount();
+    }
+
+    /**
+     * Refresh everything that lists channels after the count changed
+     */
+    updateChannelCount() {
+        const count = this.synth.channelSettings.length;
+        
+        this.addChannelBtn.disabled = count >= SynthEngine.getMaxChannels();
+        document.querySelectorAll('.channel-remove').forEach(btn => {
+            btn.disabled = count <= 1;
+        });
+        
+        const fillSelect = (select, label, value) => {
+            if (!select) return;
+            select.innerHTML = '';
+            for (let i = 0; i < count; i++) {
+                const option = document.createElement('option');
+                option.value = i;
+                option.textContent = label(i);
+                select.appendChild(option);
+            }
+            select.value = Math.min(value, count - 1);
+        };
+        const voiceSelect = document.getElementById('voice-channel');
+        const sessionSelect = document.getElementById('session-channel');
+        fillSelect(voiceSelect, i => `Oscillator ${i + 1}`, this.synth.voiceManager.channel);
+        fillSelect(sessionSelect, i => `Ch ${i + 1}`, sessionSelect ? parseInt(sessionSelect.value) || 0 : 0);
+        
+        // A removed channel may have been the soloed one
+        this.updateChannelSilenced();
+        this.updateTestSignalCalibration();
+    }
+
+    /**
+     * Show a channel's pan, mute and solo settings
+     */
+    updateChannelMixControls(channelEl, ch) {
+        const pan = ch.pan || 0;
+        channelEl.querySelector('.pan').value = Math.round(pan * 100);
+        channelEl.querySelector('.pan-val').textContent = this.formatPan(pan);
+        channelEl.querySelector('.channel-mute').classList.toggle('active', !!ch.mute);
+        channelEl.querySelector('.channel-solo').classList.toggle('active', !!ch.solo);
+    }
+
+    /**
+     * Pan position as C, L50 or R50
+     */
+    formatPan(pan) {
+        const amount = Math.round(Math.abs(pan) * 100);
+        if (amount === 0) return 'C';
+        return `${pan < 0 ? 'L' : 'R'}${amount}`;
+    }
+
+    /**
+     * Dim the strips that are muted or silenced by another channel's solo
+     * (read from the buttons, the engine may still be waiting for a patch)
+     */
+    updateChannelSilenced() {
+        const channelEls = document.querySelectorAll('.channel');
+        const anySolo = Array.from(channelEls).some(el => el.querySelector('.channel-solo').classList.contains('active'));
+        channelEls.forEach(channelEl => {
+            const muted = channelEl.querySelector('.channel-mute').classList.contains('active');
+            const soloed = channelEl.querySelector('.channel-solo').classList.contains('active');
+            channelEl.classList.toggle('silenced', muted || (anySolo && !soloed));
         });
     }
 
@@ -436,6 +1039,12 @@ class UIManager {
             this.saveToLocalStorage();
         });
 
+        // Remove button
+        const removeBtn = channelEl.querySelector('.channel-remove');
+        if (removeBtn) {
+            removeBtn.addEventListener('click', () => this.removeChannel(channelIndex));
+        }
+
         // Waveform selector
         const waveformSelect = channelEl.querySelector('.waveform');
         waveformSelect.addEventListener('change', (e) => {
@@ -456,6 +1065,16 @@ class UIManager {
             this.handleInfrasoundControls(channelEl, channelIndex, waveform);
             this.handleNoiseControls(channelEl, channelIndex, waveform);
             this.handleGranularControls(channelEl, channelIndex, waveform);
+            this.handleWavetableControls(channelEl, channelIndex, waveform);
+            this.handleAdditiveControls(channelEl, channelIndex, waveform);
+            this.handlePhysicalControls(channelEl, channelIndex, waveform);
+            this.handleFormantControls(channelEl, channelIndex, waveform);
+            this.handleShepardControls(channelEl, channelIndex, waveform);
+            this.handleSweepControls(channelEl, channelIndex, waveform);
+            this.handleTestSignalControls(channelEl, channelIndex, waveform);
+            this.handleUnisonControls(channelEl, channelIndex, waveform);
+            this.handleChordControls(channelEl, channelIndex, waveform);
+            this.updateFrequencyNote(channelEl);
             
             this.saveToLocalStorage();
         });
@@ -463,17 +1082,21 @@ class UIManager {
         // Frequency slider
         const freqSlider = channelEl.querySelector('.frequency');
         freqSlider.addEventListener('input', (e) => {
-            const freq = parseFloat(e.target.value);
+            let freq = parseFloat(e.target.value);
             // Re-query freqVal each time since HTML can change
             const freqVal = channelEl.querySelector('.freq-val');
             // Format display based on range (infrasound needs decimals)
             const waveform = channelEl.querySelector('.waveform').value;
+            if (this.synth.tuning.snap && this.isPitchedWaveform(waveform)) {
+                freq = this.synth.tuning.snapFrequency(freq);
+            }
             if (waveform === 'infrasound') {
                 freqVal.textContent = freq.toFixed(2);
             } else {
                 freqVal.textContent = Math.round(freq);
             }
             this.synth.setChannelFrequency(channelIndex, freq);
+            this.updateFrequencyNote(channelEl, freq);
             this.saveToLocalStorage();
         });
         
@@ -517,6 +1140,7 @@ class UIManager {
         volSlider.addEventListener('input', (e) => {
             const vol = parseFloat(e.target.value) / 100;
             this.synth.setChannelVolume(channelIndex, vol);
+            this.updateTestSignalCalibration();
             this.saveToLocalStorage();
         });
         
@@ -535,29 +1159,308 @@ class UIManager {
             isPercent: true
         });
 
-        // Effect selectors
-        const effectSelectors = channelEl.querySelectorAll('.effect-type');
-        effectSelectors.forEach((selector, effectIndex) => {
-            selector.addEventListener('change', (e) => {
-                const effectType = e.target.value;
-                this.synth.setChannelEffect(channelIndex, effectIndex, effectType);
-                this.updateEffectParams(channelEl, effectIndex, effectType);
+        // Pan slider (-100 to 100)
+        const panSlider = channelEl.querySelector('.pan');
+        const panVal = channelEl.querySelector('.pan-val');
+        panSlider.addEventListener('input', () => {
+            const pan = parseFloat(panSlider.value) / 100;
+            panVal.textContent = this.formatPan(pan);
+            this.synth.setChannelPan(channelIndex, pan);
+            this.updateTestSignalCalibration();
+            this.saveToLocalStorage();
+        });
+        // Double-click recenters
+        panSlider.addEventListener('dblclick', () => {
+            panSlider.value = 0;
+            panSlider.dispatchEvent(new Event('input'));
+        });
+
+        // Mute and solo
+        const muteBtn = channelEl.querySelector('.channel-mute');
+        muteBtn.addEventListener('click', () => {
+            const mute = !muteBtn.classList.contains('active');
+            muteBtn.classList.toggle('active', mute);
+            this.synth.setChannelMute(channelIndex, mute);
+            this.updateChannelSilenced();
+            this.saveToLocalStorage();
+        });
+        const soloBtn = channelEl.querySelector('.channel-solo');
+        soloBtn.addEventListener('click', () => {
+            const solo = !soloBtn.classList.contains('active');
+            soloBtn.classList.toggle('active', solo);
+            this.synth.setChannelSolo(channelIndex, solo);
+            this.updateChannelSilenced();
+            this.saveToLocalStorage();
+        });
+
+        // ADSR envelope sliders (times in ms, sustain in %)
+        ['attack', 'decay', 'sustain', 'release'].forEach(stage => {
+            const slider = channelEl.querySelector(`.env-${stage}`);
+            const valEl = channelEl.querySelector(`.env-${stage}-val`);
+            if (!slider) return;
+            
+            slider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                if (valEl) valEl.textContent = value;
+                this.synth.setChannelEnvelope(channelIndex, { [stage]: value / (stage === 'sustain' ? 100 : 1000) });
+                this.saveToLocalStorage();
+            });
+        });
+
+        // Effect chain
+        const addEffectBtn = channelEl.querySelector('.add-effect-btn');
+        addEffectBtn.addEventListener('click', () => {
+            this.insertEffectSlot(channelEl, channelEl.querySelectorAll('.effect-slot').length);
+        });
+    }
+
+    /**
+     * Reflect envelope settings (seconds, sustain 0-1) in a channel's sliders
+     */
+    updateEnvelopeControls(channelEl, envelope) {
+        ['attack', 'decay', 'sustain', 'release'].forEach(stage => {
+            if (envelope[stage] === undefined) return;
+            const slider = channelEl.querySelector(`.env-${stage}`);
+            const valEl = channelEl.querySelector(`.env-${stage}-val`);
+            const value = Math.round(envelope[stage] * (stage === 'sustain' ? 100 : 1000));
+            if (slider) slider.value = value;
+            if (valEl) valEl.textContent = value;
+        });
+    }
+
+    /**
+     * Handle the unison/supersaw stack of the basic oscillators
+     * @param {Object} state - Optional saved channel state to show instead of the live generator
+     */
+    handleUnisonControls(channelEl, channelIndex, waveform, state) {
+        const existing = channelEl.querySelector('.unison-controls');
+        if (existing) {
+            existing.remove();
+        }
+        
+        if (!['sine', 'sawtooth', 'triangle', 'square'].includes(waveform)) {
+            return;
+        }
+        
+        // Current values: saved patch, then the live generator, then defaults
+        const gen = this.synth.generators[channelIndex];
+        const unison = {
+            voices: 1, detune: 25, spread: 0.5, subOctave: 0, subLevel: 0.5,
+            ...(gen && gen.setUnisonVoices ? {
+                voices: gen.unisonVoices, detune: gen.unisonDetune, spread: gen.unisonSpread,
+                subOctave: gen.subOctave, subLevel: gen.subLevel
+            } : {}),
+            ...((state && state.unison) || {})
+        };
+        
+        const unisonDiv = document.createElement('div');
+        unisonDiv.className = 'section unison-controls';
+        
+        const controls = [
+            { key: 'voices', className: 'unison-voices', label: 'Unison Voices', unit: '', min: 1, max: 16, step: 1, scale: 1 },
+            { key: 'detune', className: 'unison-detune', label: 'Detune', unit: 'cents', min: 0, max: 100, step: 1, scale: 1,
+                mod: { param: 'unisonDetune', min: 0, max: 100, step: 1 } },
+            { key: 'spread', className: 'unison-spread', label: 'Stereo Spread', unit: '%', min: 0, max: 100, step: 1, scale: 100,
+                mod: { param: 'unisonSpread', min: 0, max: 1, step: 0.01, isPercent: true } },
+            { key: 'subLevel', className: 'unison-sub-level', label: 'Sub Level', unit: '%', min: 0, max: 100, step: 1, scale: 100 }
+        ];
+        
+        controls.forEach((ctrl, i) => {
+            // Each slider gets its own wrapper so Mod panels attach to the right control
+            const wrap = document.createElement('div');
+            const shown = Math.round(unison[ctrl.key] * ctrl.scale);
+            const label = document.createElement('label');
+            label.innerHTML = `${ctrl.label}: <span class="${ctrl.className}-val">${shown}</span> ${ctrl.unit}`;
+            if (i > 0) {
+                label.style.marginTop = '10px';
+                label.style.display = 'block';
+            }
+            
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.className = ctrl.className;
+            slider.min = ctrl.min;
+            slider.max = ctrl.max;
+            slider.step = ctrl.step;
+            slider.value = shown;
+            slider.addEventListener('input', (e) => {
+                const val = parseInt(e.target.value);
+                label.querySelector('span').textContent = val;
+                this.synth.setChannelUnison(channelIndex, { [ctrl.key]: val / ctrl.scale });
+                this.saveToLocalStorage();
+            });
+            
+            wrap.appendChild(label);
+            wrap.appendChild(slider);
+            unisonDiv.appendChild(wrap);
+            
+            if (ctrl.mod) {
+                this.addModButtonToControl(slider, channelIndex, ctrl.mod.param, { label: ctrl.label, ...ctrl.mod });
+            }
+            
+            // Sub oscillator octave goes before its level
+            if (ctrl.key === 'spread') {
+                const subLabel = document.createElement('label');
+                subLabel.textContent = 'Sub Oscillator:';
+                subLabel.style.marginTop = '10px';
+                subLabel.style.display = 'block';
+                const subSelect = document.createElement('select');
+                subSelect.className = 'unison-sub-octave';
+                subSelect.style.cssText = 'width: 100%; padding: 5px; margin-top: 5px; background: #0f3460; color: #eee; border: 1px solid #e94560; border-radius: 4px;';
+                [['0', 'Off'], ['1', '-1 Octave'], ['2', '-2 Octaves']].forEach(([value, text]) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = text;
+                    subSelect.appendChild(option);
+                });
+                subSelect.value = String(unison.subOctave);
+                subSelect.addEventListener('change', (e) => {
+                    this.synth.setChannelUnison(channelIndex, { subOctave: parseInt(e.target.value) });
+                    this.saveToLocalStorage();
+                });
+                unisonDiv.appendChild(subLabel);
+                unisonDiv.appendChild(subSelect);
+            }
+        });
+        
+        // Hard sync ratio, 1 = off
+        let syncRatio = 1;
+        if (state && state.syncRatio !== undefined) syncRatio = state.syncRatio;
+        else if (gen && gen.syncRatio !== undefined) syncRatio = gen.syncRatio;
+        
+        const syncWrap = document.createElement('div');
+        const syncLabel = document.createElement('label');
+        syncLabel.innerHTML = `Hard Sync: <span class="sync-ratio-val">${syncRatio.toFixed(2)}</span> x`;
+        syncLabel.style.marginTop = '10px';
+        syncLabel.style.display = 'block';
+        const syncSlider = document.createElement('input');
+        syncSlider.type = 'range';
+        syncSlider.className = 'sync-ratio';
+        syncSlider.min = 1;
+        syncSlider.max = 8;
+        syncSlider.step = 0.01;
+        syncSlider.value = syncRatio;
+        syncSlider.addEventListener('input', (e) => {
+            const val = parseFloat(e.target.value);
+            syncLabel.querySelector('span').textContent = val.toFixed(2);
+            this.synth.setChannelSync(channelIndex, val);
+            this.saveToLocalStorage();
+        });
+        syncWrap.appendChild(syncLabel);
+        syncWrap.appendChild(syncSlider);
+        unisonDiv.appendChild(syncWrap);
+        this.addModButtonToControl(syncSlider, channelIndex, 'syncRatio', { label: 'Sync', min: 1, max: 8, step: 0.01 });
+        
+        // Insert after frequency section
+        const freqSection = channelEl.querySelector('.frequency').parentElement;
+        freqSection.insertAdjacentElement('afterend', unisonDiv);
+    }
+
+    /**
+     * Handle chord controls of tone, FM and wavetable channels
+     * @param {Object} state - Optional saved channel state to show instead of the live generator
+     */
+    handleChordControls(channelEl, channelIndex, waveform, state) {
+        const existing = channelEl.querySelector('.chord-controls');
+        if (existing) {
+            existing.remove();
+        }
+        
+        if (!['sine', 'sawtooth', 'triangle', 'square', 'fm', 'wavetable'].includes(waveform)) {
+            return;
+        }
+        
+        // Current values: saved patch, then the live generator, then defaults
+        const gen = this.synth.generators[channelIndex];
+        const chord = {
+            type: 'off', intervals: [400, 700], inversion: 0, spread: 0,
+            ...(gen && gen.setChord ? gen.chord : {}),
+            ...((state && state.chord) || {})
+        };
+        
+        const chordDiv = document.createElement('div');
+        chordDiv.className = 'section chord-controls';
+        const selectStyle = 'width: 100%; padding: 5px; margin-top: 5px; background: #0f3460; color: #eee; border: 1px solid #e94560; border-radius: 4px;';
+        
+        const addSelect = (labelText, className, options, value, onChange) => {
+            const label = document.createElement('label');
+            label.textContent = labelText;
+            label.style.marginTop = '10px';
+            label.style.display = 'block';
+            const select = document.createElement('select');
+            select.className = className;
+            select.style.cssText = selectStyle;
+            options.forEach(([optValue, text]) => {
+                const option = document.createElement('option');
+                option.value = optValue;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+            select.value = String(value);
+            select.addEventListener('change', (e) => {
+                onChange(e.target.value);
                 this.saveToLocalStorage();
             });
+            chordDiv.appendChild(label);
+            chordDiv.appendChild(select);
+            return label;
+        };
+        
+        const typeLabel = addSelect('Chord:', 'chord-type', CHORD_TYPES.map(c => [c.id, c.name]), chord.type, (value) => {
+            this.synth.setChannelChord(channelIndex, { type: value });
+            updateVisibility(value);
+        });
+        typeLabel.style.marginTop = '0';
+        
+        // Custom intervals in cents above the root
+        const customInput = document.createElement('input');
+        customInput.type = 'text';
+        customInput.className = 'chord-intervals';
+        customInput.placeholder = 'Cents above root, e.g. 386 702 969';
+        customInput.value = chord.intervals.join(' ');
+        customInput.style.cssText = selectStyle;
+        customInput.addEventListener('change', (e) => {
+            const intervals = e.target.value.split(/[\s,]+/).map(parseFloat).filter(c => !isNaN(c));
+            this.synth.setChannelChord(channelIndex, { intervals });
+            this.saveToLocalStorage();
         });
+        chordDiv.appendChild(customInput);
+        
+        addSelect('Inversion:', 'chord-inversion',
+            [['0', 'Root Position'], ['1', '1st Inversion'], ['2', '2nd Inversion'], ['3', '3rd Inversion']],
+            chord.inversion, (value) => this.synth.setChannelChord(channelIndex, { inversion: parseInt(value) }));
+        addSelect('Spread:', 'chord-spread',
+            [['0', 'Close'], ['1', 'Open (+1 octave)'], ['2', 'Wide (+2 octaves)']],
+            chord.spread, (value) => this.synth.setChannelChord(channelIndex, { spread: parseInt(value) }));
+        
+        // Inversion and spread only matter once there is a chord
+        const updateVisibility = (type) => {
+            customInput.style.display = type === 'custom' ? '' : 'none';
+            chordDiv.querySelectorAll('.chord-inversion, .chord-spread').forEach(el => {
+                el.style.display = type === 'off' ? 'none' : '';
+                el.previousElementSibling.style.display = type === 'off' ? 'none' : 'block';
+            });
+        };
+        updateVisibility(chord.type);
+        
+        // Insert after frequency section
+        const freqSection = channelEl.querySelector('.frequency').parentElement;
+        freqSection.insertAdjacentElement('afterend', chordDiv);
     }
 
     /**
      * Handle binaural beats specific controls
+     * @param {Object} state - Optional saved channel state to show instead of the live generator
      */
-    handleBinauralControls(channelEl, channelIndex, waveform) {
+    handleBinauralControls(channelEl, channelIndex, waveform, state) {
         // Remove existing binaural controls if any
         const existingBinaural = channelEl.querySelector('.binaural-controls');
         if (existingBinaural) {
             existingBinaural.remove();
         }
         
-        if (waveform !== 'binaural') {
+        // Isochronic and monaural generators share the binaural beat/carrier controls
+        if (!['binaural', 'isochronic', 'monaural'].includes(waveform)) {
             // Restore normal frequency label (only if not in other special mode)
             const freqSlider = channelEl.querySelector('.frequency');
             const freqLabel = freqSlider.previousElementSibling;
@@ -572,39 +1475,43 @@ class UIManager {
             return;
         }
         
+        // Current values: saved patch, then the live generator, then defaults
+        const gen = this.synth.generators[channelIndex];
+        const live = gen && gen.setBeatFrequency ? gen : null;
+        const baseFreq = state && state.frequency !== undefined ? state.frequency : (live ? live.baseFreq : 200);
+        const beatFreq = state && state.beatFreq !== undefined ? state.beatFreq : (live ? live.beatFreq : 10);
+        
         // Change frequency label to "Carrier"
         const freqLabel = channelEl.querySelector('.frequency').previousElementSibling;
         if (freqLabel) {
-            freqLabel.innerHTML = 'Carrier: <span class="freq-val">200</span> Hz';
+            freqLabel.innerHTML = `Carrier: <span class="freq-val">${Math.round(baseFreq)}</span> Hz`;
         }
         
         // Create binaural controls container
         const binauralDiv = document.createElement('div');
         binauralDiv.className = 'section binaural-controls';
         
-        // Beat frequency slider
+        // Beat frequency slider, labelled with its brainwave band
         const beatLabel = document.createElement('label');
-        beatLabel.innerHTML = 'Beat Frequency: <span class="beat-val">10</span> Hz (Alpha)';
+        const showBeat = (freq) => {
+            const band = Object.values(BRAINWAVE_PRESETS).find(p => freq <= p.range[1]) || BRAINWAVE_PRESETS.gamma;
+            beatLabel.innerHTML = `Beat Frequency: <span class="beat-val">${freq}</span> Hz (${band.name})`;
+        };
+        showBeat(beatFreq);
         
         const beatSlider = document.createElement('input');
         beatSlider.type = 'range';
         beatSlider.className = 'beat-frequency';
         beatSlider.min = '1';
         beatSlider.max = '50';
-        beatSlider.value = '10';
+        beatSlider.value = beatFreq;
         beatSlider.step = '0.5';
         
         beatSlider.addEventListener('input', (e) => {
-            const beatFreq = parseFloat(e.target.value);
-            let brainwave = '';
-            if (beatFreq <= 4) brainwave = 'Delta (Sleep)';
-            else if (beatFreq <= 8) brainwave = 'Theta (Meditation)';
-            else if (beatFreq <= 14) brainwave = 'Alpha (Relaxation)';
-            else if (beatFreq <= 30) brainwave = 'Beta (Focus)';
-            else brainwave = 'Gamma (Cognition)';
-            
-            beatLabel.innerHTML = `Beat Frequency: <span class="beat-val">${beatFreq}</span> Hz (${brainwave})`;
-            this.synth.setChannelBinauralBeatFreq(channelIndex, beatFreq);
+            const freq = parseFloat(e.target.value);
+            showBeat(freq);
+            this.synth.setChannelBinauralBeatFreq(channelIndex, freq);
+            this.saveToLocalStorage();
         });
         
         // Brainwave preset buttons
@@ -612,22 +1519,17 @@ class UIManager {
         presetDiv.className = 'binaural-presets';
         presetDiv.style.marginTop = '10px';
         
-        const presets = [
-            { id: 'delta', label: 'δ Sleep', freq: 2 },
-            { id: 'theta', label: 'θ Meditate', freq: 6 },
-            { id: 'alpha', label: 'α Relax', freq: 10 },
-            { id: 'beta', label: 'β Focus', freq: 20 },
-            { id: 'gamma', label: 'γ Peak', freq: 40 }
-        ];
-        
-        presets.forEach(preset => {
+        Object.entries(BRAINWAVE_PRESETS).forEach(([id, preset]) => {
             const btn = document.createElement('button');
             btn.className = 'preset-btn-small';
             btn.textContent = preset.label;
+            btn.title = `${preset.name} ${preset.range[0]}-${preset.range[1]} Hz: ${preset.state}`;
             btn.style.cssText = 'padding: 4px 8px; margin: 2px; border: none; border-radius: 4px; background: #0f3460; color: #eee; cursor: pointer; font-size: 0.75rem;';
             btn.addEventListener('click', () => {
-                beatSlider.value = preset.freq;
-                beatSlider.dispatchEvent(new Event('input'));
+                this.synth.setChannelBinauralPreset(channelIndex, id);
+                beatSlider.value = preset.beatFreq;
+                showBeat(preset.beatFreq);
+                this.saveToLocalStorage();
             });
             presetDiv.appendChild(btn);
         });
@@ -639,16 +1541,13 @@ class UIManager {
         // Insert after frequency section
         const freqSection = channelEl.querySelector('.frequency').parentElement;
         freqSection.insertAdjacentElement('afterend', binauralDiv);
-        
-        // Initialize binaural with default values
-        this.synth.setChannelBinauralBaseFreq(channelIndex, 200);
-        this.synth.setChannelBinauralBeatFreq(channelIndex, 10);
     }
 
     /**
      * Handle FM synthesizer specific controls
+     * @param {Object} state - Optional saved channel state to show instead of the live generator
      */
-    handleFMControls(channelEl, channelIndex, waveform) {
+    handleFMControls(channelEl, channelIndex, waveform, state) {
         // Remove existing FM controls if any
         const existingFM = channelEl.querySelector('.fm-controls');
         if (existingFM) {
@@ -676,91 +1575,181 @@ class UIManager {
             freqLabel.innerHTML = 'Carrier: <span class="freq-val">440</span> Hz';
         }
         
+        // Current FM settings: saved patch, then the live generator, then defaults
+        const gen = this.synth.generators[channelIndex];
+        const live = gen && gen.operators ? gen : null;
+        const fm = {
+            modIndex: state && state.modIndex !== undefined ? state.modIndex : (live ? live.modulationDepth : 100),
+            algorithm: state && state.fmAlgo !== undefined ? state.fmAlgo : (live ? live.algorithm : 0),
+            feedback: state && state.fmFeedback !== undefined ? state.fmFeedback : (live ? live.feedback : 0),
+            operators: (state && state.fmOperators) || (live ? live.operators : FMSynthesizer.getDefaultOperators())
+        };
+        const operators = fm.operators.map(op => ({ ...op }));
+        const algorithms = FMSynthesizer.getAlgorithms();
+        
         // Create FM controls container
         const fmDiv = document.createElement('div');
         fmDiv.className = 'section fm-controls';
         
-        // Modulator frequency slider
-        const modLabel = document.createElement('label');
-        modLabel.innerHTML = 'Modulator: <span class="mod-val">110</span> Hz';
-        
-        const modSlider = document.createElement('input');
-        modSlider.type = 'range';
-        modSlider.className = 'modulator-freq';
-        modSlider.min = '1';
-        modSlider.max = '1000';
-        modSlider.value = '110';
-        modSlider.step = '1';
-        
-        modSlider.addEventListener('input', (e) => {
-            const modFreq = parseFloat(e.target.value);
-            modLabel.innerHTML = `Modulator: <span class="mod-val">${modFreq}</span> Hz`;
-            this.synth.setChannelFMModulatorFreq(channelIndex, modFreq);
-        });
-        
-        // Modulation index slider
+        // Modulation index slider (scales every modulator)
         const indexLabel = document.createElement('label');
-        indexLabel.innerHTML = 'Modulation Index: <span class="index-val">100</span>';
-        indexLabel.style.marginTop = '10px';
-        indexLabel.style.display = 'block';
+        indexLabel.innerHTML = `Modulation Index: <span class="index-val">${fm.modIndex}</span>`;
         
         const indexSlider = document.createElement('input');
         indexSlider.type = 'range';
         indexSlider.className = 'modulation-index';
         indexSlider.min = '0';
         indexSlider.max = '1000';
-        indexSlider.value = '100';
+        indexSlider.value = fm.modIndex;
         indexSlider.step = '10';
         
         indexSlider.addEventListener('input', (e) => {
             const index = parseFloat(e.target.value);
             indexLabel.innerHTML = `Modulation Index: <span class="index-val">${index}</span>`;
             this.synth.setChannelFMIndex(channelIndex, index);
+            this.saveToLocalStorage();
         });
         
-        // Algorithm preset buttons
+        // Feedback slider (applies to the algorithm's feedback operator)
+        const fbLabel = document.createElement('label');
+        fbLabel.innerHTML = `Feedback: <span class="fm-feedback-val">${Math.round(fm.feedback * 100)}</span>%`;
+        fbLabel.style.marginTop = '10px';
+        fbLabel.style.display = 'block';
+        
+        const fbSlider = document.createElement('input');
+        fbSlider.type = 'range';
+        fbSlider.className = 'fm-feedback';
+        fbSlider.min = '0';
+        fbSlider.max = '100';
+        fbSlider.value = Math.round(fm.feedback * 100);
+        
+        fbSlider.addEventListener('input', (e) => {
+            const fb = parseFloat(e.target.value);
+            fbLabel.querySelector('.fm-feedback-val').textContent = fb;
+            this.synth.setChannelFMFeedback(channelIndex, fb / 100);
+            this.saveToLocalStorage();
+        });
+        
+        // Algorithm buttons
+        const algoLabel = document.createElement('label');
+        algoLabel.textContent = 'Algorithm';
+        algoLabel.style.marginTop = '10px';
+        algoLabel.style.display = 'block';
+        
         const algoDiv = document.createElement('div');
         algoDiv.className = 'fm-algorithms';
-        algoDiv.style.marginTop = '10px';
-        
-        const algorithms = [
-            { id: 0, label: '1:1 Classic' },
-            { id: 1, label: '1:2 Up' },
-            { id: 2, label: '2:1 Down' },
-            { id: 3, label: '3:1 Bell' }
-        ];
         
-        algorithms.forEach(algo => {
+        const btnStyle = 'padding: 4px 8px; margin: 2px; border: none; border-radius: 4px; color: #eee; cursor: pointer; font-size: 0.75rem;';
+        const algoButtons = algorithms.map((algo, id) => {
             const btn = document.createElement('button');
             btn.className = 'preset-btn-small';
-            btn.textContent = algo.label;
-            btn.style.cssText = 'padding: 4px 8px; margin: 2px; border: none; border-radius: 4px; background: #0f3460; color: #eee; cursor: pointer; font-size: 0.75rem;';
+            btn.textContent = `${id + 1}: ${algo.name}`;
             btn.addEventListener('click', () => {
-                this.synth.setChannelFMAlgorithm(channelIndex, algo.id);
+                fm.algorithm = id;
+                this.synth.setChannelFMAlgorithm(channelIndex, id);
+                refreshAlgorithm();
+                this.saveToLocalStorage();
             });
             algoDiv.appendChild(btn);
+            return btn;
         });
         
-        fmDiv.appendChild(modLabel);
-        fmDiv.appendChild(modSlider);
+        // Operator tabs, carriers are marked with ●
+        const opTabs = document.createElement('div');
+        opTabs.className = 'fm-operator-tabs';
+        opTabs.style.marginTop = '10px';
+        
+        let selectedOp = 0;
+        const opButtons = operators.map((op, i) => {
+            const btn = document.createElement('button');
+            btn.className = 'preset-btn-small';
+            btn.addEventListener('click', () => {
+                selectedOp = i;
+                refreshOperator();
+            });
+            opTabs.appendChild(btn);
+            return btn;
+        });
+        
+        // Controls for the selected operator
+        const opPanel = document.createElement('div');
+        opPanel.className = 'fm-operator envelope-grid';
+        opPanel.style.marginTop = '6px';
+        
+        const opParams = [
+            { key: 'ratio', label: 'Ratio', min: 0.25, max: 16, step: 0.25, scale: 1, unit: '' },
+            { key: 'level', label: 'Level', min: 0, max: 100, step: 1, scale: 100, unit: '%' },
+            { key: 'attack', label: 'A', min: 1, max: 5000, step: 1, scale: 1000, unit: 'ms' },
+            { key: 'decay', label: 'D', min: 1, max: 5000, step: 1, scale: 1000, unit: 'ms' },
+            { key: 'sustain', label: 'S', min: 0, max: 100, step: 1, scale: 100, unit: '%' },
+            { key: 'release', label: 'R', min: 1, max: 10000, step: 1, scale: 1000, unit: 'ms' }
+        ];
+        
+        const opInputs = opParams.map(param => {
+            const wrap = document.createElement('div');
+            wrap.className = 'envelope-param';
+            const label = document.createElement('span');
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.className = `fm-op-${param.key}`;
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step;
+            
+            input.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                label.textContent = `${param.label} ${value}${param.unit}`;
+                operators[selectedOp][param.key] = value / param.scale;
+                this.synth.setChannelFMOperator(channelIndex, selectedOp, { [param.key]: value / param.scale });
+                this.saveToLocalStorage();
+            });
+            
+            wrap.appendChild(label);
+            wrap.appendChild(input);
+            opPanel.appendChild(wrap);
+            return { param, label, input };
+        });
+        
+        const refreshOperator = () => {
+            opButtons.forEach((btn, i) => {
+                const isCarrier = algorithms[fm.algorithm].carriers.includes(i + 1);
+                btn.textContent = `OP${i + 1}${isCarrier ? ' ●' : ''}`;
+                btn.style.cssText = btnStyle + `background: ${i === selectedOp ? '#e94560' : '#0f3460'};`;
+            });
+            opInputs.forEach(({ param, label, input }) => {
+                const value = Math.round(operators[selectedOp][param.key] * param.scale * 100) / 100;
+                input.value = value;
+                label.textContent = `${param.label} ${value}${param.unit}`;
+            });
+        };
+        
+        const refreshAlgorithm = () => {
+            algoButtons.forEach((btn, id) => {
+                btn.style.cssText = btnStyle + `background: ${id === fm.algorithm ? '#e94560' : '#0f3460'};`;
+            });
+            refreshOperator();
+        };
+        refreshAlgorithm();
+        
         fmDiv.appendChild(indexLabel);
         fmDiv.appendChild(indexSlider);
+        fmDiv.appendChild(fbLabel);
+        fmDiv.appendChild(fbSlider);
+        fmDiv.appendChild(algoLabel);
         fmDiv.appendChild(algoDiv);
+        fmDiv.appendChild(opTabs);
+        fmDiv.appendChild(opPanel);
         
         // Insert after frequency section
         const freqSection = channelEl.querySelector('.frequency').parentElement;
         freqSection.insertAdjacentElement('afterend', fmDiv);
-        
-        // Initialize FM with default values
-        this.synth.setChannelFMModulatorFreq(channelIndex, 110);
-        this.synth.setChannelFMIndex(channelIndex, 100);
-        this.synth.setChannelFMAlgorithm(channelIndex, 0);
     }
 
     /**
      * Handle infrasound specific controls
+     * @param {Object} state - Optional saved channel state to show instead of the live generator
      */
-    handleInfrasoundControls(channelEl, channelIndex, waveform) {
+    handleInfrasoundControls(channelEl, channelIndex, waveform, state) {
         const freqSlider = channelEl.querySelector('.frequency');
         const freqLabel = freqSlider.previousElementSibling;
         const freqVal = freqLabel.querySelector('.freq-val');
@@ -783,8 +1772,8 @@ class UIManager {
                 freqLabel.innerHTML = 'Frequency: <span class="freq-val">55</span> Hz';
                 freqSlider.removeAttribute('data-infrasound');
                 
-                // Update synth
-                this.synth.setChannelFrequency(channelIndex, 55);
+                // Update synth (a patch being shown already has its own frequency)
+                if (!state) this.synth.setChannelFrequency(channelIndex, 55);
             }
             return;
         }
@@ -792,16 +1781,25 @@ class UIManager {
         // Set infrasound mode
         freqSlider.setAttribute('data-infrasound', 'true');
         
-        // Change frequency label and range for infrasound (0.5 - 50 Hz)
+        // Change frequency label and range for infrasound (0.5 - 50 Hz).
+        // A patch being shown keeps its frequency, switching to infrasound starts at 8 Hz
+        const freq = state && state.frequency !== undefined ? parseFloat(state.frequency) : 8;
         freqSlider.min = '0.5';
         freqSlider.max = '50';
         freqSlider.step = '0.5';
-        freqSlider.value = '8';
-        freqVal.textContent = '8.00';
-        freqLabel.innerHTML = 'Frequency: <span class="freq-val">8.00</span> Hz <small>(Infrasound)</small>';
-        
-        // Update synth
-        this.synth.setChannelFrequency(channelIndex, 8);
+        freqSlider.value = freq;
+        freqVal.textContent = freq.toFixed(2);
+        freqLabel.innerHTML = `Frequency: <span class="freq-val">${freq.toFixed(2)}</span> Hz <small>(Infrasound)</small>`;
+        
+        if (!state) this.synth.setChannelFrequency(channelIndex, 8);
+        
+        // Current values: saved patch, then the live generator, then defaults
+        const gen = this.synth.generators[channelIndex];
+        const live = gen && gen.resetPhase ? gen : null;
+        const valueOf = (key, liveKey, fallback) => {
+            if (state && state[key] !== undefined) return state[key];
+            return live ? live[liveKey] : fallback;
+        };
         
         // Create infrasound waveform selector
         const infraDiv = document.createElement('div');
@@ -817,7 +1815,8 @@ class UIManager {
         const waveforms = [
             { id: 'sine', name: 'Sine' },
             { id: 'sawtooth', name: 'Sawtooth' },
-            { id: 'triangle', name: 'Triangle' }
+            { id: 'triangle', name: 'Triangle' },
+            { id: 'square', name: 'Square (PWM)' }
         ];
         
         waveforms.forEach(wf => {
@@ -826,9 +1825,11 @@ class UIManager {
             option.textContent = wf.name;
             waveSelect.appendChild(option);
         });
+        waveSelect.value = valueOf('infraWaveform', 'waveform', 'sine');
         
         waveSelect.addEventListener('change', (e) => {
             this.synth.setChannelInfrasoundWaveform(channelIndex, e.target.value);
+            this.saveToLocalStorage();
             // Show/hide duty slider
             const dutySection = infraDiv.querySelector('.infra-duty-section');
             if (e.target.value === 'square') {
@@ -844,33 +1845,72 @@ class UIManager {
         dutySection.style.display = 'none'; // Hidden by default
         dutySection.style.marginTop = '10px';
         
+        const duty = Math.round(valueOf('duty', 'dutyCycle', 0.5) * 100);
         const dutyLabel = document.createElement('label');
-        dutyLabel.innerHTML = 'Duty: <span class="duty-val">50</span>% <small>(PWM)</small>';
+        dutyLabel.innerHTML = `Duty: <span class="duty-val">${duty}</span>% <small>(PWM)</small>`;
         
         const dutySlider = document.createElement('input');
         dutySlider.type = 'range';
         dutySlider.className = 'infra-duty';
         dutySlider.min = '10';
         dutySlider.max = '90';
-        dutySlider.value = '50';
+        dutySlider.value = duty;
         
         dutySlider.addEventListener('input', (e) => {
             const duty = parseInt(e.target.value);
             dutyLabel.querySelector('.duty-val').textContent = duty;
             this.synth.setChannelInfrasoundDuty(channelIndex, duty / 100);
+            this.saveToLocalStorage();
         });
         
         dutySection.appendChild(dutyLabel);
         dutySection.appendChild(dutySlider);
         
+        // Detune in cents, on top of the frequency slider
+        const detuneSection = document.createElement('div');
+        detuneSection.style.marginTop = '10px';
+        const detune = valueOf('infraDetune', 'detune', 0);
+        const detuneLabel = document.createElement('label');
+        detuneLabel.innerHTML = `Detune: <span class="infra-detune-val">${detune}</span> cents`;
+        const detuneSlider = document.createElement('input');
+        detuneSlider.type = 'range';
+        detuneSlider.className = 'infra-detune';
+        detuneSlider.min = '-100';
+        detuneSlider.max = '100';
+        detuneSlider.value = detune;
+        detuneSlider.addEventListener('input', (e) => {
+            const cents = parseInt(e.target.value);
+            detuneLabel.querySelector('span').textContent = cents;
+            this.synth.setChannelInfrasoundDetune(channelIndex, cents);
+            this.saveToLocalStorage();
+        });
+        detuneSection.appendChild(detuneLabel);
+        detuneSection.appendChild(detuneSlider);
+        
+        // Restart the cycle
+        const resetBtn = document.createElement('button');
+        resetBtn.className = 'preset-btn-small';
+        resetBtn.textContent = 'Reset Phase';
+        resetBtn.title = 'Restart the wave at the beginning of its cycle';
+        resetBtn.style.cssText = 'padding: 4px 8px; margin: 8px 2px 2px; border: none; border-radius: 4px; background: #0f3460; color: #eee; cursor: pointer; font-size: 0.75rem;';
+        resetBtn.addEventListener('click', () => {
+            if (!this.synth.resetChannelPhase(channelIndex)) {
+                this.showToast('Start the channel to reset its phase', 'info');
+            }
+        });
+        
         infraDiv.appendChild(waveLabel);
         infraDiv.appendChild(waveSelect);
         infraDiv.appendChild(dutySection);
+        infraDiv.appendChild(detuneSection);
+        infraDiv.appendChild(resetBtn);
         
         // Insert after frequency section
         const freqSection = freqSlider.parentElement;
         freqSection.insertAdjacentElement('afterend', infraDiv);
         
+        this.addModButtonToControl(detuneSlider, channelIndex, 'detune', { label: 'Detune', min: -100, max: 100, step: 1 });
+        
         // Show duty if square is already selected
         if (waveSelect.value === 'square') {
             dutySection.style.display = 'block';
@@ -880,157 +1920,1468 @@ class UIManager {
     /**
      * Handle noise generator specific controls
      */
-    handleNoiseControls(channelEl, channelIndex, waveform) {
+    handleNoiseControls(channelEl, channelIndex, waveform, state) {
         // Remove existing noise controls if any
         const existingNoise = channelEl.querySelector('.noise-controls');
         if (existingNoise) {
             existingNoise.remove();
         }
         
-        // Change frequency label for noise (it's a filter)
-        const freqSlider = channelEl.querySelector('.frequency');
-        const freqLabel = freqSlider.previousElementSibling;
+        // Change frequency label for noise (it's a filter)
+        const freqSlider = channelEl.querySelector('.frequency');
+        const freqLabel = freqSlider.previousElementSibling;
+        
+        if (waveform !== 'noise') {
+            // Restore normal label if not noise (and not other special modes)
+            const isBinaural = channelEl.querySelector('.binaural-controls') !== null;
+            const isFM = channelEl.querySelector('.fm-controls') !== null;
+            const isInfrasound = freqSlider.dataset.infrasound === 'true';
+            const isGranular = channelEl.querySelector('.granular-controls') !== null;
+            
+            if (!isBinaural && !isFM && !isInfrasound && !isGranular) {
+                freqLabel.innerHTML = 'Frequency: <span class="freq-val">440</span> Hz';
+            }
+            return;
+        }
+        
+        // Current values: saved patch, then the live generator, then defaults
+        const gen = this.synth.generators[channelIndex];
+        const live = gen && gen.setFilterType ? gen : null;
+        const valueOf = (key, liveKey, fallback) => {
+            if (state && state[key] !== undefined) return state[key];
+            return live ? live[liveKey] : fallback;
+        };
+        const cutoff = valueOf('frequency', 'filterFreq', 1000);
+        
+        // Change frequency label to "Filter Cutoff"
+        freqLabel.innerHTML = `Filter Cutoff: <span class="freq-val">${Math.round(cutoff)}</span> Hz`;
+        freqSlider.value = cutoff;
+        
+        // Create noise controls container
+        const noiseDiv = document.createElement('div');
+        noiseDiv.className = 'section noise-controls';
+        
+        const selectStyle = 'width: 100%; padding: 5px; margin-top: 5px; background: #0f3460; color: #eee; border: 1px solid #e94560; border-radius: 4px;';
+        const makeSelect = (className, options, value, onChange) => {
+            const select = document.createElement('select');
+            select.className = className;
+            select.style.cssText = selectStyle;
+            options.forEach(opt => {
+                const option = document.createElement('option');
+                option.value = opt.id;
+                option.textContent = opt.name;
+                select.appendChild(option);
+            });
+            select.value = value;
+            select.addEventListener('change', (e) => {
+                onChange(e.target.value);
+                this.saveToLocalStorage();
+            });
+            return select;
+        };
+        
+        // Noise color selector
+        const typeLabel = document.createElement('label');
+        typeLabel.textContent = 'Noise Type:';
+        const typeSelect = makeSelect('noise-type', NoiseGenerator.getNoiseTypes(), valueOf('noiseType', 'noiseType', 'white'),
+            (type) => this.synth.setChannelNoiseType(channelIndex, type));
+        
+        // Filter response selector
+        const filterLabel = document.createElement('label');
+        filterLabel.textContent = 'Filter Type:';
+        filterLabel.style.marginTop = '10px';
+        filterLabel.style.display = 'block';
+        const filterTypes = [
+            { id: 'lowpass', name: 'Lowpass' },
+            { id: 'bandpass', name: 'Bandpass' },
+            { id: 'highpass', name: 'Highpass' },
+            { id: 'notch', name: 'Notch' }
+        ];
+        const filterSelect = makeSelect('noise-filter-type', filterTypes, valueOf('filterType', 'filterType', 'lowpass'),
+            (type) => this.synth.setChannelNoiseFilterType(channelIndex, type));
+        
+        // Filter resonance
+        const q = valueOf('filterQ', 'filterQ', 1);
+        const qLabel = document.createElement('label');
+        qLabel.innerHTML = `Q: <span class="noise-q-val">${q}</span>`;
+        qLabel.style.marginTop = '10px';
+        qLabel.style.display = 'block';
+        
+        const qSlider = document.createElement('input');
+        qSlider.type = 'range';
+        qSlider.className = 'noise-q';
+        qSlider.min = '0.1';
+        qSlider.max = '30';
+        qSlider.step = '0.1';
+        qSlider.value = q;
+        qSlider.addEventListener('input', (e) => {
+            const val = parseFloat(e.target.value);
+            qLabel.querySelector('.noise-q-val').textContent = val;
+            this.synth.setChannelNoiseFilterQ(channelIndex, val);
+            this.saveToLocalStorage();
+        });
+        
+        noiseDiv.appendChild(typeLabel);
+        noiseDiv.appendChild(typeSelect);
+        noiseDiv.appendChild(filterLabel);
+        noiseDiv.appendChild(filterSelect);
+        noiseDiv.appendChild(qLabel);
+        noiseDiv.appendChild(qSlider);
+        
+        // Insert after frequency section
+        const freqSection = freqSlider.parentElement;
+        freqSection.insertAdjacentElement('afterend', noiseDiv);
+    }
+
+    /**
+     * Handle granular synthesizer specific controls
+     * @param {Object} state - Optional saved channel state to show instead of the live generator
+     */
+    handleGranularControls(channelEl, channelIndex, waveform, state) {
+        // Remove existing granular controls if any
+        const existingGranular = channelEl.querySelector('.granular-controls');
+        if (existingGranular) {
+            existingGranular.remove();
+        }
+        
+        if (waveform !== 'granular') {
+            return;
+        }
+        
+        // Current values: saved patch, then the live generator, then defaults
+        const gen = this.synth.generators[channelIndex];
+        const live = gen && gen.setStereoSpread ? gen : null;
+        const valueOf = (key, fallback, liveKey = key) => {
+            if (state && state[key] !== undefined) {
+                // Older patches stored the grain size in seconds
+                return key === 'grainSize' && state[key] < 1 ? state[key] * 1000 : state[key];
+            }
+            return live ? live[liveKey] : fallback;
+        };
+        
+        // Create granular controls container
+        const granularDiv = document.createElement('div');
+        granularDiv.className = 'section granular-controls';
+        
+        const controls = [
+            { param: 'density', label: 'Density', unit: 'grains/s', min: 1, max: 100, step: 1, value: valueOf('density', 20) },
+            { param: 'spray', label: 'Spray', unit: 'ms', min: 0, max: 500, step: 1, value: valueOf('spray', 100) },
+            { param: 'grainSize', label: 'Grain Size', unit: 'ms', min: 10, max: 200, step: 1, value: valueOf('grainSize', 50) },
+            { param: 'pitchVariation', label: 'Pitch Variation', unit: 'cents', min: 0, max: 1200, step: 1, value: valueOf('pitchVariation', 0) },
+            { param: 'stereoSpread', label: 'Stereo Spread', unit: '%', min: 0, max: 100, step: 1, scale: 100, value: valueOf('stereoSpread', 0) },
+            { param: 'position', label: 'Position', unit: '%', min: 0, max: 100, step: 1, scale: 100, sampleOnly: true, value: valueOf('samplePosition', 0, 'position') },
+            { param: 'scanRate', label: 'Scan Rate', unit: '%', min: -400, max: 400, step: 5, scale: 100, sampleOnly: true, value: valueOf('scanRate', 1) }
+        ];
+        
+        // Sample source: drop a file or click to pick one
+        const sampleId = valueOf('sampleId', null);
+        const sampleDiv = document.createElement('div');
+        sampleDiv.className = 'granular-sample';
+        sampleDiv.style.cssText = 'margin-bottom: 10px; padding: 8px; border: 1px dashed #e94560; border-radius: 4px; font-size: 0.8rem; text-align: center; cursor: pointer;';
+        
+        const sampleName = document.createElement('span');
+        sampleName.className = 'granular-sample-name';
+        const showSample = (name) => {
+            sampleName.textContent = name ? `🎵 ${name}` : '📂 Drop an audio file or click to load';
+            clearBtn.style.display = name ? 'inline-block' : 'none';
+            granularDiv.querySelectorAll('.granular-sample-only').forEach(el => {
+                el.style.display = name ? 'block' : 'none';
+            });
+        };
+        
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'audio/*,.wav,.mp3,.ogg';
+        fileInput.style.display = 'none';
+        
+        const clearBtn = document.createElement('button');
+        clearBtn.className = 'preset-btn-small';
+        clearBtn.textContent = '×';
+        clearBtn.title = 'Back to the oscillator source';
+        clearBtn.style.cssText = 'margin-left: 6px; padding: 0 6px; border: none; border-radius: 4px; background: #0f3460; color: #eee; cursor: pointer;';
+        clearBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.synth.clearChannelGranularSample(channelIndex);
+            showSample(null);
+            this.saveToLocalStorage();
+        });
+        
+        const loadFile = async (file) => {
+            if (!file) return;
+            if (!this.synth.isAudioStarted) {
+                this.showToast('Please start audio first', 'info');
+                return;
+            }
+            sampleName.textContent = `⏳ ${file.name}`;
+            try {
+                const name = await this.synth.setChannelGranularSample(channelIndex, file);
+                showSample(name);
+                this.saveToLocalStorage();
+            } catch (e) {
+                console.error('Failed to load sample:', e);
+                this.showToast(`Could not decode ${file.name}`, 'error');
+                showSample(null);
+            }
+        };
+        
+        sampleDiv.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', (e) => loadFile(e.target.files[0]));
+        sampleDiv.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            sampleDiv.style.background = '#0f3460';
+        });
+        sampleDiv.addEventListener('dragleave', () => {
+            sampleDiv.style.background = '';
+        });
+        sampleDiv.addEventListener('drop', (e) => {
+            e.preventDefault();
+            sampleDiv.style.background = '';
+            loadFile(e.dataTransfer.files[0]);
+        });
+        
+        sampleDiv.appendChild(sampleName);
+        sampleDiv.appendChild(clearBtn);
+        sampleDiv.appendChild(fileInput);
+        granularDiv.appendChild(sampleDiv);
+        
+        controls.forEach((ctrl, i) => {
+            const scale = ctrl.scale || 1;
+            const shown = Math.round(ctrl.value * scale);
+            
+            const label = document.createElement('label');
+            label.innerHTML = `${ctrl.label}: <span class="granular-${ctrl.param}-val">${shown}</span> ${ctrl.unit}`;
+            if (i > 0) {
+                label.style.marginTop = '10px';
+                label.style.display = 'block';
+            }
+            
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.className = `granular-${ctrl.param}`;
+            slider.min = ctrl.min;
+            slider.max = ctrl.max;
+            slider.step = ctrl.step;
+            slider.value = shown;
+            
+            slider.addEventListener('input', (e) => {
+                const val = parseInt(e.target.value);
+                label.querySelector('span').textContent = val;
+                this.synth.setChannelGranularParam(channelIndex, ctrl.param, val / scale);
+                this.saveToLocalStorage();
+            });
+            
+            if (ctrl.sampleOnly) {
+                const wrap = document.createElement('div');
+                wrap.className = 'granular-sample-only';
+                wrap.appendChild(label);
+                wrap.appendChild(slider);
+                granularDiv.appendChild(wrap);
+            } else {
+                granularDiv.appendChild(label);
+                granularDiv.appendChild(slider);
+            }
+        });
+        
+        // Freeze holds the playhead in place
+        const freezeLabel = document.createElement('label');
+        freezeLabel.className = 'granular-sample-only';
+        freezeLabel.style.marginTop = '10px';
+        const freezeBox = document.createElement('input');
+        freezeBox.type = 'checkbox';
+        freezeBox.className = 'granular-freeze';
+        freezeBox.checked = !!valueOf('freeze', false);
+        freezeBox.addEventListener('change', (e) => {
+            this.synth.setChannelGranularParam(channelIndex, 'freeze', e.target.checked);
+            this.saveToLocalStorage();
+        });
+        freezeLabel.appendChild(freezeBox);
+        freezeLabel.appendChild(document.createTextNode(' ❄️ Freeze'));
+        granularDiv.appendChild(freezeLabel);
+        
+        showSample(sampleId ? (this.synth.sampleLibrary.getName(sampleId) || 'Stored sample') : null);
+        
+        // Insert after frequency section
+        const freqSection = channelEl.querySelector('.frequency').parentElement;
+        freqSection.insertAdjacentElement('afterend', granularDiv);
+    }
+
+    /**
+     * Handle wavetable synthesizer specific controls
+     * @param {Object} state - Optional saved channel state to show instead of the live generator
+     */
+    handleWavetableControls(channelEl, channelIndex, waveform, state) {
+        const existing = channelEl.querySelector('.wavetable-controls');
+        if (existing) {
+            existing.remove();
+        }
+        
+        if (waveform !== 'wavetable') {
+            return;
+        }
+        
+        // Current values: saved patch, then the live generator, then defaults
+        const gen = this.synth.generators[channelIndex];
+        const live = gen && gen.setMorph ? gen : null;
+        const valueOf = (key, liveKey, fallback) => {
+            if (state && state[key] !== undefined) return state[key];
+            return live ? live[liveKey] : fallback;
+        };
+        
+        const wavetableDiv = document.createElement('div');
+        wavetableDiv.className = 'section wavetable-controls';
+        
+        // Built-in table selector
+        const tableLabel = document.createElement('label');
+        tableLabel.textContent = 'Wavetable:';
+        const tableSelect = document.createElement('select');
+        tableSelect.className = 'wavetable-table';
+        tableSelect.style.cssText = 'width: 100%; padding: 5px; margin-top: 5px; background: #0f3460; color: #eee; border: 1px solid #e94560; border-radius: 4px;';
+        WavetableSynthesizer.getTables().forEach(table => {
+            const option = document.createElement('option');
+            option.value = table.id;
+            option.textContent = `${table.name} (${table.frames} frames)`;
+            tableSelect.appendChild(option);
+        });
+        tableSelect.value = valueOf('wavetable', 'tableId', 'basic');
+        
+        // Imported table: drop a WAV or click to pick one
+        const importDiv = document.createElement('div');
+        importDiv.className = 'wavetable-import';
+        importDiv.style.cssText = 'margin-top: 10px; padding: 8px; border: 1px dashed #e94560; border-radius: 4px; font-size: 0.8rem; text-align: center; cursor: pointer;';
+        
+        const importName = document.createElement('span');
+        const clearBtn = document.createElement('button');
+        clearBtn.className = 'preset-btn-small';
+        clearBtn.textContent = '×';
+        clearBtn.title = 'Back to the built-in table';
+        clearBtn.style.cssText = 'margin-left: 6px; padding: 0 6px; border: none; border-radius: 4px; background: #0f3460; color: #eee; cursor: pointer;';
+        
+        const showImported = (name) => {
+            importName.textContent = name ? `🌊 ${name}` : '📂 Drop a single-cycle WAV or click to import';
+            clearBtn.style.display = name ? 'inline-block' : 'none';
+            tableSelect.disabled = !!name;
+        };
+        
+        tableSelect.addEventListener('change', (e) => {
+            this.synth.setChannelWavetable(channelIndex, e.target.value);
+            this.saveToLocalStorage();
+        });
+        
+        clearBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.synth.clearChannelWavetableSample(channelIndex);
+            showImported(null);
+            this.saveToLocalStorage();
+        });
+        
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'audio/wav,.wav';
+        fileInput.style.display = 'none';
+        
+        const loadFile = async (file) => {
+            if (!file) return;
+            if (!this.synth.isAudioStarted) {
+                this.showToast('Please start audio first', 'info');
+                return;
+            }
+            importName.textContent = `⏳ ${file.name}`;
+            try {
+                const name = await this.synth.setChannelWavetableSample(channelIndex, file);
+                showImported(name);
+                this.saveToLocalStorage();
+            } catch (e) {
+                console.error('Failed to import wavetable:', e);
+                this.showToast(`Could not decode ${file.name}`, 'error');
+                showImported(null);
+            }
+        };
+        
+        importDiv.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', (e) => loadFile(e.target.files[0]));
+        importDiv.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            importDiv.style.background = '#0f3460';
+        });
+        importDiv.addEventListener('dragleave', () => {
+            importDiv.style.background = '';
+        });
+        importDiv.addEventListener('drop', (e) => {
+            e.preventDefault();
+            importDiv.style.background = '';
+            loadFile(e.dataTransfer.files[0]);
+        });
+        
+        importDiv.appendChild(importName);
+        importDiv.appendChild(clearBtn);
+        importDiv.appendChild(fileInput);
+        
+        // Morph position across the frame stack
+        const morph = Math.round(valueOf('morph', 'morph', 0) * 100);
+        const morphLabel = document.createElement('label');
+        morphLabel.innerHTML = `Morph: <span class="wavetable-morph-val">${morph}</span>%`;
+        morphLabel.style.marginTop = '10px';
+        morphLabel.style.display = 'block';
+        
+        const morphSlider = document.createElement('input');
+        morphSlider.type = 'range';
+        morphSlider.className = 'wavetable-morph';
+        morphSlider.min = '0';
+        morphSlider.max = '100';
+        morphSlider.step = '1';
+        morphSlider.value = morph;
+        morphSlider.addEventListener('input', (e) => {
+            const val = parseInt(e.target.value);
+            morphLabel.querySelector('.wavetable-morph-val').textContent = val;
+            this.synth.setChannelWavetableMorph(channelIndex, val / 100);
+            this.saveToLocalStorage();
+        });
+        
+        wavetableDiv.appendChild(tableLabel);
+        wavetableDiv.appendChild(tableSelect);
+        wavetableDiv.appendChild(importDiv);
+        wavetableDiv.appendChild(morphLabel);
+        wavetableDiv.appendChild(morphSlider);
+        
+        this.addModButtonToControl(morphSlider, channelIndex, 'morph', {
+            label: 'Morph',
+            min: 0,
+            max: 1,
+            step: 0.01,
+            isPercent: true
+        });
+        
+        const userTableId = valueOf('wavetableSampleId', 'userTableId', null);
+        showImported(userTableId ? (this.synth.sampleLibrary.getName(userTableId) || 'Imported table') : null);
+        
+        // Insert after frequency section
+        const freqSection = channelEl.querySelector('.frequency').parentElement;
+        freqSection.insertAdjacentElement('afterend', wavetableDiv);
+    }
+
+    /**
+     * Handle additive synthesizer specific controls: presets, a drawable
+     * harmonic bar editor and ratio/phase for the selected partial
+     * @param {Object} state - Optional saved channel state to show instead of the live generator
+     */
+    handleAdditiveControls(channelEl, channelIndex, waveform, state) {
+        const existing = channelEl.querySelector('.additive-controls');
+        if (existing) {
+            existing.remove();
+        }
+        
+        if (waveform !== 'additive') {
+            return;
+        }
+        
+        // Current partials: saved patch, then the live generator, then defaults
+        const gen = this.synth.generators[channelIndex];
+        const source = (state && state.partials) || (gen && gen.partials) || AdditiveSynthesizer.getPresetPartials('saw').slice(0, 16);
+        let partials = source.map(p => ({ ...p }));
+        let selected = 0;
+        
+        const additiveDiv = document.createElement('div');
+        additiveDiv.className = 'section additive-controls';
+        
+        const btnStyle = 'padding: 4px 8px; margin: 2px; border: none; border-radius: 4px; background: #0f3460; color: #eee; cursor: pointer; font-size: 0.75rem;';
+        
+        // Presets
+        const presetDiv = document.createElement('div');
+        presetDiv.className = 'additive-presets';
+        AdditiveSynthesizer.getPresets().forEach(preset => {
+            const btn = document.createElement('button');
+            btn.className = 'preset-btn-small';
+            btn.textContent = preset.name;
+            btn.style.cssText = btnStyle;
+            btn.addEventListener('click', () => {
+                if (!this.synth.setChannelAdditivePreset(channelIndex, preset.id)) return;
+                // Pad with silent partials up to a selectable count
+                const generator = this.synth.generators[channelIndex];
+                const count = this.nearestPartialCount(generator.partials.length);
+                this.synth.setChannelAdditivePartialCount(channelIndex, count);
+                partials = generator.partials.map(p => ({ ...p }));
+                selected = 0;
+                countSelect.value = count;
+                refresh();
+                this.saveToLocalStorage();
+            });
+            presetDiv.appendChild(btn);
+        });
+        
+        // Number of partials
+        const countLabel = document.createElement('label');
+        countLabel.textContent = 'Partials:';
+        countLabel.style.marginTop = '10px';
+        countLabel.style.display = 'block';
+        const countSelect = document.createElement('select');
+        countSelect.className = 'additive-count';
+        countSelect.style.cssText = 'width: 100%; padding: 5px; margin-top: 5px; background: #0f3460; color: #eee; border: 1px solid #e94560; border-radius: 4px;';
+        [8, 16, 32, 64].forEach(n => {
+            const option = document.createElement('option');
+            option.value = n;
+            option.textContent = n;
+            countSelect.appendChild(option);
+        });
+        countSelect.value = this.nearestPartialCount(partials.length);
+        countSelect.addEventListener('change', (e) => {
+            const n = parseInt(e.target.value);
+            this.synth.setChannelAdditivePartialCount(channelIndex, n);
+            while (partials.length < n) partials.push({ amp: 0, ratio: partials.length + 1, phase: 0 });
+            partials.length = n;
+            selected = Math.min(selected, n - 1);
+            refresh();
+            this.saveToLocalStorage();
+        });
+        
+        // Harmonic bar editor: click or drag to draw amplitudes
+        const canvas = document.createElement('canvas');
+        canvas.className = 'additive-editor';
+        canvas.width = 320;
+        canvas.height = 100;
+        canvas.style.cssText = 'width: 100%; height: 100px; margin-top: 10px; background: #0f3460; border-radius: 4px; cursor: crosshair; touch-action: none;';
+        
+        const draw = () => {
+            const ctx = canvas.getContext('2d');
+            const w = canvas.width;
+            const h = canvas.height;
+            const barWidth = w / partials.length;
+            ctx.clearRect(0, 0, w, h);
+            partials.forEach((p, i) => {
+                const barHeight = p.amp * (h - 4);
+                ctx.fillStyle = i === selected ? '#eee' : '#e94560';
+                ctx.fillRect(i * barWidth + 1, h - barHeight, Math.max(1, barWidth - 2), barHeight);
+            });
+        };
+        
+        const drawAt = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            const x = (e.clientX - rect.left) / rect.width;
+            const y = (e.clientY - rect.top) / rect.height;
+            const i = Math.max(0, Math.min(partials.length - 1, Math.floor(x * partials.length)));
+            const amp = Math.max(0, Math.min(1, 1 - y));
+            partials[i].amp = amp;
+            selected = i;
+            this.synth.setChannelAdditivePartial(channelIndex, i, { amp });
+            refresh();
+        };
+        
+        let drawing = false;
+        canvas.addEventListener('pointerdown', (e) => {
+            drawing = true;
+            canvas.setPointerCapture(e.pointerId);
+            drawAt(e);
+        });
+        canvas.addEventListener('pointermove', (e) => {
+            if (drawing) drawAt(e);
+        });
+        canvas.addEventListener('pointerup', () => {
+            if (!drawing) return;
+            drawing = false;
+            this.saveToLocalStorage();
+        });
+        
+        // Selected partial
+        const partialLabel = document.createElement('label');
+        partialLabel.style.marginTop = '10px';
+        partialLabel.style.display = 'block';
+        
+        const partialPanel = document.createElement('div');
+        partialPanel.className = 'additive-partial envelope-grid';
+        partialPanel.style.gridTemplateColumns = 'repeat(3, 1fr)';
+        
+        const partialParams = [
+            { key: 'amp', label: 'Amp', min: 0, max: 100, step: 1, scale: 100, unit: '%' },
+            { key: 'ratio', label: 'Ratio', min: 0.01, max: 64, step: 0.01, scale: 1, unit: '' },
+            { key: 'phase', label: 'Phase', min: 0, max: 359, step: 1, scale: 360, unit: '°' }
+        ];
+        
+        const partialInputs = partialParams.map(param => {
+            const wrap = document.createElement('div');
+            wrap.className = 'envelope-param';
+            const label = document.createElement('span');
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.className = `additive-${param.key}`;
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step;
+            
+            input.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                label.textContent = `${param.label} ${value}${param.unit}`;
+                partials[selected][param.key] = value / param.scale;
+                this.synth.setChannelAdditivePartial(channelIndex, selected, { [param.key]: value / param.scale });
+                draw();
+                this.saveToLocalStorage();
+            });
+            
+            wrap.appendChild(label);
+            wrap.appendChild(input);
+            partialPanel.appendChild(wrap);
+            return { param, label, input };
+        });
+        
+        const refresh = () => {
+            partialLabel.textContent = `Partial ${selected + 1}`;
+            partialInputs.forEach(({ param, label, input }) => {
+                const value = Math.round(partials[selected][param.key] * param.scale * 100) / 100;
+                input.value = value;
+                label.textContent = `${param.label} ${value}${param.unit}`;
+            });
+            draw();
+        };
+        refresh();
+        
+        additiveDiv.appendChild(presetDiv);
+        additiveDiv.appendChild(countLabel);
+        additiveDiv.appendChild(countSelect);
+        additiveDiv.appendChild(canvas);
+        additiveDiv.appendChild(partialLabel);
+        additiveDiv.appendChild(partialPanel);
+        
+        // Insert after frequency section
+        const freqSection = channelEl.querySelector('.frequency').parentElement;
+        freqSection.insertAdjacentElement('afterend', additiveDiv);
+    }
+
+    /**
+     * Handle physical model specific controls
+     * @param {Object} state - Optional saved channel state to show instead of the live generator
+     */
+    handlePhysicalControls(channelEl, channelIndex, waveform, state) {
+        const existing = channelEl.querySelector('.physical-controls');
+        if (existing) {
+            existing.remove();
+        }
+        
+        if (waveform !== 'physical') {
+            return;
+        }
+        
+        // Current values: saved patch, then the live generator, then defaults
+        const gen = this.synth.generators[channelIndex];
+        const live = gen && gen.setPickPosition ? gen : null;
+        const valueOf = (key, liveKey, fallback) => {
+            if (state && state[key] !== undefined) return state[key];
+            return live ? live[liveKey] : fallback;
+        };
+        
+        const physicalDiv = document.createElement('div');
+        physicalDiv.className = 'section physical-controls';
+        
+        // Model selector
+        const modelLabel = document.createElement('label');
+        modelLabel.textContent = 'Model:';
+        const modelSelect = document.createElement('select');
+        modelSelect.className = 'physical-model';
+        modelSelect.style.cssText = 'width: 100%; padding: 5px; margin-top: 5px; background: #0f3460; color: #eee; border: 1px solid #e94560; border-radius: 4px;';
+        PhysicalModelGenerator.getModels().forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = model.name;
+            modelSelect.appendChild(option);
+        });
+        modelSelect.value = valueOf('physModel', 'model', 'string');
+        modelSelect.addEventListener('change', (e) => {
+            this.synth.setChannelPhysicalParam(channelIndex, 'model', e.target.value);
+            this.saveToLocalStorage();
+        });
+        physicalDiv.appendChild(modelLabel);
+        physicalDiv.appendChild(modelSelect);
+        
+        const controls = [
+            { param: 'damping', label: 'Damping', max: 100, value: valueOf('damping', 'damping', 0.3) },
+            { param: 'brightness', label: 'Brightness', max: 100, value: valueOf('brightness', 'brightness', 0.5) },
+            { param: 'pickPosition', label: 'Pick Position', max: 50, value: valueOf('pickPosition', 'pickPosition', 0.2) }
+        ];
+        
+        controls.forEach(ctrl => {
+            const shown = Math.round(ctrl.value * 100);
+            const label = document.createElement('label');
+            label.innerHTML = `${ctrl.label}: <span class="physical-${ctrl.param}-val">${shown}</span>%`;
+            label.style.marginTop = '10px';
+            label.style.display = 'block';
+            
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.className = `physical-${ctrl.param}`;
+            slider.min = '0';
+            slider.max = ctrl.max;
+            slider.step = '1';
+            slider.value = shown;
+            slider.addEventListener('input', (e) => {
+                const val = parseInt(e.target.value);
+                label.querySelector('span').textContent = val;
+                this.synth.setChannelPhysicalParam(channelIndex, ctrl.param, val / 100);
+                this.saveToLocalStorage();
+            });
+            
+            physicalDiv.appendChild(label);
+            physicalDiv.appendChild(slider);
+        });
+        
+        // Pluck button re-excites the running model
+        const pluckBtn = document.createElement('button');
+        pluckBtn.className = 'preset-btn-small physical-pluck';
+        pluckBtn.textContent = '🎸 Pluck';
+        pluckBtn.style.cssText = 'margin-top: 10px; padding: 6px 12px; border: none; border-radius: 4px; background: #e94560; color: #eee; cursor: pointer; font-size: 0.85rem;';
+        pluckBtn.addEventListener('click', () => {
+            if (!this.synth.pluckChannel(channelIndex)) {
+                this.showToast('Start audio and enable the channel first', 'info');
+            }
+        });
+        physicalDiv.appendChild(pluckBtn);
+        
+        // Insert after frequency section
+        const freqSection = channelEl.querySelector('.frequency').parentElement;
+        freqSection.insertAdjacentElement('afterend', physicalDiv);
+    }
+
+    /**
+     * Handle formant voice specific controls: source, vowel presets and vowel morph
+     * @param {Object} state - Optional saved channel state to show instead of the live generator
+     */
+    handleFormantControls(channelEl, channelIndex, waveform, state) {
+        const existing = channelEl.querySelector('.formant-controls');
+        if (existing) {
+            existing.remove();
+        }
+        
+        if (waveform !== 'formant') {
+            return;
+        }
+        
+        // Current values: saved patch, then the live generator, then defaults
+        const gen = this.synth.generators[channelIndex];
+        const live = gen && gen.setVowel ? gen : null;
+        const valueOf = (key, liveKey, fallback) => {
+            if (state && state[key] !== undefined) return state[key];
+            return live ? live[liveKey] : fallback;
+        };
+        
+        const formantDiv = document.createElement('div');
+        formantDiv.className = 'section formant-controls';
+        
+        // Source selector
+        const sourceLabel = document.createElement('label');
+        sourceLabel.textContent = 'Source:';
+        const sourceSelect = document.createElement('select');
+        sourceSelect.className = 'formant-source';
+        sourceSelect.style.cssText = 'width: 100%; padding: 5px; margin-top: 5px; background: #0f3460; color: #eee; border: 1px solid #e94560; border-radius: 4px;';
+        FormantGenerator.getSources().forEach(source => {
+            const option = document.createElement('option');
+            option.value = source.id;
+            option.textContent = source.name;
+            sourceSelect.appendChild(option);
+        });
+        sourceSelect.value = valueOf('formantSource', 'sourceType', 'pulse');
+        sourceSelect.addEventListener('change', (e) => {
+            this.synth.setChannelFormantParam(channelIndex, 'source', e.target.value);
+            this.saveToLocalStorage();
+        });
+        formantDiv.appendChild(sourceLabel);
+        formantDiv.appendChild(sourceSelect);
+        
+        // Vowel morph: a, e, i, o, u spread evenly over 0-100%
+        const vowels = FormantGenerator.getVowels();
+        const vowelName = (percent) => vowels[Math.round(percent / 100 * (vowels.length - 1))].id.toUpperCase();
+        const vowel = Math.round(valueOf('vowel', 'vowel', 0) * 100);
+        const vowelLabel = document.createElement('label');
+        vowelLabel.innerHTML = `Vowel: <span class="formant-vowel-val">${vowel}% (${vowelName(vowel)})</span>`;
+        vowelLabel.style.marginTop = '10px';
+        vowelLabel.style.display = 'block';
+        
+        const vowelSlider = document.createElement('input');
+        vowelSlider.type = 'range';
+        vowelSlider.className = 'formant-vowel';
+        vowelSlider.min = '0';
+        vowelSlider.max = '100';
+        vowelSlider.step = '1';
+        vowelSlider.value = vowel;
+        vowelSlider.addEventListener('input', (e) => {
+            const val = parseInt(e.target.value);
+            vowelLabel.querySelector('.formant-vowel-val').textContent = `${val}% (${vowelName(val)})`;
+            this.synth.setChannelFormantParam(channelIndex, 'vowel', val / 100);
+            this.saveToLocalStorage();
+        });
+        
+        // Vowel preset buttons jump the morph to a vowel
+        const presetRow = document.createElement('div');
+        presetRow.className = 'formant-vowel-presets';
+        presetRow.style.cssText = 'display: flex; gap: 5px; margin-top: 8px;';
+        vowels.forEach(v => {
+            const btn = document.createElement('button');
+            btn.className = 'preset-btn-small';
+            btn.textContent = v.id.toUpperCase();
+            btn.title = v.name;
+            btn.style.cssText = 'flex: 1; padding: 4px 0; border: none; border-radius: 4px; background: #e94560; color: #eee; cursor: pointer; font-size: 0.85rem;';
+            btn.addEventListener('click', () => {
+                vowelSlider.value = Math.round(FormantGenerator.getVowelPosition(v.id) * 100);
+                vowelSlider.dispatchEvent(new Event('input'));
+            });
+            presetRow.appendChild(btn);
+        });
+        
+        formantDiv.appendChild(vowelLabel);
+        formantDiv.appendChild(vowelSlider);
+        formantDiv.appendChild(presetRow);
+        
+        this.addModButtonToControl(vowelSlider, channelIndex, 'vowel', {
+            label: 'Vowel',
+            min: 0,
+            max: 1,
+            step: 0.01,
+            isPercent: true
+        });
+        
+        // Insert after frequency section
+        const freqSection = channelEl.querySelector('.frequency').parentElement;
+        freqSection.insertAdjacentElement('afterend', formantDiv);
+    }
+
+    /**
+     * Handle Shepard tone specific controls: direction, glide rate and envelope width.
+     * The frequency slider sets the envelope center.
+     * @param {Object} state - Optional saved channel state to show instead of the live generator
+     */
+    handleShepardControls(channelEl, channelIndex, waveform, state) {
+        const existing = channelEl.querySelector('.shepard-controls');
+        if (existing) {
+            existing.remove();
+        }
+        
+        // Only the label's leading text changes, so the value span and Mod button stay
+        const freqLabel = channelEl.querySelector('.frequency').previousElementSibling;
+        const labelText = freqLabel && freqLabel.firstChild && freqLabel.firstChild.nodeType === Node.TEXT_NODE
+            ? freqLabel.firstChild : null;
+        
+        if (waveform !== 'shepard') {
+            if (labelText && labelText.textContent === 'Envelope Center: ') labelText.textContent = 'Frequency: ';
+            return;
+        }
+        if (labelText && labelText.textContent === 'Frequency: ') labelText.textContent = 'Envelope Center: ';
+        
+        // Current values: saved patch, then the live generator, then defaults
+        const gen = this.synth.generators[channelIndex];
+        const live = gen && gen.setOctaves ? gen : null;
+        const saved = state && state.shepard ? state.shepard : {};
+        const valueOf = (key, fallback) => {
+            if (saved[key] !== undefined) return saved[key];
+            return live ? live[key] : fallback;
+        };
+        
+        const shepardDiv = document.createElement('div');
+        shepardDiv.className = 'section shepard-controls';
+        
+        // Direction selector
+        const dirLabel = document.createElement('label');
+        dirLabel.textContent = 'Direction:';
+        const dirSelect = document.createElement('select');
+        dirSelect.className = 'shepard-direction';
+        dirSelect.style.cssText = 'width: 100%; padding: 5px; margin-top: 5px; background: #0f3460; color: #eee; border: 1px solid #e94560; border-radius: 4px;';
+        ShepardGenerator.getDirections().forEach(dir => {
+            const option = document.createElement('option');
+            option.value = dir.id;
+            option.textContent = dir.name;
+            dirSelect.appendChild(option);
+        });
+        dirSelect.value = valueOf('direction', 'up');
+        dirSelect.addEventListener('change', (e) => {
+            this.synth.setChannelShepardParam(channelIndex, 'direction', e.target.value);
+            this.saveToLocalStorage();
+        });
+        shepardDiv.appendChild(dirLabel);
+        shepardDiv.appendChild(dirSelect);
+        
+        // Glide rate in octaves per second
+        const rate = valueOf('rate', 0.1);
+        const rateLabel = document.createElement('label');
+        rateLabel.innerHTML = `Glide Rate: <span class="shepard-rate-val">${rate.toFixed(2)}</span> oct/s`;
+        rateLabel.style.marginTop = '10px';
+        rateLabel.style.display = 'block';
+        
+        const rateSlider = document.createElement('input');
+        rateSlider.type = 'range';
+        rateSlider.className = 'shepard-rate';
+        rateSlider.min = '0';
+        rateSlider.max = '1';
+        rateSlider.step = '0.01';
+        rateSlider.value = rate;
+        rateSlider.addEventListener('input', (e) => {
+            const val = parseFloat(e.target.value);
+            rateLabel.querySelector('.shepard-rate-val').textContent = val.toFixed(2);
+            this.synth.setChannelShepardParam(channelIndex, 'rate', val);
+            this.saveToLocalStorage();
+        });
+        shepardDiv.appendChild(rateLabel);
+        shepardDiv.appendChild(rateSlider);
+        
+        this.addModButtonToControl(rateSlider, channelIndex, 'rate', {
+            label: 'Glide',
+            min: 0,
+            max: 1,
+            step: 0.01
+        });
+        
+        // Envelope width, one partial per octave
+        const octaves = valueOf('octaves', 8);
+        const octLabel = document.createElement('label');
+        octLabel.innerHTML = `Octaves: <span class="shepard-octaves-val">${octaves}</span>`;
+        octLabel.style.marginTop = '10px';
+        octLabel.style.display = 'block';
+        
+        const octSlider = document.createElement('input');
+        octSlider.type = 'range';
+        octSlider.className = 'shepard-octaves';
+        octSlider.min = '2';
+        octSlider.max = '10';
+        octSlider.step = '1';
+        octSlider.value = octaves;
+        octSlider.addEventListener('input', (e) => {
+            const val = parseInt(e.target.value);
+            octLabel.querySelector('.shepard-octaves-val').textContent = val;
+            this.synth.setChannelShepardParam(channelIndex, 'octaves', val);
+            this.saveToLocalStorage();
+        });
+        shepardDiv.appendChild(octLabel);
+        shepardDiv.appendChild(octSlider);
+        
+        // Insert after frequency section
+        const freqSection = channelEl.querySelector('.frequency').parentElement;
+        freqSection.insertAdjacentElement('afterend', shepardDiv);
+    }
+
+    /**
+     * Hide the frequency slider for generators that set their own frequency
+     * @returns {HTMLElement} The frequency section
+     */
+    updateFrequencySection(channelEl, waveform) {
+        const freqSection = channelEl.querySelector('.frequency').parentElement;
+        freqSection.style.display = ['sweep', 'testsignal'].includes(waveform) ? 'none' : '';
+        return freqSection;
+    }
+
+    /**
+     * Whether the frequency slider sets a musical pitch (and can be snapped to the tuning)
+     */
+    isPitchedWaveform(waveform) {
+        return !['noise', 'infrasound', 'sweep', 'testsignal'].includes(waveform);
+    }
+
+    /**
+     * Show the nearest note of the tuning under the frequency slider
+     * @param {number} freq - Frequency to describe, defaults to the slider value
+     */
+    updateFrequencyNote(channelEl, freq) {
+        const note = channelEl.querySelector('.freq-note');
+        if (!note) return;
+        const waveform = channelEl.querySelector('.waveform').value;
+        if (!this.isPitchedWaveform(waveform)) {
+            note.textContent = '';
+            return;
+        }
+        if (freq === undefined) {
+            const channelIndex = parseInt(channelEl.dataset.channel);
+            const generator = this.synth.generators[channelIndex];
+            freq = generator && generator.frequency
+                ? generator.frequency
+                : parseFloat(channelEl.querySelector('.frequency').value);
+        }
+        note.textContent = this.synth.tuning.describeFrequency(freq);
+    }
+
+    /**
+     * Handle sweep (chirp) generator specific controls
+     * @param {Object} state - Optional saved channel state to show instead of the live generator
+     */
+    handleSweepControls(channelEl, channelIndex, waveform, state) {
+        const existing = channelEl.querySelector('.sweep-controls');
+        if (existing) {
+            existing.remove();
+        }
+        
+        const freqSection = this.updateFrequencySection(channelEl, waveform);
         
-        if (waveform !== 'noise') {
-            // Restore normal label if not noise (and not other special modes)
-            const isBinaural = channelEl.querySelector('.binaural-controls') !== null;
-            const isFM = channelEl.querySelector('.fm-controls') !== null;
-            const isInfrasound = freqSlider.dataset.infrasound === 'true';
-            const isGranular = channelEl.querySelector('.granular-controls') !== null;
-            
-            if (!isBinaural && !isFM && !isInfrasound && !isGranular) {
-                freqLabel.innerHTML = 'Frequency: <span class="freq-val">440</span> Hz';
-            }
+        if (waveform !== 'sweep') {
             return;
         }
         
-        // Change frequency label to "Filter Cutoff"
-        freqLabel.innerHTML = 'Filter Cutoff: <span class="freq-val">1000</span> Hz';
-        freqSlider.value = 1000;
-        
-        // Create noise controls container
-        const noiseDiv = document.createElement('div');
-        noiseDiv.className = 'section noise-controls';
-        
-        // Noise type selector
-        const typeLabel = document.createElement('label');
-        typeLabel.textContent = 'Noise Type:';
+        // Current values: saved patch, then the live generator, then defaults
+        const gen = this.synth.generators[channelIndex];
+        const sweep = {
+            startFreq: 20, endFreq: 20000, duration: 10, mode: 'log', loop: false,
+            ...(gen && gen.setSweep ? {
+                startFreq: gen.startFreq, endFreq: gen.endFreq, duration: gen.duration,
+                mode: gen.mode, loop: gen.loop
+            } : {}),
+            ...((state && state.sweep) || {})
+        };
         
-        const typeSelect = document.createElement('select');
-        typeSelect.className = 'noise-type';
-        typeSelect.style.cssText = 'width: 100%; padding: 5px; margin-top: 5px; background: #0f3460; color: #eee; border: 1px solid #e94560; border-radius: 4px;';
+        const sweepDiv = document.createElement('div');
+        sweepDiv.className = 'section sweep-controls';
         
-        const types = [
-            { id: 'white', name: 'White Noise' },
-            { id: 'pink', name: 'Pink Noise' },
-            { id: 'brown', name: 'Brown Noise' }
-        ];
+        const inputStyle = 'width: 100%; padding: 5px; margin-top: 5px; background: #0f3460; color: #eee; border: 1px solid #e94560; border-radius: 4px;';
         
-        types.forEach(type => {
+        // Mode selector
+        const modeLabel = document.createElement('label');
+        modeLabel.textContent = 'Sweep:';
+        const modeSelect = document.createElement('select');
+        modeSelect.className = 'sweep-mode';
+        modeSelect.style.cssText = inputStyle;
+        SweepGenerator.getModes().forEach(mode => {
             const option = document.createElement('option');
-            option.value = type.id;
-            option.textContent = type.name;
-            typeSelect.appendChild(option);
+            option.value = mode.id;
+            option.textContent = mode.name;
+            modeSelect.appendChild(option);
         });
-        
-        typeSelect.addEventListener('change', (e) => {
-            this.synth.setChannelNoiseType(channelIndex, e.target.value);
+        modeSelect.value = sweep.mode;
+        modeSelect.addEventListener('change', (e) => {
+            this.synth.setChannelSweep(channelIndex, { mode: e.target.value });
+            this.saveToLocalStorage();
         });
+        sweepDiv.appendChild(modeLabel);
+        sweepDiv.appendChild(modeSelect);
         
-        noiseDiv.appendChild(typeLabel);
-        noiseDiv.appendChild(typeSelect);
+        const fields = [
+            { key: 'startFreq', label: 'Start (Hz)', min: 1, max: 24000, step: 1 },
+            { key: 'endFreq', label: 'End (Hz)', min: 1, max: 24000, step: 1 },
+            { key: 'duration', label: 'Duration (s)', min: 0.1, max: 600, step: 0.1 }
+        ];
+        fields.forEach(field => {
+            const label = document.createElement('label');
+            label.textContent = `${field.label}:`;
+            label.style.marginTop = '10px';
+            label.style.display = 'block';
+            
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = `sweep-${field.key}`;
+            input.min = field.min;
+            input.max = field.max;
+            input.step = field.step;
+            input.value = sweep[field.key];
+            input.style.cssText = inputStyle;
+            input.addEventListener('change', (e) => {
+                const v = parseFloat(e.target.value);
+                if (isNaN(v) || v < field.min) return;
+                this.synth.setChannelSweep(channelIndex, { [field.key]: Math.min(field.max, v) });
+                this.saveToLocalStorage();
+            });
+            
+            sweepDiv.appendChild(label);
+            sweepDiv.appendChild(input);
+        });
         
-        // Insert after frequency section
-        const freqSection = freqSlider.parentElement;
-        freqSection.insertAdjacentElement('afterend', noiseDiv);
+        // One-shot or looping
+        const loopLabel = document.createElement('label');
+        loopLabel.style.marginTop = '10px';
+        loopLabel.style.display = 'block';
+        const loopBox = document.createElement('input');
+        loopBox.type = 'checkbox';
+        loopBox.className = 'sweep-loop';
+        loopBox.checked = !!sweep.loop;
+        loopBox.addEventListener('change', (e) => {
+            this.synth.setChannelSweep(channelIndex, { loop: e.target.checked });
+            this.saveToLocalStorage();
+        });
+        loopLabel.appendChild(loopBox);
+        loopLabel.appendChild(document.createTextNode(' 🔁 Loop'));
+        sweepDiv.appendChild(loopLabel);
+        
+        const restartBtn = document.createElement('button');
+        restartBtn.className = 'preset-btn-small sweep-restart';
+        restartBtn.textContent = '▶ Restart Sweep';
+        restartBtn.style.cssText = 'margin-top: 10px; padding: 6px 12px; border: none; border-radius: 4px; background: #e94560; color: #eee; cursor: pointer; font-size: 0.85rem;';
+        restartBtn.addEventListener('click', () => {
+            if (!this.synth.restartChannelSweep(channelIndex)) {
+                this.showToast('Start audio and enable the channel first', 'info');
+            }
+        });
+        sweepDiv.appendChild(restartBtn);
         
-        // Initialize noise with default filter
-        this.synth.setChannelFrequency(channelIndex, 1000);
+        freqSection.insertAdjacentElement('afterend', sweepDiv);
     }
 
     /**
-     * Handle granular synthesizer specific controls
+     * Handle measurement test signal controls
+     * @param {Object} state - Optional saved channel state to show instead of the live generator
      */
-    handleGranularControls(channelEl, channelIndex, waveform) {
-        // Remove existing granular controls if any
-        const existingGranular = channelEl.querySelector('.granular-controls');
-        if (existingGranular) {
-            existingGranular.remove();
+    handleTestSignalControls(channelEl, channelIndex, waveform, state) {
+        const existing = channelEl.querySelector('.testsignal-controls');
+        if (existing) {
+            existing.remove();
         }
         
-        if (waveform !== 'granular') {
+        const freqSection = this.updateFrequencySection(channelEl, waveform);
+        
+        if (waveform !== 'testsignal') {
             return;
         }
         
-        // Create granular controls container
-        const granularDiv = document.createElement('div');
-        granularDiv.className = 'section granular-controls';
+        // Current values: saved patch, then the live generator, then defaults
+        const gen = this.synth.generators[channelIndex];
+        const settings = {
+            signal: 'pink', level: -20, loop: true, interval: 1, mlsOrder: 16, stepDuration: 1,
+            ...(gen && gen.setTestSignal ? {
+                signal: gen.signal, level: gen.level, loop: gen.loop, interval: gen.interval,
+                mlsOrder: gen.mlsOrder, stepDuration: gen.stepDuration
+            } : {}),
+            ...((state && state.testSignal) || {})
+        };
         
-        // Density slider (grains per second)
-        const densityLabel = document.createElement('label');
-        densityLabel.innerHTML = `Density: <span class="density-val">20</span> grains/s`;
+        const testDiv = document.createElement('div');
+        testDiv.className = 'section testsignal-controls';
         
-        const densitySlider = document.createElement('input');
-        densitySlider.type = 'range';
-        densitySlider.className = 'granular-density';
-        densitySlider.min = '1';
-        densitySlider.max = '100';
-        densitySlider.value = '20';
+        const inputStyle = 'width: 100%; padding: 5px; margin-top: 5px; background: #0f3460; color: #eee; border: 1px solid #e94560; border-radius: 4px;';
+        const update = (params) => {
+            this.synth.setChannelTestSignal(channelIndex, params);
+            this.saveToLocalStorage();
+        };
         
-        densitySlider.addEventListener('input', (e) => {
-            const val = parseInt(e.target.value);
-            densityLabel.innerHTML = `Density: <span class="density-val">${val}</span> grains/s`;
-            this.synth.setChannelGranularParam(channelIndex, 'density', val);
+        // Signal selector
+        const signalLabel = document.createElement('label');
+        signalLabel.textContent = 'Signal:';
+        const signalSelect = document.createElement('select');
+        signalSelect.className = 'testsignal-signal';
+        signalSelect.style.cssText = inputStyle;
+        TestSignalGenerator.getSignals().forEach(sig => {
+            const option = document.createElement('option');
+            option.value = sig.id;
+            option.textContent = sig.name;
+            signalSelect.appendChild(option);
         });
+        signalSelect.value = settings.signal;
+        testDiv.appendChild(signalLabel);
+        testDiv.appendChild(signalSelect);
+        
+        // Level in dBFS at the generator (RMS, peak for the impulse)
+        const levelLabel = document.createElement('label');
+        levelLabel.innerHTML = `Generator Level: <span class="testsignal-level-val">${settings.level}</span> dBFS`;
+        levelLabel.style.marginTop = '10px';
+        levelLabel.style.display = 'block';
+        const levelSlider = document.createElement('input');
+        levelSlider.type = 'range';
+        levelSlider.className = 'testsignal-level';
+        levelSlider.min = '-60';
+        levelSlider.max = '0';
+        levelSlider.step = '1';
+        levelSlider.value = settings.level;
+        levelSlider.addEventListener('input', (e) => {
+            const db = parseInt(e.target.value);
+            levelLabel.querySelector('span').textContent = db;
+            update({ level: db });
+            this.updateTestSignalCalibration();
+        });
+        testDiv.appendChild(levelLabel);
+        testDiv.appendChild(levelSlider);
+        
+        // What the mixer does to that level on the way out
+        const calibration = document.createElement('small');
+        calibration.className = 'testsignal-calibration';
+        calibration.style.cssText = 'display: block; margin-top: 5px; color: #f5c542;';
+        testDiv.appendChild(calibration);
+        
+        // Per-signal settings, shown only for the signals they apply to
+        const makeRow = (signals, labelText, input) => {
+            const row = document.createElement('div');
+            row.dataset.signals = signals.join(' ');
+            const label = document.createElement('label');
+            label.textContent = labelText;
+            label.style.marginTop = '10px';
+            label.style.display = 'block';
+            input.style.cssText = inputStyle;
+            row.appendChild(label);
+            row.appendChild(input);
+            testDiv.appendChild(row);
+            return row;
+        };
         
-        // Spray slider (frequency randomization)
-        const sprayLabel = document.createElement('label');
-        sprayLabel.innerHTML = `Spray: <span class="spray-val">100</span> Hz`;
-        sprayLabel.style.marginTop = '10px';
-        sprayLabel.style.display = 'block';
-        
-        const spraySlider = document.createElement('input');
-        spraySlider.type = 'range';
-        spraySlider.className = 'granular-spray';
-        spraySlider.min = '0';
-        spraySlider.max = '1000';
-        spraySlider.value = '100';
+        const makeNumber = (key, min, max, step) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = `testsignal-${key}`;
+            input.min = min;
+            input.max = max;
+            input.step = step;
+            input.value = settings[key];
+            input.addEventListener('change', (e) => {
+                const v = parseFloat(e.target.value);
+                if (isNaN(v) || v < min) return;
+                update({ [key]: Math.min(max, v) });
+            });
+            return input;
+        };
         
-        spraySlider.addEventListener('input', (e) => {
-            const val = parseInt(e.target.value);
-            sprayLabel.innerHTML = `Spray: <span class="spray-val">${val}</span> Hz`;
-            this.synth.setChannelGranularParam(channelIndex, 'spray', val);
+        const orderSelect = document.createElement('select');
+        orderSelect.className = 'testsignal-mls-order';
+        TestSignalGenerator.getMlsOrders().forEach(order => {
+            const option = document.createElement('option');
+            option.value = order;
+            option.textContent = `${order} (${Math.pow(2, order) - 1} samples)`;
+            orderSelect.appendChild(option);
         });
+        orderSelect.value = String(settings.mlsOrder);
+        orderSelect.addEventListener('change', (e) => update({ mlsOrder: parseInt(e.target.value) }));
         
-        // Grain size slider
-        const sizeLabel = document.createElement('label');
-        sizeLabel.innerHTML = `Grain Size: <span class="size-val">50</span> ms`;
-        sizeLabel.style.marginTop = '10px';
-        sizeLabel.style.display = 'block';
+        const rows = [
+            makeRow(['impulse'], 'Repeat Every (s):', makeNumber('interval', 0.05, 10, 0.05)),
+            makeRow(['mls'], 'MLS Order:', orderSelect),
+            makeRow(['steps'], 'Burst Length (s):', makeNumber('stepDuration', 0.05, 10, 0.05))
+        ];
         
-        const sizeSlider = document.createElement('input');
-        sizeSlider.type = 'range';
-        sizeSlider.className = 'granular-size';
-        sizeSlider.min = '10';
-        sizeSlider.max = '200';
-        sizeSlider.value = '50';
+        // Repeat or play once (pink noise always runs)
+        const loopLabel = document.createElement('label');
+        loopLabel.dataset.signals = 'impulse mls steps';
+        loopLabel.style.marginTop = '10px';
+        loopLabel.style.display = 'block';
+        const loopBox = document.createElement('input');
+        loopBox.type = 'checkbox';
+        loopBox.className = 'testsignal-loop';
+        loopBox.checked = !!settings.loop;
+        loopBox.addEventListener('change', (e) => update({ loop: e.target.checked }));
+        loopLabel.appendChild(loopBox);
+        loopLabel.appendChild(document.createTextNode(' 🔁 Repeat'));
+        testDiv.appendChild(loopLabel);
+        
+        const showRows = (signal) => {
+            [...rows, loopLabel].forEach(row => {
+                row.style.display = row.dataset.signals.split(' ').includes(signal) ? 'block' : 'none';
+            });
+        };
+        showRows(settings.signal);
+        signalSelect.addEventListener('change', (e) => {
+            showRows(e.target.value);
+            update({ signal: e.target.value });
+        });
         
-        sizeSlider.addEventListener('input', (e) => {
-            const val = parseInt(e.target.value);
-            sizeLabel.innerHTML = `Grain Size: <span class="size-val">${val}</span> ms`;
-            this.synth.setChannelGranularParam(channelIndex, 'grainSize', val);
+        const restartBtn = document.createElement('button');
+        restartBtn.className = 'preset-btn-small testsignal-restart';
+        restartBtn.textContent = '▶ Restart';
+        restartBtn.style.cssText = 'margin-top: 10px; padding: 6px 12px; border: none; border-radius: 4px; background: #e94560; color: #eee; cursor: pointer; font-size: 0.85rem;';
+        restartBtn.addEventListener('click', () => {
+            if (!this.synth.restartChannelTestSignal(channelIndex)) {
+                this.showToast('Start audio and enable the channel first', 'info');
+            }
         });
+        testDiv.appendChild(restartBtn);
         
-        granularDiv.appendChild(densityLabel);
-        granularDiv.appendChild(densitySlider);
-        granularDiv.appendChild(sprayLabel);
-        granularDiv.appendChild(spraySlider);
-        granularDiv.appendChild(sizeLabel);
-        granularDiv.appendChild(sizeSlider);
+        freqSection.insertAdjacentElement('afterend', testDiv);
+        this.updateTestSignalCalibration();
+    }
+
+    /**
+     * Warn on test signal strips when the output level is not the generator level:
+     * channel and master volume, the pan law (the signal is mono), effects and the
+     * master compressor all sit between the generator and the output
+     */
+    updateTestSignalCalibration() {
+        const masterVol = parseFloat(document.getElementById('master-volume').value) / 100;
+        const compressorOn = document.getElementById('master-comp-on').checked;
+        const activeEffects = (stripEl) => this.getEffectSlotList(stripEl).some(eff => eff.type !== 'none' && !eff.bypass);
+        const masterEffects = activeEffects(document.getElementById('master-inserts'));
+        
+        document.querySelectorAll('.channel').forEach(channelEl => {
+            const note = channelEl.querySelector('.testsignal-calibration');
+            if (!note) return;
+            
+            // Equal-power panning, the louder side
+            const pan = parseFloat(channelEl.querySelector('.pan').value) / 100;
+            const angle = (pan + 1) * Math.PI / 4;
+            const gain = parseFloat(channelEl.querySelector('.volume').value) / 100 * masterVol *
+                Math.max(Math.cos(angle), Math.sin(angle));
+            const level = parseFloat(channelEl.querySelector('.testsignal-level').value);
+            
+            const warnings = [];
+            if (Math.abs(gain - 1) > 0.001) {
+                const output = gain > 0 ? `${(level + 20 * Math.log10(gain)).toFixed(1)} dBFS` : 'silent';
+                warnings.push(`Output: ${output} after the channel volume, pan and master volume (set both volumes to 100% and pan hard left or right for unity).`);
+            }
+            if (activeEffects(channelEl) || masterEffects) {
+                warnings.push('Active effects change the level.');
+            }
+            if (compressorOn) {
+                warnings.push('The master compressor is on and will reduce loud signals, turn it off for measurements.');
+            }
+            note.textContent = warnings.join(' ');
+        });
+    }
+
+    /**
+     * Partial-count option closest to (and not below) a preset's size
+     */
+    nearestPartialCount(count) {
+        return [8, 16, 32, 64].find(n => n >= count) || 64;
+    }
+
+    /**
+     * Engine calls for the effect chain a strip shows: a channel's inserts,
+     * an aux bus or the master inserts. Only channel effects can be LFO targets
+     * (channel is null otherwise)
+     */
+    getEffectChainOps(stripEl) {
+        const synth = this.synth;
+        if (stripEl.dataset.master !== undefined) {
+            return {
+                channel: null,
+                getEffect: (slot) => synth.masterChain[slot],
+                setEffect: (slot, type) => synth.setMasterEffect(slot, type),
+                setBypass: (slot, bypass) => synth.setMasterEffectBypass(slot, bypass),
+                setParam: (slot, name, value) => synth.setMasterEffectParam(slot, name, value),
+                insert: (position) => synth.insertMasterEffect(position),
+                remove: (position) => synth.removeMasterEffect(position),
+                move: (from, to) => synth.moveMasterEffect(from, to)
+            };
+        }
+        if (stripEl.dataset.bus !== undefined) {
+            const bus = parseInt(stripEl.dataset.bus);
+            return {
+                channel: null,
+                getEffect: (slot) => synth.auxBusChains[bus][slot],
+                setEffect: (slot, type) => synth.setAuxBusEffect(bus, slot, type),
+                setBypass: (slot, bypass) => synth.setAuxBusEffectBypass(bus, slot, bypass),
+                setParam: (slot, name, value) => synth.setAuxBusEffectParam(bus, slot, name, value),
+                insert: (position) => synth.insertAuxBusEffect(bus, position),
+                remove: (position) => synth.removeAuxBusEffect(bus, position),
+                move: (from, to) => synth.moveAuxBusEffect(bus, from, to)
+            };
+        }
         
-        // Insert after frequency section
-        const freqSection = channelEl.querySelector('.frequency').parentElement;
-        freqSection.insertAdjacentElement('afterend', granularDiv);
+        const channel = parseInt(stripEl.dataset.channel);
+        return {
+            channel,
+            getEffect: (slot) => synth.effectChains[channel][slot],
+            setEffect: (slot, type) => synth.setChannelEffect(channel, slot, type),
+            setBypass: (slot, bypass) => synth.setChannelEffectBypass(channel, slot, bypass),
+            setParam: (slot, name, value) => synth.setEffectParam(channel, slot, name, value),
+            insert: (position) => synth.insertChannelEffect(channel, position),
+            remove: (position) => synth.removeChannelEffect(channel, position),
+            move: (from, to) => synth.moveChannelEffect(channel, from, to)
+        };
+    }
+
+    /**
+     * Rebuild the effect slots of a channel or aux bus strip
+     * @param {HTMLElement} channelEl - Channel or aux bus strip
+     * @param {Array} effects - { type, bypass } per slot
+     */
+    renderEffectSlots(channelEl, effects) {
+        const container = channelEl.querySelector('.effect-chain');
+        const template = document.getElementById('effect-slot-template');
+        container.innerHTML = '';
+        
+        effects.forEach((eff, slotIndex) => {
+            const slot = template.content.firstElementChild.cloneNode(true);
+            const select = slot.querySelector('.effect-type');
+            const bypassBtn = slot.querySelector('.effect-bypass');
+            select.value = eff.type;
+            slot.classList.toggle('bypassed', !!eff.bypass);
+            bypassBtn.classList.toggle('active', !!eff.bypass);
+            
+            select.addEventListener('change', (e) => {
+                const effectType = e.target.value;
+                this.getEffectChainOps(channelEl).setEffect(slotIndex, effectType);
+                // A new effect starts in the signal path
+                slot.classList.remove('bypassed');
+                bypassBtn.classList.remove('active');
+                this.updateEffectParams(channelEl, slotIndex, effectType);
+                this.updateTestSignalCalibration();
+                this.saveToLocalStorage();
+            });
+            
+            bypassBtn.addEventListener('click', () => {
+                const bypass = !slot.classList.contains('bypassed');
+                this.getEffectChainOps(channelEl).setBypass(slotIndex, bypass);
+                slot.classList.toggle('bypassed', bypass);
+                bypassBtn.classList.toggle('active', bypass);
+                this.updateTestSignalCalibration();
+                this.saveToLocalStorage();
+            });
+            
+            slot.querySelector('.effect-insert').addEventListener('click', () => this.insertEffectSlot(channelEl, slotIndex));
+            slot.querySelector('.effect-remove').addEventListener('click', () => this.removeEffectSlot(channelEl, slotIndex));
+            
+            // Drag by the handle so the parameter sliders keep working
+            const handle = slot.querySelector('.effect-drag-handle');
+            handle.addEventListener('dragstart', (e) => {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', String(slotIndex));
+                e.dataTransfer.setDragImage(slot, 10, 10);
+                this.draggedEffectSlot = { channelEl, slotIndex };
+                slot.classList.add('dragging');
+            });
+            handle.addEventListener('dragend', () => {
+                this.draggedEffectSlot = null;
+                slot.classList.remove('dragging');
+                container.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+            });
+            
+            // Slots only take drops from their own channel
+            const acceptsDrop = () => this.draggedEffectSlot && this.draggedEffectSlot.channelEl === channelEl;
+            slot.addEventListener('dragover', (e) => {
+                if (!acceptsDrop()) return;
+                e.preventDefault();
+                slot.classList.add('drag-over');
+            });
+            slot.addEventListener('dragleave', () => slot.classList.remove('drag-over'));
+            slot.addEventListener('drop', (e) => {
+                if (!acceptsDrop()) return;
+                e.preventDefault();
+                this.moveEffectSlot(channelEl, this.draggedEffectSlot.slotIndex, slotIndex);
+            });
+            
+            container.appendChild(slot);
+            
+            // Parameter sliders need the effect instances
+            if (this.synth.isAudioStarted) {
+                this.updateEffectParams(channelEl, slotIndex, eff.type);
+            }
+        });
+    }
+
+    /**
+     * The { type, bypass } of each effect slot, as shown
+     */
+    getEffectSlotList(channelEl) {
+        return Array.from(channelEl.querySelectorAll('.effect-slot'), slot => ({
+            type: slot.querySelector('.effect-type').value,
+            bypass: slot.classList.contains('bypassed')
+        }));
+    }
+
+    /**
+     * Insert an empty effect slot at a position (the slot count appends)
+     */
+    insertEffectSlot(channelEl, position) {
+        const effects = this.getEffectSlotList(channelEl);
+        this.getEffectChainOps(channelEl).insert(position);
+        effects.splice(position, 0, { type: 'none', bypass: false });
+        this.renderEffectSlots(channelEl, effects);
+        this.saveToLocalStorage();
+    }
+
+    /**
+     * Remove an effect slot and its effect
+     */
+    removeEffectSlot(channelEl, position) {
+        const effects = this.getEffectSlotList(channelEl);
+        this.getEffectChainOps(channelEl).remove(position);
+        effects.splice(position, 1);
+        this.renderEffectSlots(channelEl, effects);
+        this.updateTestSignalCalibration();
+        this.saveToLocalStorage();
+    }
+
+    /**
+     * Move an effect slot, keeping its effect and settings
+     */
+    moveEffectSlot(channelEl, from, to) {
+        if (from === to) return;
+        const effects = this.getEffectSlotList(channelEl);
+        this.getEffectChainOps(channelEl).move(from, to);
+        const [moved] = effects.splice(from, 1);
+        effects.splice(to, 0, moved);
+        this.renderEffectSlots(channelEl, effects);
+        this.saveToLocalStorage();
     }
 
     /**
@@ -1039,7 +3390,8 @@ class UIManager {
     updateEffectParams(channelEl, effectIndex, effectType) {
         const effectSlots = channelEl.querySelectorAll('.effect-slot');
         const paramContainer = effectSlots[effectIndex].querySelector('.effect-params');
-        const channelIndex = parseInt(channelEl.dataset.channel);
+        const ops = this.getEffectChainOps(channelEl);
+        const channelIndex = ops.channel;
         
         console.log('updateEffectParams called:', { effectType, channelIndex, effectIndex });
         
@@ -1068,7 +3420,7 @@ class UIManager {
         const params = effect.getParamDefinitions();
         
         // Get actual current values if the effect is already in the chain
-        const actualEffect = this.synth.effectChains[channelIndex][effectIndex];
+        const actualEffect = ops.getEffect(effectIndex);
         
         params.forEach(param => {
             const paramDiv = document.createElement('div');
@@ -1087,25 +3439,27 @@ class UIManager {
             valueSpan.textContent = this.formatParamValue(currentValue, param.step);
             label.appendChild(valueSpan);
             
-            // Add Mod button
-            const modBtn = document.createElement('button');
-            modBtn.className = 'mod-button';
-            modBtn.textContent = 'Mod';
-            modBtn.title = 'Assign LFO modulation';
-            
-            // Check if already modulated
-            if (this.synth.isLFOAssigned(channelIndex, effectIndex, param.name)) {
-                modBtn.classList.add('active');
-                const assignment = this.synth.getLFOAssignment(channelIndex, effectIndex, param.name);
-                modBtn.textContent = `LFO ${assignment.lfoIndex + 1}`;
+            // Add Mod button (channel effects only)
+            if (channelIndex !== null) {
+                const modBtn = document.createElement('button');
+                modBtn.className = 'mod-button';
+                modBtn.textContent = 'Mod';
+                modBtn.title = 'Assign LFO modulation';
+                
+                // Check if already modulated
+                if (this.synth.isLFOAssigned(channelIndex, effectIndex, param.name)) {
+                    modBtn.classList.add('active');
+                    const assignment = this.synth.getLFOAssignment(channelIndex, effectIndex, param.name);
+                    modBtn.textContent = `LFO ${assignment.lfoIndex + 1}`;
+                }
+                
+                modBtn.addEventListener('click', () => {
+                    this.showModPanel(paramDiv, channelIndex, effectIndex, param, modBtn);
+                });
+                
+                label.appendChild(modBtn);
             }
             
-            modBtn.addEventListener('click', () => {
-                this.showModPanel(paramDiv, channelIndex, effectIndex, param, modBtn);
-            });
-            
-            label.appendChild(modBtn);
-            
             const slider = document.createElement('input');
             slider.type = 'range';
             slider.min = param.min;
@@ -1117,7 +3471,7 @@ class UIManager {
             slider.addEventListener('input', (e) => {
                 const value = parseFloat(e.target.value);
                 valueSpan.textContent = this.formatParamValue(value, param.step);
-                this.synth.setEffectParam(channelIndex, effectIndex, param.name, value);
+                ops.setParam(effectIndex, param.name, value);
                 this.saveToLocalStorage();
             });
             
@@ -1395,12 +3749,68 @@ class UIManager {
         masterVol.addEventListener('input', (e) => {
             const vol = parseFloat(e.target.value) / 100;
             this.synth.setMasterVolume(vol);
+            this.updateTestSignalCalibration();
+            this.saveToLocalStorage();
+        });
+        
+        const masterInserts = document.getElementById('master-inserts');
+        masterInserts.querySelector('.add-effect-btn').addEventListener('click', () => {
+            this.insertEffectSlot(masterInserts, masterInserts.querySelectorAll('.effect-slot').length);
+        });
+        
+        const compOn = document.getElementById('master-comp-on');
+        compOn.addEventListener('change', () => {
+            compOn.closest('.master-compressor').classList.toggle('disabled', !compOn.checked);
+            this.synth.setMasterCompressor({ enabled: compOn.checked });
+            this.updateTestSignalCalibration();
             this.saveToLocalStorage();
         });
+        document.querySelectorAll('.master-comp-param').forEach(slider => {
+            slider.addEventListener('input', () => {
+                slider.parentElement.querySelector('.master-comp-val').textContent = slider.value;
+                const scale = parseFloat(slider.dataset.scale || 1);
+                this.synth.setMasterCompressor({ [slider.dataset.param]: parseFloat(slider.value) * scale });
+                this.saveToLocalStorage();
+            });
+        });
         
         // Set up LFO controls
         this.setupLFOControls();
     }
+
+    /**
+     * The master compressor settings, as shown
+     */
+    getMasterCompressorControls() {
+        const settings = { enabled: document.getElementById('master-comp-on').checked };
+        document.querySelectorAll('.master-comp-param').forEach(slider => {
+            settings[slider.dataset.param] = parseFloat(slider.value) * parseFloat(slider.dataset.scale || 1);
+        });
+        return settings;
+    }
+
+    /**
+     * Update the master volume, compressor and inserts from a patch
+     */
+    updateMasterFromState(state) {
+        if (!state.master) return;
+        
+        const masterVol = document.getElementById('master-volume');
+        if (masterVol) masterVol.value = state.master.volume * 100;
+        
+        // Patches from before the master inserts keep the default compressor
+        const compressor = { ...SynthEngine.getDefaultMasterCompressor(), ...state.master.compressor };
+        const compOn = document.getElementById('master-comp-on');
+        compOn.checked = compressor.enabled;
+        compOn.closest('.master-compressor').classList.toggle('disabled', !compressor.enabled);
+        document.querySelectorAll('.master-comp-param').forEach(slider => {
+            const value = compressor[slider.dataset.param] / parseFloat(slider.dataset.scale || 1);
+            slider.value = value;
+            slider.parentElement.querySelector('.master-comp-val').textContent = Math.round(value * 10) / 10;
+        });
+        
+        this.renderEffectSlots(document.getElementById('master-inserts'), state.master.effects || []);
+    }
     
     /**
      * Set up LFO controls
@@ -1477,7 +3887,8 @@ class UIManager {
             { on: true, waveform: 'sine', freq: 110, vol: 50, duty: 50, effects: ['reverb', 'none', 'none'] },
             { on: true, waveform: 'triangle', freq: 111, vol: 40, duty: 50, effects: ['delay', 'none', 'none'] },
             { on: true, waveform: 'sine', freq: 55, vol: 50, duty: 50, effects: ['reverb', 'none', 'none'] },
-            { on: false, waveform: 'sawtooth', freq: 220, vol: 30, duty: 50, effects: ['none', 'none', 'none'] }
+            // Choir-like "oh" an octave above the root
+            { on: true, waveform: 'formant', freq: 220, vol: 30, duty: 50, formantSource: 'pulse', vowel: 0.75, effects: ['reverb', 'none', 'none'] }
         ];
         this.loadPreset(config);
         
@@ -1488,6 +3899,8 @@ class UIManager {
             this.synth.setEffectParam(1, 0, 'time', 0.5);
             this.synth.setEffectParam(1, 0, 'feedback', 0.5);
             this.synth.setEffectParam(2, 0, 'mix', 0.7);
+            this.synth.setEffectParam(3, 0, 'mix', 0.7);
+            this.synth.setEffectParam(3, 0, 'decay', 5);
         }, 100);
     }
 
@@ -1552,7 +3965,8 @@ class UIManager {
     loadMeditationPreset() {
         const config = [
             { on: true, waveform: 'binaural', freq: 200, vol: 60, duty: 50, effects: ['pror', 'none', 'none'] },
-            { on: false, waveform: 'sine', freq: 110, vol: 40, duty: 50, effects: ['none', 'none', 'none'] },
+            // Hummed "oo" voice, switch on for a chant-like layer
+            { on: false, waveform: 'formant', freq: 100, vol: 30, duty: 50, formantSource: 'pulse', vowel: 1, effects: ['reverb', 'none', 'none'] },
             { on: false, waveform: 'noise', freq: 100, vol: 30, duty: 50, effects: ['none', 'none', 'none'] },
             { on: false, waveform: 'sine', freq: 55, vol: 30, duty: 50, effects: ['none', 'none', 'none'] }
         ];
@@ -1560,21 +3974,15 @@ class UIManager {
         
         // Set binaural to theta waves (meditation)
         setTimeout(() => {
-            this.synth.setChannelBinauralBeatFreq(0, 6); // Theta: 6 Hz
+            this.synth.setChannelBinauralPreset(0, 'theta');
             this.synth.setEffectParam(0, 0, 'mix', 0.5);
             this.synth.setEffectParam(0, 0, 'decay', 4);
             this.synth.setEffectParam(0, 0, 'modulation', 0.5);
             
-            // Update UI to show binaural controls
+            // Update UI to show binaural controls with the theta beat
             const channel = document.querySelector('.channel[data-channel="0"]');
             this.handleBinauralControls(channel, 0, 'binaural');
-            
-            // Set beat frequency slider
-            const beatSlider = channel.querySelector('.beat-frequency');
-            if (beatSlider) {
-                beatSlider.value = 6;
-                beatSlider.dispatchEvent(new Event('input'));
-            }
+            this.saveToLocalStorage();
         }, 100);
     }
 
@@ -1595,6 +4003,8 @@ class UIManager {
      * Apply preset configuration to UI and synth
      */
     loadPreset(config) {
+        // Presets replace the whole patch, channel count included
+        this.setChannelStripCount(config.length);
         const channels = document.querySelectorAll('.channel');
         
         config.forEach((chConfig, index) => {
@@ -1609,7 +4019,6 @@ class UIManager {
             const duty = channel.querySelector('.duty');
             const dutyVal = channel.querySelector('.duty-val');
             const vol = channel.querySelector('.volume');
-            const effectSelectors = channel.querySelectorAll('.effect-type');
             
             onToggle.checked = chConfig.on;
             waveform.value = chConfig.waveform;
@@ -1636,15 +4045,20 @@ class UIManager {
             this.synth.setChannelEnabled(index, chConfig.on);
             this.synth.setChannelWaveform(index, chConfig.waveform);
             this.synth.setChannelFrequency(index, chConfig.freq);
+            this.updateFrequencyNote(channel, chConfig.freq);
+            if (chConfig.formantSource) this.synth.setChannelFormantParam(index, 'source', chConfig.formantSource);
+            if (chConfig.vowel !== undefined) this.synth.setChannelFormantParam(index, 'vowel', chConfig.vowel);
+            this.handleFormantControls(channel, index, chConfig.waveform, chConfig);
             this.synth.setChannelDuty(index, chConfig.duty / 100);
             this.synth.setChannelVolume(index, chConfig.vol / 100);
             
-            // Set effects
-            chConfig.effects.forEach((effectType, effectIndex) => {
-                effectSelectors[effectIndex].value = effectType;
-                this.synth.setChannelEffect(index, effectIndex, effectType);
-                this.updateEffectParams(channel, effectIndex, effectType);
+            // Set effects, one slot per effect
+            const effects = chConfig.effects.filter(type => type !== 'none');
+            this.synth.setChannelEffectCount(index, 0);
+            effects.forEach((effectType, effectIndex) => {
+                this.synth.insertChannelEffect(index, effectIndex, effectType);
             });
+            this.renderEffectSlots(channel, effects.map(type => ({ type, bypass: false })));
         });
         
         this.saveToLocalStorage();
@@ -1803,6 +4217,182 @@ class UIManager {
         };
     }
 
+    /**
+     * Set up MIDI voice allocation controls (play channel, polyphony, stealing)
+     */
+    setupVoiceControls() {
+        const channelSelect = document.getElementById('voice-channel');
+        const polySlider = document.getElementById('voice-polyphony');
+        const polyVal = document.getElementById('voice-polyphony-val');
+        const stealSelect = document.getElementById('voice-steal-mode');
+        
+        if (channelSelect) {
+            channelSelect.addEventListener('change', (e) => {
+                this.synth.setVoiceChannel(parseInt(e.target.value));
+                this.saveToLocalStorage();
+            });
+        }
+        
+        if (polySlider) {
+            polySlider.addEventListener('input', (e) => {
+                const count = parseInt(e.target.value);
+                if (polyVal) polyVal.textContent = count;
+                this.synth.setPolyphony(count);
+                this.saveToLocalStorage();
+            });
+        }
+        
+        if (stealSelect) {
+            stealSelect.addEventListener('change', (e) => {
+                this.synth.setVoiceStealMode(e.target.value);
+                this.saveToLocalStorage();
+            });
+        }
+    }
+    
+    /**
+     * Reflect voice settings from a patch in the voice controls
+     */
+    updateVoiceControls(voices) {
+        const channelSelect = document.getElementById('voice-channel');
+        const polySlider = document.getElementById('voice-polyphony');
+        const polyVal = document.getElementById('voice-polyphony-val');
+        const stealSelect = document.getElementById('voice-steal-mode');
+        
+        if (channelSelect && voices.channel !== undefined) channelSelect.value = voices.channel;
+        if (polySlider && voices.polyphony !== undefined) {
+            polySlider.value = voices.polyphony;
+            if (polyVal) polyVal.textContent = voices.polyphony;
+        }
+        if (stealSelect && voices.stealMode) stealSelect.value = voices.stealMode;
+        
+        // Engine settings don't depend on the audio context, apply them right away
+        this.synth.voiceManager.loadState(voices);
+    }
+
+    /**
+     * Set up tuning controls (temperament, reference pitch, Scala import, snapping)
+     */
+    setupTuningControls() {
+        const tuningSelect = document.getElementById('tuning-select');
+        const refFreq = document.getElementById('tuning-ref-freq');
+        const fileInput = document.getElementById('tuning-file');
+        const snapCheck = document.getElementById('tuning-snap');
+        const clearKbm = document.getElementById('tuning-clear-kbm');
+        const tuning = this.synth.tuning;
+        
+        if (tuningSelect) {
+            TuningSystem.getBuiltinTunings().forEach(t => {
+                const option = document.createElement('option');
+                option.value = t.id;
+                option.textContent = t.name;
+                tuningSelect.appendChild(option);
+            });
+            tuningSelect.addEventListener('change', (e) => {
+                if (e.target.value === 'custom') return;
+                tuning.setTuning(e.target.value);
+                this.refreshTuningControls();
+                this.saveToLocalStorage();
+            });
+        }
+        
+        if (refFreq) {
+            refFreq.addEventListener('change', (e) => {
+                const freq = parseFloat(e.target.value);
+                if (freq > 0) tuning.setReferenceFrequency(freq);
+                this.refreshTuningControls();
+                this.saveToLocalStorage();
+            });
+        }
+        
+        if (fileInput) {
+            fileInput.addEventListener('change', async (e) => {
+                // Load the scale first so a .kbm picked together with it applies on top
+                const files = Array.from(e.target.files)
+                    .sort((a, b) => (a.name.toLowerCase().endsWith('.kbm') ? 1 : 0) - (b.name.toLowerCase().endsWith('.kbm') ? 1 : 0));
+                for (const file of files) {
+                    try {
+                        const text = await file.text();
+                        if (file.name.toLowerCase().endsWith('.kbm')) {
+                            tuning.loadKbm(text);
+                        } else {
+                            tuning.loadScl(text);
+                        }
+                        this.showToast(`Loaded ${file.name}`, 'info');
+                    } catch (err) {
+                        console.error('Failed to load Scala file:', err);
+                        this.showToast(`${file.name}: ${err.message}`, 'error');
+                    }
+                }
+                fileInput.value = '';
+                this.refreshTuningControls();
+                this.saveToLocalStorage();
+            });
+        }
+        
+        if (snapCheck) {
+            snapCheck.addEventListener('change', (e) => {
+                tuning.snap = e.target.checked;
+                this.saveToLocalStorage();
+            });
+        }
+        
+        if (clearKbm) {
+            clearKbm.addEventListener('click', () => {
+                tuning.clearKeyboardMap();
+                this.refreshTuningControls();
+                this.saveToLocalStorage();
+            });
+        }
+        
+        this.refreshTuningControls();
+    }
+    
+    /**
+     * Reflect tuning settings from a patch in the tuning controls
+     */
+    updateTuningControls(tuningState) {
+        this.synth.tuning.loadState(tuningState);
+        this.refreshTuningControls();
+    }
+    
+    /**
+     * Show the current tuning in its controls and in every channel's note readout
+     */
+    refreshTuningControls() {
+        const tuning = this.synth.tuning;
+        const tuningSelect = document.getElementById('tuning-select');
+        const refNote = document.getElementById('tuning-ref-note');
+        const refFreq = document.getElementById('tuning-ref-freq');
+        const status = document.getElementById('tuning-status');
+        const snapCheck = document.getElementById('tuning-snap');
+        
+        if (tuningSelect) {
+            let custom = tuningSelect.querySelector('option[value="custom"]');
+            if (tuning.tuningId === 'custom') {
+                if (!custom) {
+                    custom = document.createElement('option');
+                    custom.value = 'custom';
+                    tuningSelect.appendChild(custom);
+                }
+                custom.textContent = `Scala: ${tuning.scale.name}`;
+            } else if (custom) {
+                custom.remove();
+            }
+            tuningSelect.value = tuning.tuningId;
+        }
+        if (refNote) refNote.textContent = `${tuning.referenceNote} (${tuning.getNoteName(tuning.referenceNote)})`;
+        if (refFreq) refFreq.value = parseFloat(tuning.referenceFreq.toFixed(2));
+        if (snapCheck) snapCheck.checked = tuning.snap;
+        if (status) {
+            const notes = tuning.scale.degrees.length;
+            status.textContent = `${notes} notes per ${tuning.scale.degrees[notes - 1].toFixed(1)}¢, ` +
+                (tuning.keyboardMap ? `keyboard mapping of ${tuning.keyboardMap.size} keys` : 'no keyboard mapping');
+        }
+        
+        document.querySelectorAll('.channel').forEach(channelEl => this.updateFrequencyNote(channelEl));
+    }
+
     /**
      * Set up the audio visualizer with toggle between waveform and spectrum
      */
@@ -1883,6 +4473,7 @@ class UIManager {
             // Check if audio is actually started before continuing
             if (!this.synth.isAudioStarted) {
                 this.visFrameRequest = null;
+                this.updateChannelMeters();
                 // Final clear
                 ctx.fillStyle = '#1a1a2e';
                 ctx.fillRect(0, 0, canvas.width, canvas.height);
@@ -1915,13 +4506,52 @@ class UIManager {
                 drawSpectrum(analyser, dataArray, bufferLength);
             }
 
+            // Current sweep frequencies, also marked on the spectrum
+            this.updateSweepMarker(ctx, canvas, mode === 'spectrum' ? analyser : null);
+
             // Update LFO visualization
             this.updateLFOMeters();
+            this.updateChannelMeters();
         };
         
         this.drawVisualizer();
     }
 
+    /**
+     * Show the current frequency of every playing sweep next to the visualizer
+     * @param {AnalyserNode|null} analyser - Given in spectrum mode to draw a marker line
+     */
+    updateSweepMarker(ctx, canvas, analyser) {
+        const marker = document.getElementById('sweep-marker');
+        const sweeps = [];
+        this.synth.generators.forEach((gen, i) => {
+            const freq = gen && gen.getCurrentFrequency ? gen.getCurrentFrequency() : null;
+            if (freq !== null) sweeps.push({ channel: i, freq });
+        });
+        
+        if (marker) {
+            marker.textContent = sweeps.map(s => {
+                const shown = s.freq >= 1000 ? `${(s.freq / 1000).toFixed(2)} kHz` : `${Math.round(s.freq)} Hz`;
+                return `CH${s.channel + 1} ▸ ${shown}`;
+            }).join('   ');
+        }
+        
+        if (!analyser || sweeps.length === 0) return;
+        
+        // Spectrum bars run linearly from 0 Hz to Nyquist
+        const nyquist = analyser.context.sampleRate / 2;
+        ctx.shadowBlur = 0;
+        ctx.strokeStyle = '#ffd166';
+        ctx.lineWidth = 1;
+        sweeps.forEach(s => {
+            const x = Math.round((s.freq / nyquist) * canvas.width) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, canvas.height);
+            ctx.stroke();
+        });
+    }
+
     /**
      * Update LFO visual indicators
      */
@@ -1938,6 +4568,31 @@ class UIManager {
         });
     }
 
+    /**
+     * Update the channel level meters: RMS bar, peak marker (falling back
+     * slowly) and peak readout, on a -60 to 0 dBFS scale
+     */
+    updateChannelMeters() {
+        if (!this.meterPeaks) this.meterPeaks = [];
+        const toPercent = (level) => {
+            const db = 20 * Math.log10(Math.max(level, 1e-6));
+            return Math.max(0, Math.min(100, (db + 60) / 60 * 100));
+        };
+        
+        document.querySelectorAll('.channel').forEach((channelEl, i) => {
+            const levels = this.synth.getChannelLevels(i);
+            const peak = levels ? Math.max(levels.peak, (this.meterPeaks[i] || 0) * 0.95) : 0;
+            this.meterPeaks[i] = peak;
+            
+            channelEl.querySelector('.meter-rms').style.width = `${levels ? toPercent(levels.rms) : 0}%`;
+            channelEl.querySelector('.meter-peak').style.left = `${toPercent(peak)}%`;
+            
+            const readout = channelEl.querySelector('.meter-val');
+            readout.textContent = peak > 1e-6 ? `${(20 * Math.log10(peak)).toFixed(1)} dB` : '-∞ dB';
+            readout.classList.toggle('clipping', peak >= 1);
+        });
+    }
+
     /**
      * Initialize MIDI Learn for a control
      */
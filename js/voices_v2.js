@@ -0,0 +1,319 @@
+/**
+ * Voice Module
+ * Amplitude envelopes and polyphonic voice allocation for MIDI notes.
+ * Every note gets its own generator (built by GeneratorFactory with the
+ * target channel's current sound) and envelope, routed into that channel's
+ * gain node, so all voices share the channel's effect chain, fader and sends.
+ */
+
+/**
+ * Attack/Decay/Sustain/Release amplitude envelope on a single GainNode
+ */
+class ADSREnvelope {
+    /**
+     * @param {AudioContext} audioContext
+     * @param {Object} settings - { attack, decay, sustain, release } (seconds, sustain 0-1)
+     */
+    constructor(audioContext, settings) {
+        this.audioContext = audioContext;
+        this.node = this.audioContext.createGain();
+        this.node.gain.value = 0;
+
+        const defaults = ADSREnvelope.getDefaultSettings();
+        this.attack = defaults.attack;
+        this.decay = defaults.decay;
+        this.sustain = defaults.sustain;
+        this.release = defaults.release;
+        if (settings) this.setSettings(settings);
+    }
+
+    /**
+     * Defaults are short enough to sound like the old fixed fades
+     */
+    static getDefaultSettings() {
+        return { attack: 0.01, decay: 0.1, sustain: 1.0, release: 0.05 };
+    }
+
+    setSettings(settings) {
+        if (settings.attack !== undefined) this.attack = Math.max(0.001, settings.attack);
+        if (settings.decay !== undefined) this.decay = Math.max(0.001, settings.decay);
+        if (settings.sustain !== undefined) this.sustain = Math.max(0, Math.min(1, settings.sustain));
+        if (settings.release !== undefined) this.release = Math.max(0.001, settings.release);
+    }
+
+    getSettings() {
+        return { attack: this.attack, decay: this.decay, sustain: this.sustain, release: this.release };
+    }
+
+    /**
+     * Freeze the gain at its current value so a new stage starts from there
+     */
+    holdAt(time) {
+        const gain = this.node.gain;
+        if (gain.cancelAndHoldAtTime) {
+            gain.cancelAndHoldAtTime(time);
+        } else {
+            const value = gain.value;
+            gain.cancelScheduledValues(time);
+            gain.setValueAtTime(value, time);
+        }
+    }
+
+    /**
+     * Start the attack and decay stages
+     * @param {number} peak - Level reached at the end of the attack (e.g. velocity)
+     */
+    triggerAttack(peak = 1) {
+        const now = this.audioContext.currentTime;
+        const gain = this.node.gain;
+        this.holdAt(now);
+        gain.linearRampToValueAtTime(peak, now + this.attack);
+        // Exponential approach, ~98% of the way after the decay time
+        gain.setTargetAtTime(peak * this.sustain, now + this.attack, this.decay / 4);
+    }
+
+    /**
+     * Start the release stage
+     * @param {number} time - Override the release time (used for fast voice stealing)
+     * @returns {number} Seconds until the envelope is effectively silent
+     */
+    triggerRelease(time = this.release) {
+        const now = this.audioContext.currentTime;
+        this.holdAt(now);
+        this.node.gain.setTargetAtTime(0, now, time / 4);
+        return time * 1.25;
+    }
+
+    /**
+     * Current envelope level (0-1)
+     */
+    getLevel() {
+        return this.node.gain.value;
+    }
+
+    getInput() { return this.node; }
+    getOutput() { return this.node; }
+
+    connect(destination) { this.node.connect(destination); }
+
+    disconnect() {
+        try { this.node.disconnect(); } catch (e) {}
+    }
+}
+
+class VoiceManager {
+    /**
+     * Create a voice manager
+     * @param {SynthEngine} synthEngine - The engine that owns the channels
+     */
+    constructor(synthEngine) {
+        this.synth = synthEngine;
+        this.voices = [];
+
+        this.maxPolyphony = 16;
+        this.polyphony = 8;
+        this.stealMode = 'oldest'; // 'oldest' | 'quietest' | 'lowest'
+        this.channel = 0;          // Channel whose sound and effects the voices use
+        this.bendFactor = 1;
+
+        // Release time (seconds) for a stolen or retriggered voice
+        this.stealTime = 0.02;
+    }
+
+    /**
+     * Start a voice for a note
+     * @param {number} note - MIDI note number (0-127)
+     * @param {number} frequency - Note frequency in Hz
+     * @param {number} velocity - Normalized velocity (0-1)
+     * @returns {Object|null} The new voice
+     */
+    noteOn(note, frequency, velocity) {
+        const synth = this.synth;
+        if (!synth.isAudioStarted || !synth.audioContext) return null;
+
+        const channel = this.channel;
+        const settings = synth.channelSettings[channel];
+        const channelGain = synth.channelGains[channel];
+        if (!settings || !channelGain) return null;
+
+        // A repeated note replaces its previous voice
+        this.getActiveVoices()
+            .filter(v => v.note === note)
+            .forEach(v => this.releaseVoice(v, this.stealTime));
+
+        this.enforcePolyphony(this.polyphony - 1);
+
+        const ctx = synth.audioContext;
+        const generator = GeneratorFactory.create(settings.waveform, ctx);
+
+        // Clone the channel generator's current sound onto the voice
+        const source = synth.generators[channel];
+        if (source) {
+            synth.applyGeneratorState(generator, synth.serializeGenerator(source, settings.waveform));
+        }
+        synth.applyFrequency(generator, frequency * this.bendFactor);
+        // Full level, the channel fader applies the channel volume
+        generator.setVolume(1);
+
+        // Per-voice envelope uses the channel's ADSR, with velocity as its peak
+        const envelope = new ADSREnvelope(ctx, settings.envelope);
+        envelope.connect(channelGain);
+        generator.start(envelope.getInput());
+        envelope.triggerAttack(velocity);
+
+        const voice = {
+            note,
+            frequency,
+            velocity,
+            channel,
+            generator,
+            envelope,
+            startTime: ctx.currentTime,
+            releasing: false
+        };
+        this.voices.push(voice);
+        return voice;
+    }
+
+    /**
+     * Release every voice playing a note
+     * @param {number} note - MIDI note number (0-127)
+     */
+    noteOff(note) {
+        this.getActiveVoices()
+            .filter(v => v.note === note)
+            .forEach(v => this.releaseVoice(v));
+    }
+
+    /**
+     * Release all voices
+     * @param {boolean} immediate - Tear down without a fade (used when the engine stops)
+     */
+    allNotesOff(immediate = false) {
+        [...this.voices].forEach(v => {
+            if (immediate) {
+                this.destroyVoice(v);
+            } else if (!v.releasing) {
+                this.releaseVoice(v);
+            }
+        });
+    }
+
+    /**
+     * Voices that are sounding and not already fading out
+     */
+    getActiveVoices() {
+        return this.voices.filter(v => !v.releasing);
+    }
+
+    /**
+     * Run a voice's release stage and destroy it once silent
+     * @param {Object} voice
+     * @param {number} time - Release time override, defaults to the envelope's own
+     */
+    releaseVoice(voice, time) {
+        if (voice.releasing) return;
+        voice.releasing = true;
+
+        if (!this.synth.audioContext) {
+            this.destroyVoice(voice);
+            return;
+        }
+
+        let duration = voice.envelope.triggerRelease(time);
+        // Generators with internal envelopes (e.g. FM operators) release too
+        if (voice.generator.noteOff && time === undefined) {
+            duration = Math.max(duration, voice.generator.noteOff());
+        }
+        voice.cleanupTimer = setTimeout(() => this.destroyVoice(voice), duration * 1000 + 20);
+    }
+
+    destroyVoice(voice) {
+        if (voice.cleanupTimer) clearTimeout(voice.cleanupTimer);
+        try { voice.generator.destroy(); } catch (e) {}
+        voice.envelope.disconnect();
+
+        const idx = this.voices.indexOf(voice);
+        if (idx !== -1) this.voices.splice(idx, 1);
+    }
+
+    /**
+     * Steal voices until no more than `limit` are sounding
+     */
+    enforcePolyphony(limit) {
+        let active = this.getActiveVoices();
+        while (active.length > Math.max(0, limit)) {
+            this.releaseVoice(this.pickVoiceToSteal(active), this.stealTime);
+            active = this.getActiveVoices();
+        }
+    }
+
+    /**
+     * Choose the voice to sacrifice according to the steal mode
+     */
+    pickVoiceToSteal(candidates) {
+        const byAge = (a, b) => a.startTime - b.startTime;
+        const sorted = [...candidates].sort((a, b) => {
+            switch (this.stealMode) {
+                case 'quietest':
+                    return (a.envelope.getLevel() - b.envelope.getLevel()) || byAge(a, b);
+                case 'lowest':
+                    return (a.frequency - b.frequency) || byAge(a, b);
+                case 'oldest':
+                default:
+                    return byAge(a, b);
+            }
+        });
+        return sorted[0];
+    }
+
+    /**
+     * Apply a pitch bend factor to all sounding voices
+     * @param {number} factor - Frequency multiplier (1 = no bend)
+     */
+    setPitchBend(factor) {
+        this.bendFactor = factor;
+        this.voices.forEach(v => {
+            this.synth.applyFrequency(v.generator, v.frequency * factor);
+        });
+    }
+
+    setPolyphony(count) {
+        const n = parseInt(count);
+        if (isNaN(n)) return;
+        this.polyphony = Math.max(1, Math.min(this.maxPolyphony, n));
+        this.enforcePolyphony(this.polyphony);
+    }
+
+    setStealMode(mode) {
+        if (['oldest', 'quietest', 'lowest'].includes(mode)) {
+            this.stealMode = mode;
+        }
+    }
+
+    setChannel(index) {
+        const n = parseInt(index);
+        if (isNaN(n) || n < 0 || n >= this.synth.channelSettings.length) return;
+        this.channel = n;
+    }
+
+    getState() {
+        return {
+            channel: this.channel,
+            polyphony: this.polyphony,
+            stealMode: this.stealMode
+        };
+    }
+
+    loadState(state) {
+        if (!state) return;
+        if (state.channel !== undefined) this.setChannel(state.channel);
+        if (state.polyphony !== undefined) this.setPolyphony(state.polyphony);
+        if (state.stealMode) this.setStealMode(state.stealMode);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ADSREnvelope, VoiceManager };
+}
@@ -0,0 +1,124 @@
+/**
+ * Additive AudioWorklet Processor
+ *
+ * Sums up to 64 sine partials, each with its own amplitude, frequency ratio
+ * and phase offset. Partials arrive via a 'setPartials' message; amplitudes
+ * glide to their new values so drawing in the harmonic editor does not click.
+ * Partials at or above Nyquist fade out instead of aliasing.
+ */
+
+const MAX_PARTIALS = 64;
+const SINE_TABLE_SIZE = 4096;
+
+class AdditiveProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            {
+                name: 'frequency',
+                defaultValue: 440,
+                minValue: 0,
+                maxValue: 20000,
+                automationRate: 'k-rate'
+            }
+        ];
+    }
+
+    constructor() {
+        super();
+
+        // Sine lookup with a guard point for interpolation
+        this.sine = new Float32Array(SINE_TABLE_SIZE + 1);
+        for (let i = 0; i <= SINE_TABLE_SIZE; i++) {
+            this.sine[i] = Math.sin(2 * Math.PI * i / SINE_TABLE_SIZE);
+        }
+
+        this.count = 0;
+        this.ratios = new Float32Array(MAX_PARTIALS);
+        this.phaseOffsets = new Float32Array(MAX_PARTIALS);
+        this.targetAmps = new Float32Array(MAX_PARTIALS);
+        this.amps = new Float32Array(MAX_PARTIALS);
+        this.phases = new Float64Array(MAX_PARTIALS);
+
+        // One-pole amplitude smoothing (~10 ms)
+        this.ampCoef = 1 - Math.exp(-1 / (0.01 * sampleRate));
+
+        this.alive = true;
+
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'setPartials') {
+                this.setPartials(event.data.partials);
+            } else if (event.data.type === 'stop') {
+                this.alive = false;
+            }
+        };
+    }
+
+    /**
+     * @param {Array<{amp: number, ratio: number, phase: number}>} partials - phase in cycles (0-1)
+     */
+    setPartials(partials) {
+        const count = Math.min(MAX_PARTIALS, partials.length);
+        // Keep the sum at or below full scale
+        let total = 0;
+        for (let k = 0; k < count; k++) total += Math.abs(partials[k].amp);
+        const norm = 1 / Math.max(1, total);
+
+        for (let k = 0; k < MAX_PARTIALS; k++) {
+            if (k < count) {
+                this.ratios[k] = partials[k].ratio;
+                this.phaseOffsets[k] = partials[k].phase;
+                this.targetAmps[k] = partials[k].amp * norm;
+            } else {
+                this.targetAmps[k] = 0;
+            }
+        }
+        this.count = Math.max(this.count, count);
+    }
+
+    process(inputs, outputs, parameters) {
+        const output = outputs[0];
+        if (!output || !output[0]) return this.alive;
+        const numChannels = output.length;
+        const numSamples = output[0].length;
+
+        const frequency = parameters.frequency[0];
+        const nyquist = sampleRate / 2;
+        const sine = this.sine;
+        const coef = this.ampCoef;
+        const left = output[0];
+        left.fill(0);
+
+        for (let k = 0; k < this.count; k++) {
+            const partialFreq = frequency * this.ratios[k];
+            const target = partialFreq < nyquist ? this.targetAmps[k] : 0;
+            let amp = this.amps[k];
+            if (target === 0 && amp < 1e-6) {
+                this.amps[k] = 0;
+                continue;
+            }
+
+            const inc = partialFreq / sampleRate;
+            const offset = this.phaseOffsets[k];
+            let phase = this.phases[k];
+            for (let i = 0; i < numSamples; i++) {
+                amp += (target - amp) * coef;
+                let p = phase + offset;
+                p -= Math.floor(p);
+                const idx = p * SINE_TABLE_SIZE;
+                const i0 = idx | 0;
+                const s = sine[i0] + (idx - i0) * (sine[i0 + 1] - sine[i0]);
+                left[i] += amp * s;
+                phase += inc;
+            }
+            this.phases[k] = phase - Math.floor(phase);
+            this.amps[k] = amp;
+        }
+
+        for (let ch = 1; ch < numChannels; ch++) {
+            output[ch].set(left);
+        }
+        return this.alive;
+    }
+}
+
+registerProcessor('additive-processor', AdditiveProcessor);
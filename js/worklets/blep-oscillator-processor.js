@@ -0,0 +1,158 @@
+/**
+ * Band-limited Oscillator AudioWorklet Processor
+ *
+ * Sawtooth, pulse, triangle and sine with polyBLEP-corrected discontinuities,
+ * audio-rate pulse width (dutyCycle) and hard sync: the oscillator runs at
+ * frequency * syncRatio and restarts its cycle every period of the master
+ * frequency, so sweeping syncRatio gives the classic sync sweep.
+ *
+ * Output is delayed by one sample so each step can be corrected on both sides.
+ */
+
+class BlepOscillatorProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            {
+                name: 'frequency',
+                defaultValue: 440,  // Master frequency
+                minValue: 0,
+                maxValue: 20000,
+                automationRate: 'k-rate'
+            },
+            {
+                name: 'detune',
+                defaultValue: 0,    // Cents
+                minValue: -2400,
+                maxValue: 2400,
+                automationRate: 'k-rate'
+            },
+            {
+                name: 'dutyCycle',
+                defaultValue: 0.5,  // Clamped to 0.01-0.99 while playing
+                minValue: 0,
+                maxValue: 1,
+                automationRate: 'a-rate'
+            },
+            {
+                name: 'syncRatio',
+                defaultValue: 1,    // 1 = no sync, clamped to 1-16 while playing
+                minValue: 0,
+                maxValue: 16,
+                automationRate: 'a-rate'
+            }
+        ];
+    }
+
+    constructor(options) {
+        super();
+        const opts = (options && options.processorOptions) || {};
+        this.waveform = opts.waveform || 'sawtooth';
+        this.phase = opts.phase || 0;     // Oscillator phase (0-1)
+        this.masterPhase = this.phase;    // Sync master phase (0-1)
+        this.held = 0;                    // Previous sample, output once its corrections are in
+        this.correction = 0;              // Correction for the sample being computed
+        this.alive = true;
+
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'setWaveform') {
+                this.waveform = event.data.waveform;
+            } else if (event.data.type === 'stop') {
+                this.alive = false;
+            }
+        };
+    }
+
+    /**
+     * Naive waveform value at a phase
+     */
+    valueAt(phase, duty) {
+        switch (this.waveform) {
+            case 'sine':
+                return Math.sin(2 * Math.PI * phase);
+            case 'triangle':
+                return phase < 0.5 ? 4 * phase - 1 : 3 - 4 * phase;
+            case 'square':
+                // Centered so pulse width changes do not shift the DC level
+                return (phase < duty ? 1 : -1) - (2 * duty - 1);
+            case 'sawtooth':
+            default:
+                return 2 * phase - 1;
+        }
+    }
+
+    /**
+     * PolyBLEP for a step of height h, x samples (0-1) before the current sample:
+     * the held sample gets (h/2) x^2, the current one -(h/2) (1 - x)^2
+     */
+    addStep(h, x) {
+        this.held += 0.5 * h * x * x;
+        this.correction -= 0.5 * h * (1 - x) * (1 - x);
+    }
+
+    process(inputs, outputs, parameters) {
+        const output = outputs[0];
+        if (!output || !output[0]) return this.alive;
+        const numChannels = output.length;
+        const numSamples = output[0].length;
+
+        const frequency = parameters.frequency[0] * Math.pow(2, parameters.detune[0] / 1200);
+        const masterInc = Math.min(0.5, frequency / sampleRate);
+        const dutyParam = parameters.dutyCycle;
+        const syncParam = parameters.syncRatio;
+        const isSquare = this.waveform === 'square';
+        const out = output[0];
+
+        for (let i = 0; i < numSamples; i++) {
+            // Modulation inputs can push these past their useful range
+            const duty = Math.max(0.01, Math.min(0.99, dutyParam.length > 1 ? dutyParam[i] : dutyParam[0]));
+            const ratio = Math.max(1, syncParam.length > 1 ? syncParam[i] : syncParam[0]);
+            const inc = Math.min(0.5, masterInc * ratio);
+
+            this.correction = 0;
+
+            let phase = this.phase;
+            let synced = false;
+            if (ratio > 1.0001) {
+                this.masterPhase += masterInc;
+                if (this.masterPhase >= 1) {
+                    this.masterPhase -= 1;
+                    const x = this.masterPhase / masterInc;
+                    // Where the oscillator was when the master restarted it
+                    let atSync = phase + inc * (1 - x);
+                    atSync -= Math.floor(atSync);
+                    this.addStep(this.valueAt(0, duty) - this.valueAt(atSync, duty), x);
+                    phase = inc * x;
+                    synced = true;
+                }
+            } else {
+                this.masterPhase = phase;
+            }
+
+            if (!synced) {
+                const next = phase + inc;
+                if (isSquare && phase < duty && next >= duty) {
+                    this.addStep(-2, (next - duty) / inc);
+                }
+                if (next >= 1) {
+                    phase = next - 1;
+                    const x = phase / inc;
+                    this.addStep(this.valueAt(0, duty) - this.valueAt(1 - 1e-9, duty), x);
+                    if (isSquare && phase >= duty) this.addStep(-2, (phase - duty) / inc);
+                } else {
+                    phase = next;
+                }
+            }
+            this.phase = phase;
+
+            out[i] = this.held;
+            this.held = this.valueAt(phase, duty) + this.correction;
+        }
+
+        for (let ch = 1; ch < numChannels; ch++) {
+            output[ch].set(out);
+        }
+        return this.alive;
+    }
+}
+
+registerProcessor('blep-oscillator-processor', BlepOscillatorProcessor);
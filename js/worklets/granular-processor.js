@@ -0,0 +1,253 @@
+/**
+ * Granular AudioWorklet Processor
+ *
+ * Cloud generator for the Granular synthesizer.
+ * Records its input into a circular buffer and spawns Hann-windowed grains
+ * from it, each with a randomized start position (spray), playback rate
+ * (pitch variation) and equal-power pan (stereo spread).
+ *
+ * When a sample is loaded (via a 'setSample' message) grains are taken from
+ * the sample instead, around a playhead that scans through it.
+ */
+
+class GranularProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            {
+                name: 'density',
+                defaultValue: 20,   // grains per second
+                minValue: 1,
+                maxValue: 200,
+                automationRate: 'k-rate'
+            },
+            {
+                name: 'grainSize',
+                defaultValue: 0.05, // seconds
+                minValue: 0.005,
+                maxValue: 0.5,
+                automationRate: 'k-rate'
+            },
+            {
+                name: 'spray',
+                defaultValue: 0.1,  // seconds of start position jitter
+                minValue: 0,
+                maxValue: 0.5,
+                automationRate: 'k-rate'
+            },
+            {
+                name: 'pitchVariation',
+                defaultValue: 0,    // +/- cents per grain
+                minValue: 0,
+                maxValue: 1200,
+                automationRate: 'k-rate'
+            },
+            {
+                name: 'stereoSpread',
+                defaultValue: 0,    // 0 = mono, 1 = full left/right
+                minValue: 0,
+                maxValue: 1,
+                automationRate: 'k-rate'
+            },
+            {
+                name: 'position',
+                defaultValue: 0,    // Sample mode: playhead jump target (0-1)
+                minValue: 0,
+                maxValue: 1,
+                automationRate: 'k-rate'
+            },
+            {
+                name: 'scanRate',
+                defaultValue: 1,    // Sample mode: playhead speed, 1 = real time
+                minValue: -4,
+                maxValue: 4,
+                automationRate: 'k-rate'
+            },
+            {
+                name: 'freeze',
+                defaultValue: 0,    // Sample mode: 1 holds the playhead
+                minValue: 0,
+                maxValue: 1,
+                automationRate: 'k-rate'
+            },
+            {
+                name: 'pitch',
+                defaultValue: 1,    // Sample mode: grain playback rate
+                minValue: 0.0625,
+                maxValue: 16,
+                automationRate: 'k-rate'
+            }
+        ];
+    }
+
+    constructor() {
+        super();
+
+        // Two seconds of history covers maximum spray plus a pitched-up grain
+        this.bufferSize = Math.ceil(sampleRate * 2);
+        this.buffer = new Float32Array(this.bufferSize);
+        this.writeIndex = 0;
+        this.filled = 0;
+
+        // Grain pool
+        this.maxGrains = 64;
+        this.grains = [];
+        for (let i = 0; i < this.maxGrains; i++) {
+            this.grains.push({ active: false, position: 0, rate: 1, phase: 0, phaseInc: 0, gainL: 0, gainR: 0 });
+        }
+
+        this.samplesToNextGrain = 0;
+
+        // Sample mode
+        this.sample = null;
+        this.playhead = 0;
+        this.lastPosition = -1;
+
+        this.alive = true;
+
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'setSample') {
+                this.sample = event.data.data;
+                this.playhead = 0;
+                this.lastPosition = -1;
+            } else if (event.data.type === 'clearSample') {
+                this.sample = null;
+            } else if (event.data.type === 'stop') {
+                this.alive = false;
+            }
+        };
+    }
+
+    /**
+     * Linear interpolation read from the circular buffer
+     */
+    readBuffer(position) {
+        const intPos = Math.floor(position);
+        const frac = position - intPos;
+        const s1 = this.buffer[((intPos % this.bufferSize) + this.bufferSize) % this.bufferSize];
+        const s2 = this.buffer[(((intPos + 1) % this.bufferSize) + this.bufferSize) % this.bufferSize];
+        return s1 + frac * (s2 - s1);
+    }
+
+    /**
+     * Linear interpolation read from the loaded sample (wraps around)
+     */
+    readSample(position) {
+        const len = this.sample.length;
+        const intPos = Math.floor(position);
+        const frac = position - intPos;
+        const s1 = this.sample[((intPos % len) + len) % len];
+        const s2 = this.sample[(((intPos + 1) % len) + len) % len];
+        return s1 + frac * (s2 - s1);
+    }
+
+    /**
+     * Start a grain with randomized position, pitch and pan
+     */
+    triggerGrain(grainSize, spray, pitchVariation, stereoSpread, pitch) {
+        const grain = this.grains.find(g => !g.active);
+        if (!grain) return;
+
+        const grainSamples = Math.max(1, Math.floor(grainSize * sampleRate));
+        const cents = (Math.random() * 2 - 1) * pitchVariation;
+        const sprayOffset = Math.random() * spray * sampleRate;
+
+        if (this.sample) {
+            // Sample mode: spray scatters grains on either side of the playhead
+            grain.rate = pitch * Math.pow(2, cents / 1200);
+            grain.position = this.playhead + sprayOffset - spray * sampleRate / 2;
+        } else {
+            // The grain ends `delay` samples behind the write head, so it never reads unwritten audio
+            const rate = Math.pow(2, cents / 1200);
+            const delay = Math.min(1 + sprayOffset, this.filled - grainSamples * rate - 1);
+            if (delay < 1) return;
+            grain.rate = rate;
+            grain.position = this.writeIndex - delay - grainSamples * rate;
+        }
+
+        // Equal-power pan
+        const pan = (Math.random() * 2 - 1) * stereoSpread;
+        const angle = (pan + 1) * Math.PI / 4;
+
+        grain.active = true;
+        grain.phase = 0;
+        grain.phaseInc = 1 / grainSamples;
+        grain.gainL = Math.cos(angle);
+        grain.gainR = Math.sin(angle);
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        if (!output || !output[0]) return this.alive;
+
+        const left = output[0];
+        const right = output[1] || output[0];
+        const inData = input && input[0];
+        const numSamples = left.length;
+
+        const density = parameters.density[0];
+        const grainSize = parameters.grainSize[0];
+        const spray = parameters.spray[0];
+        const pitchVariation = parameters.pitchVariation[0];
+        const stereoSpread = parameters.stereoSpread[0];
+        const pitch = parameters.pitch[0];
+        const sample = this.sample;
+
+        if (sample) {
+            // A moved position control makes the playhead jump there
+            const position = parameters.position[0];
+            if (position !== this.lastPosition) {
+                this.playhead = position * sample.length;
+                this.lastPosition = position;
+            }
+        }
+        const scanStep = sample && parameters.freeze[0] < 0.5 ? parameters.scanRate[0] : 0;
+
+        const interval = sampleRate / density;
+        // Keep the level steady as grains overlap more
+        const norm = 1 / Math.sqrt(Math.max(1, density * grainSize));
+
+        for (let i = 0; i < numSamples; i++) {
+            this.buffer[this.writeIndex % this.bufferSize] = inData ? inData[i] : 0;
+            this.writeIndex++;
+            if (this.filled < this.bufferSize) this.filled++;
+
+            if (sample) {
+                this.playhead = (this.playhead + scanStep + sample.length) % sample.length;
+            }
+
+            if (--this.samplesToNextGrain <= 0) {
+                this.triggerGrain(grainSize, spray, pitchVariation, stereoSpread, pitch);
+                // Slight jitter avoids a buzz at the grain rate
+                this.samplesToNextGrain = interval * (0.9 + Math.random() * 0.2);
+            }
+
+            let outL = 0;
+            let outR = 0;
+            for (let g = 0; g < this.maxGrains; g++) {
+                const grain = this.grains[g];
+                if (!grain.active) continue;
+
+                const window = 0.5 * (1 - Math.cos(2 * Math.PI * grain.phase));
+                const value = (sample ? this.readSample(grain.position) : this.readBuffer(grain.position)) * window;
+                outL += value * grain.gainL;
+                outR += value * grain.gainR;
+
+                grain.position += grain.rate;
+                grain.phase += grain.phaseInc;
+                if (grain.phase >= 1) grain.active = false;
+            }
+
+            if (right === left) {
+                left[i] = (outL + outR) * 0.5 * norm;
+            } else {
+                left[i] = outL * norm;
+                right[i] = outR * norm;
+            }
+        }
+
+        return this.alive;
+    }
+}
+
+registerProcessor('granular-processor', GranularProcessor);
@@ -4,8 +4,41 @@
  * Specialized generator for extremely low frequencies (0.01Hz to 200Hz).
  * Uses a phase-accumulator approach for perfect stability at sub-audio rates.
  * Supports Sine, Triangle, Sawtooth, and Variable Pulse (PWM) waveforms.
+ * Steps in the sawtooth and pulse are smoothed with polyBLEP and the
+ * triangle's corners with polyBLAMP, so they stay clean up to 200 Hz.
  */
 
+/**
+ * Two-sample polyBLEP residual for a step of -2 at phase 0 (a sawtooth reset),
+ * t = phase (0-1), dt = phase increment
+ */
+function polyBlep(t, dt) {
+    if (t < dt) {
+        t /= dt;
+        return t + t - t * t - 1;
+    }
+    if (t > 1 - dt) {
+        t = (t - 1) / dt;
+        return t * t + t + t + 1;
+    }
+    return 0;
+}
+
+/**
+ * Integrated polyBLEP, for a slope change of 2 per sample at phase 0
+ */
+function polyBlamp(t, dt) {
+    if (t < dt) {
+        t = t / dt - 1;
+        return -t * t * t / 3;
+    }
+    if (t > 1 - dt) {
+        t = (t - 1) / dt + 1;
+        return t * t * t / 3;
+    }
+    return 0;
+}
+
 class InfrasoundProcessor extends AudioWorkletProcessor {
     static get parameterDescriptors() {
         return [
@@ -39,6 +72,8 @@ class InfrasoundProcessor extends AudioWorkletProcessor {
         this.port.onmessage = (event) => {
             if (event.data.type === "setWaveform") {
                 this.waveform = event.data.waveform;
+            } else if (event.data.type === "resetPhase") {
+                this.phase = event.data.phase || 0;
             }
         };
     }
@@ -54,25 +89,31 @@ class InfrasoundProcessor extends AudioWorkletProcessor {
         
         const actualFreq = frequency * Math.pow(2, detune / 1200);
         const phaseIncrement = actualFreq / sampleRate;
+        const dt = Math.min(0.5, phaseIncrement);
 
         for (let i = 0; i < numSamples; i++) {
+            const phase = this.phase;
             let sample = 0;
             switch (this.waveform) {
                 case "sine":
-                    sample = Math.sin(2 * Math.PI * this.phase);
+                    sample = Math.sin(2 * Math.PI * phase);
                     break;
                 case "triangle":
-                    sample = this.phase < 0.5 ? (4 * this.phase - 1) : (3 - 4 * this.phase);
+                    sample = phase < 0.5 ? (4 * phase - 1) : (3 - 4 * phase);
+                    // Slope turns from -4 to +4 per cycle (8 * dt per sample) at 0 and back at 0.5
+                    sample += 4 * dt * (polyBlamp(phase, dt) - polyBlamp((phase + 0.5) % 1, dt));
                     break;
                 case "sawtooth":
-                    sample = 2 * this.phase - 1;
+                    sample = 2 * phase - 1;
+                    sample -= polyBlep(phase, dt);
                     break;
                 case "square":
                 case "pulse":
-                    sample = this.phase < dutyCycle ? 1 : -1;
+                    sample = phase < dutyCycle ? 1 : -1;
+                    sample += polyBlep(phase, dt) - polyBlep((phase - dutyCycle + 1) % 1, dt);
                     break;
                 default:
-                    sample = Math.sin(2 * Math.PI * this.phase);
+                    sample = Math.sin(2 * Math.PI * phase);
             }
             for (let ch = 0; ch < numChannels; ch++) {
                 output[ch][i] = sample;
@@ -0,0 +1,175 @@
+/**
+ * Physical Modeling AudioWorklet Processor
+ *
+ * Karplus-Strong style waveguide: a delay line one period long, fed back
+ * through a loss gain and a one-zero lowpass. A 'pluck' message injects a
+ * period of filtered noise, shaped by the pick position.
+ *
+ * Models (set via 'setModel'):
+ * - string:   plain Karplus-Strong loop
+ * - tube:     inverting reflection on a half-length loop, which leaves only
+ *             odd harmonics like a tube closed at one end
+ * - membrane: the loop sign flips at random each sample (Karplus-Strong drum),
+ *             smearing the harmonics into an inharmonic, drum-like decay
+ */
+
+class PhysicalModelProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            {
+                name: 'frequency',
+                defaultValue: 220,
+                minValue: 20,
+                maxValue: 4000,
+                automationRate: 'k-rate'
+            },
+            {
+                name: 'damping',
+                defaultValue: 0.3,  // 0 = ~10 s ring, 1 = ~50 ms
+                minValue: 0,
+                maxValue: 1,
+                automationRate: 'k-rate'
+            },
+            {
+                name: 'brightness',
+                defaultValue: 0.5,  // Loop lowpass and excitation tone
+                minValue: 0,
+                maxValue: 1,
+                automationRate: 'k-rate'
+            },
+            {
+                name: 'pickPosition',
+                defaultValue: 0.2,  // Fraction of the string length, 0.5 = middle
+                minValue: 0,
+                maxValue: 0.5,
+                automationRate: 'k-rate'
+            }
+        ];
+    }
+
+    constructor() {
+        super();
+        // Long enough for 20 Hz at 192 kHz
+        this.bufferSize = 16384;
+        this.buffer = new Float32Array(this.bufferSize);
+        this.writeIndex = 0;
+        this.lastDelayed = 0;
+        this.model = 'string';
+
+        // Pending excitation, fed into the loop as it plays out
+        this.pendingPluck = undefined;
+        this.excitation = null;
+        this.excitationIndex = 0;
+
+        // DC blocker state
+        this.dcX = 0;
+        this.dcY = 0;
+
+        this.alive = true;
+
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'pluck') {
+                this.pendingPluck = event.data.velocity;
+            } else if (event.data.type === 'setModel') {
+                this.model = event.data.model;
+            } else if (event.data.type === 'stop') {
+                this.alive = false;
+            }
+        };
+    }
+
+    /**
+     * One period of lowpassed noise with the pick-position comb applied
+     */
+    createExcitation(length, velocity, brightness, pickPosition) {
+        const burst = new Float32Array(length);
+        const coef = 0.05 + 0.95 * brightness;
+        let lp = 0;
+        for (let i = 0; i < length; i++) {
+            lp += coef * ((Math.random() * 2 - 1) - lp);
+            burst[i] = lp;
+        }
+
+        // Plucking at a fraction p of the string cancels harmonics that have a node there
+        const offset = Math.round(pickPosition * length);
+        const excitation = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            excitation[i] = (burst[i] - (offset > 0 && i >= offset ? burst[i - offset] : 0)) * velocity * 0.5;
+        }
+        return excitation;
+    }
+
+    /**
+     * Linear interpolation read `delay` samples behind the write head
+     */
+    readDelay(delay) {
+        const pos = this.writeIndex - delay;
+        const intPos = Math.floor(pos);
+        const frac = pos - intPos;
+        const mask = this.bufferSize - 1;
+        const s1 = this.buffer[intPos & mask];
+        const s2 = this.buffer[(intPos + 1) & mask];
+        return s1 + frac * (s2 - s1);
+    }
+
+    process(inputs, outputs, parameters) {
+        const output = outputs[0];
+        if (!output || !output[0]) return this.alive;
+        const numChannels = output.length;
+        const numSamples = output[0].length;
+
+        const frequency = parameters.frequency[0];
+        const damping = parameters.damping[0];
+        const brightness = parameters.brightness[0];
+        const model = this.model;
+
+        // Loop length: the tube's inverting reflection doubles the period
+        const period = sampleRate / frequency;
+        const loopLength = model === 'tube' ? period / 2 : period;
+
+        // One-zero lowpass y = (1 - s) x[n] + s x[n-1] delays by s samples.
+        // The membrane's random sign flips already cost energy every pass, so it filters less
+        const stretch = (model === 'membrane' ? 0.1 : 0.5) * (1 - brightness);
+        const delay = Math.max(2, Math.min(this.bufferSize - 2, loopLength - stretch));
+
+        // Per-pass loss for a T60 between 10 s and 50 ms
+        const t60 = 10 * Math.pow(0.005, damping);
+        const passes = t60 * sampleRate / loopLength;
+        const loss = Math.pow(10, -3 / passes);
+
+        if (this.pendingPluck !== undefined) {
+            this.excitation = this.createExcitation(Math.round(loopLength), this.pendingPluck, brightness, parameters.pickPosition[0]);
+            this.excitationIndex = 0;
+            this.pendingPluck = undefined;
+        }
+
+        const mask = this.bufferSize - 1;
+        for (let i = 0; i < numSamples; i++) {
+            const delayed = this.readDelay(delay);
+            let y = ((1 - stretch) * delayed + stretch * this.lastDelayed) * loss;
+            this.lastDelayed = delayed;
+
+            if (model === 'tube' || (model === 'membrane' && Math.random() < 0.5)) y = -y;
+
+            if (this.excitation) {
+                y += this.excitation[this.excitationIndex++];
+                if (this.excitationIndex >= this.excitation.length) this.excitation = null;
+            }
+
+            this.buffer[this.writeIndex & mask] = y;
+            this.writeIndex = (this.writeIndex + 1) & mask;
+
+            // Remove DC that the sign flips and excitation can leave behind
+            const out = y - this.dcX + 0.995 * this.dcY;
+            this.dcX = y;
+            this.dcY = out;
+
+            for (let ch = 0; ch < numChannels; ch++) {
+                output[ch][i] = out;
+            }
+        }
+        return this.alive;
+    }
+}
+
+registerProcessor('physical-model-processor', PhysicalModelProcessor);
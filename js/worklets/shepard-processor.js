@@ -0,0 +1,109 @@
+/**
+ * Shepard-Risset Glissando AudioWorklet Processor
+ *
+ * Octave-spaced sine partials glide together under a fixed raised-cosine
+ * envelope in log frequency, centered on `center` and `octaves` wide. Partials
+ * fade in at one edge and out at the other, so the glide seems endless.
+ *
+ * The glide position runs from 0 to 1 (one octave); when it wraps, every
+ * partial takes over its neighbour's oscillator phase, so nothing jumps.
+ */
+
+const MAX_OCTAVES = 10;
+
+class ShepardProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            {
+                name: 'center',
+                defaultValue: 440,  // Envelope center (Hz)
+                minValue: 20,
+                maxValue: 5000,
+                automationRate: 'k-rate'
+            },
+            {
+                name: 'rate',
+                defaultValue: 0.1,  // Octaves per second, negative glides down
+                minValue: -4,
+                maxValue: 4,
+                automationRate: 'k-rate'
+            },
+            {
+                name: 'octaves',
+                defaultValue: 8,    // Envelope width, one partial per octave
+                minValue: 2,
+                maxValue: MAX_OCTAVES,
+                automationRate: 'k-rate'
+            }
+        ];
+    }
+
+    constructor() {
+        super();
+        this.position = 0;                              // Glide position within the octave (0-1)
+        this.phases = new Float64Array(MAX_OCTAVES + 1); // Oscillator phase per partial (0-1)
+        for (let k = 0; k < this.phases.length; k++) this.phases[k] = Math.random();
+        this.alive = true;
+
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'stop') {
+                this.alive = false;
+            }
+        };
+    }
+
+    process(inputs, outputs, parameters) {
+        const output = outputs[0];
+        if (!output || !output[0]) return this.alive;
+        const numChannels = output.length;
+        const numSamples = output[0].length;
+
+        const center = parameters.center[0];
+        const rate = parameters.rate[0];
+        const octaves = Math.round(parameters.octaves[0]);
+        const nyquist = sampleRate / 2;
+        // Partials fade out over the last half octave below Nyquist, dropping them would click
+        const fadeStart = nyquist * Math.SQRT1_2;
+        const step = rate / sampleRate;
+        const phases = this.phases;
+        // Raised-cosine amplitudes at unit spacing always sum to octaves / 2
+        const norm = 2 / octaves;
+        const out = output[0];
+
+        for (let i = 0; i < numSamples; i++) {
+            let position = this.position + step;
+            if (position >= 1) {
+                // Each partial reaches the next one's place: shift phases up, a silent one enters below
+                position -= 1;
+                for (let k = octaves; k > 0; k--) phases[k] = phases[k - 1];
+                phases[0] = Math.random();
+            } else if (position < 0) {
+                position += 1;
+                for (let k = 0; k < octaves; k++) phases[k] = phases[k + 1];
+                phases[octaves] = Math.random();
+            }
+            this.position = position;
+
+            // Partial k sits (k + position) octaves above the bottom of the envelope
+            let freq = center * Math.pow(2, position - octaves / 2);
+            let sample = 0;
+            for (let k = 0; k <= octaves; k++) {
+                if (freq >= nyquist) break;
+                let amp = 0.5 - 0.5 * Math.cos(2 * Math.PI * (k + position) / octaves);
+                if (freq > fadeStart) amp *= 2 * Math.log2(nyquist / freq);
+                if (k < octaves) sample += amp * Math.sin(2 * Math.PI * phases[k]);
+                const phase = phases[k] + freq / sampleRate;
+                phases[k] = phase - Math.floor(phase);
+                freq *= 2;
+            }
+            out[i] = sample * norm;
+        }
+
+        for (let ch = 1; ch < numChannels; ch++) {
+            output[ch].set(out);
+        }
+        return this.alive;
+    }
+}
+
+registerProcessor('shepard-processor', ShepardProcessor);
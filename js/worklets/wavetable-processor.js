@@ -0,0 +1,155 @@
+/**
+ * Wavetable AudioWorklet Processor
+ *
+ * Plays a stack of single-cycle frames and morphs between adjacent frames
+ * sample by sample, so sweeping (or LFO-modulating) the morph position
+ * never steps between frames.
+ *
+ * Tables arrive via a 'setTable' message as one flat Float32Array holding
+ * band-limited mipmaps of every frame:
+ *   data[((frame * levels) + level) * size + i]
+ * Mip level L keeps (size / 2) >> L harmonics, so higher notes read
+ * levels with fewer harmonics and do not alias.
+ *
+ * A 'setChord' message with frequency ratios plays several notes of the
+ * same table at once, each with its own phase and mip level.
+ */
+
+const MAX_NOTES = 8;
+
+class WavetableProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            {
+                name: 'frequency',
+                defaultValue: 440,
+                minValue: 0,
+                maxValue: 20000,
+                automationRate: 'k-rate'
+            },
+            {
+                name: 'morph',
+                defaultValue: 0,    // 0 = first frame, 1 = last frame
+                minValue: 0,
+                maxValue: 1,
+                automationRate: 'a-rate'
+            }
+        ];
+    }
+
+    constructor() {
+        super();
+        this.ratios = [1];
+        this.phases = new Float64Array(MAX_NOTES);
+        this.table = null;
+        this.morph = 0;
+        // One-pole smoothing on the morph position (~5 ms)
+        this.morphCoef = 1 - Math.exp(-1 / (0.005 * sampleRate));
+
+        // Crossfade from the previous table when a new one arrives
+        this.prevTable = null;
+        this.fade = 1;
+        this.fadeStep = 1 / (0.02 * sampleRate);
+
+        this.alive = true;
+
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'setTable') {
+                this.prevTable = this.table;
+                this.table = event.data.table;
+                this.fade = this.prevTable ? 0 : 1;
+            } else if (event.data.type === 'setChord') {
+                const ratios = event.data.ratios.slice(0, MAX_NOTES);
+                // Added notes start at random phases so the chord does not start phase-locked
+                for (let k = this.ratios.length; k < ratios.length; k++) this.phases[k] = Math.random();
+                this.ratios = ratios;
+            } else if (event.data.type === 'stop') {
+                this.alive = false;
+            }
+        };
+    }
+
+    /**
+     * Mip level for a frequency: the richest level whose top harmonic stays below Nyquist
+     */
+    selectLevel(table, frequency) {
+        const allowed = (sampleRate / 2) / Math.max(frequency, 1);
+        const level = Math.ceil(Math.log2((table.size / 2) / allowed));
+        return Math.max(0, Math.min(table.levels - 1, level));
+    }
+
+    /**
+     * Read a table at a morph position (0-1) and phase (0-1)
+     */
+    readTable(table, level, morph, phase) {
+        const size = table.size;
+        const pos = morph * (table.frames - 1);
+        const f0 = Math.floor(pos);
+        const f1 = Math.min(f0 + 1, table.frames - 1);
+        const frac = pos - f0;
+
+        const idx = phase * size;
+        const i0 = Math.floor(idx);
+        const i1 = (i0 + 1) % size;
+        const t = idx - i0;
+
+        const data = table.data;
+        const base0 = (f0 * table.levels + level) * size;
+        const base1 = (f1 * table.levels + level) * size;
+        const a = data[base0 + i0] + t * (data[base0 + i1] - data[base0 + i0]);
+        const b = data[base1 + i0] + t * (data[base1 + i1] - data[base1 + i0]);
+        return a + frac * (b - a);
+    }
+
+    process(inputs, outputs, parameters) {
+        const output = outputs[0];
+        if (!output || !output[0]) return this.alive;
+        const numChannels = output.length;
+        const numSamples = output[0].length;
+
+        const table = this.table;
+        if (!table) {
+            for (let ch = 0; ch < numChannels; ch++) output[ch].fill(0);
+            return this.alive;
+        }
+
+        const frequency = parameters.frequency[0];
+        const morphParam = parameters.morph;
+        const prev = this.prevTable;
+        const notes = this.ratios.length;
+        const phases = this.phases;
+        const increments = this.ratios.map(r => frequency * r / sampleRate);
+        const levels = this.ratios.map(r => this.selectLevel(table, frequency * r));
+        const prevLevels = prev ? this.ratios.map(r => this.selectLevel(prev, frequency * r)) : null;
+        // Chord notes add up to about the loudness of one
+        const gain = 1 / Math.sqrt(notes);
+
+        for (let i = 0; i < numSamples; i++) {
+            const target = morphParam.length > 1 ? morphParam[i] : morphParam[0];
+            this.morph += (target - this.morph) * this.morphCoef;
+
+            let sample = 0;
+            for (let k = 0; k < notes; k++) {
+                let value = this.readTable(table, levels[k], this.morph, phases[k]);
+                if (this.fade < 1) {
+                    const old = this.readTable(prev, prevLevels[k], this.morph, phases[k]);
+                    value = old + this.fade * (value - old);
+                }
+                sample += value;
+                phases[k] += increments[k];
+                if (phases[k] >= 1) phases[k] -= Math.floor(phases[k]);
+            }
+            if (this.fade < 1) this.fade = Math.min(1, this.fade + this.fadeStep);
+            sample *= gain;
+
+            for (let ch = 0; ch < numChannels; ch++) {
+                output[ch][i] = sample;
+            }
+        }
+
+        if (this.fade >= 1) this.prevTable = null;
+        return this.alive;
+    }
+}
+
+registerProcessor('wavetable-processor', WavetableProcessor);